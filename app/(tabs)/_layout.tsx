@@ -25,6 +25,12 @@ export default function TabLayout() {
           title: 'Connection',
         }}
       />
+      <Tabs.Screen
+        name="activity"
+        options={{
+          title: 'Activity',
+        }}
+      />
       <Tabs.Screen
         name="settings"
         options={{
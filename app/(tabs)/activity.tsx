@@ -0,0 +1,192 @@
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, Alert } from 'react-native';
+import { useState, useEffect } from 'react';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  ActivityEntry,
+  ActivityOutcome,
+  COMMAND_LABELS,
+  clearActivityLog,
+  readActivityLog,
+  subscribeToActivityLog,
+} from '@/lib/activityLog';
+
+const OUTCOME_STYLES: Record<ActivityOutcome, { icon: string; color: string; label: string }> = {
+  fulfilled: { icon: 'checkmark-circle', color: '#10b981', label: 'Shared' },
+  denied: { icon: 'hand-left', color: '#f59e0b', label: 'Blocked' },
+  failed: { icon: 'alert-circle', color: '#ef4444', label: 'Failed' },
+  unsupported: { icon: 'remove-circle', color: '#9ca3af', label: 'Not supported' },
+};
+
+export default function ActivityTab() {
+  const [entries, setEntries] = useState<ActivityEntry[]>([]);
+
+  useEffect(() => {
+    readActivityLog()
+      .then(setEntries)
+      .catch(error => console.error('Error loading activity log:', error));
+
+    return subscribeToActivityLog(setEntries);
+  }, []);
+
+  const confirmClear = () => {
+    Alert.alert(
+      'Clear Activity',
+      'This removes the record of requests made by the server. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: () => clearActivityLog() },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item }: { item: ActivityEntry }) => {
+    const outcome = OUTCOME_STYLES[item.outcome];
+    return (
+      <View style={styles.entryRow}>
+        <Ionicons name={outcome.icon as any} size={24} color={outcome.color} />
+        <View style={styles.entryTexts}>
+          <View style={styles.entryHeader}>
+            <Text style={styles.entryTitle}>{COMMAND_LABELS[item.type] || item.type}</Text>
+            <Text style={[styles.entryOutcome, { color: outcome.color }]}>{outcome.label}</Text>
+          </View>
+          <Text style={styles.entryTime}>{new Date(item.receivedAt).toLocaleString()}</Text>
+          {item.detail && <Text style={styles.entryDetail}>{item.detail}</Text>}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Activity</Text>
+        <Text style={styles.subtitle}>Requests the server made to this device</Text>
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>
+            {entries.length} {entries.length === 1 ? 'request' : 'requests'}
+          </Text>
+          {entries.length > 0 && (
+            <TouchableOpacity style={styles.clearButton} onPress={confirmClear}>
+              <Ionicons name="trash" size={16} color="#ef4444" />
+              <Text style={styles.clearButtonText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <FlatList
+          style={styles.list}
+          data={entries}
+          keyExtractor={item => item.id}
+          renderItem={renderEntry}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name="shield-checkmark" size={48} color="#d1d5db" />
+              <Text style={styles.emptyText}>The server hasn&apos;t requested anything yet</Text>
+            </View>
+          }
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  header: {
+    padding: 20,
+    paddingTop: 60,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  section: {
+    flex: 1,
+    margin: 20,
+    marginTop: 10,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  clearButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 4,
+  },
+  clearButtonText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  list: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  entryTexts: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  entryOutcome: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  entryTime: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  entryDetail: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 4,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginTop: 8,
+  },
+});
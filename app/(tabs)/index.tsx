@@ -1,56 +1,56 @@
-import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, Switch } from 'react-native';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, Switch, Platform } from 'react-native';
 import { useState, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
 import { useDeviceConnection } from '@/hooks/useDeviceConnection';
 
 export default function ConnectionTab() {
   const [serverIP, setServerIP] = useState('192.168.1.100');
   const [serverPort, setServerPort] = useState('3000');
-  const [autoConnect, setAutoConnect] = useState(false);
+  const [secureConnection, setSecureConnection] = useState(false);
+  const [enrollmentCode, setEnrollmentCode] = useState('');
+  const [certificateFingerprint, setCertificateFingerprint] = useState('');
+  const [secondsUntilAttempt, setSecondsUntilAttempt] = useState(0);
   
-  const { isConnected, isConnecting, status, error, connect, disconnect, reconnect } = useDeviceConnection();
+  const {
+    isConnected,
+    isConnecting,
+    status,
+    error,
+    enrolledDeviceId,
+    enrolledServer,
+    pinnedFingerprint,
+    connect,
+    disconnect,
+    forgetEnrollment,
+    server,
+    nextAttemptAt,
+    unpinned,
+  } = useDeviceConnection();
 
+  // Start from the server the app last connected to
   useEffect(() => {
-    loadConnectionSettings();
-    
-    // Auto-reconnect logic
-    const handleAutoReconnect = async () => {
-      if (autoConnect && !isConnected && !isConnecting && serverIP && serverPort) {
-        console.log('Attempting auto-reconnect...');
-        await reconnect(serverIP, serverPort);
-      }
-    };
-
-    // Check for auto-reconnect every 10 seconds
-    const reconnectInterval = setInterval(handleAutoReconnect, 10000);
-
-    return () => clearInterval(reconnectInterval);
-  }, [autoConnect, isConnected, isConnecting, serverIP, serverPort]);
-
-  const loadConnectionSettings = async () => {
-    try {
-      const savedIP = await AsyncStorage.getItem('serverIP');
-      const savedPort = await AsyncStorage.getItem('serverPort');
-      const savedAutoConnect = await AsyncStorage.getItem('autoConnect');
-      
-      if (savedIP) setServerIP(savedIP);
-      if (savedPort) setServerPort(savedPort);
-      if (savedAutoConnect) setAutoConnect(JSON.parse(savedAutoConnect));
-    } catch (error) {
-      console.error('Error loading connection settings:', error);
+    if (server) {
+      setServerIP(server.serverIP);
+      setServerPort(server.serverPort);
+      setSecureConnection(server.secure);
     }
-  };
+  }, [server]);
 
-  const saveConnectionSettings = async () => {
-    try {
-      await AsyncStorage.setItem('serverIP', serverIP);
-      await AsyncStorage.setItem('serverPort', serverPort);
-      await AsyncStorage.setItem('autoConnect', JSON.stringify(autoConnect));
-    } catch (error) {
-      console.error('Error saving connection settings:', error);
+  // Stored credentials only work with the server that issued them, so any
+  // other server needs an enrollment code
+  const enrolledHere = enrolledDeviceId !== null && enrolledServer === `${serverIP}:${serverPort}`;
+
+  useEffect(() => {
+    if (!nextAttemptAt) {
+      return;
     }
-  };
+    const updateCountdown = () => {
+      setSecondsUntilAttempt(Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000)));
+    };
+    updateCountdown();
+    const countdownInterval = setInterval(updateCountdown, 1000);
+    return () => clearInterval(countdownInterval);
+  }, [nextAttemptAt]);
 
   const validateInputs = () => {
     if (!serverIP.trim()) {
@@ -76,12 +76,17 @@ export default function ConnectionTab() {
     if (!validateInputs()) return;
     
     try {
-      // Save settings before connecting
-      await saveConnectionSettings();
-      
-      const success = await connect(serverIP, serverPort);
+      const success = await connect(
+        serverIP,
+        serverPort,
+        secureConnection,
+        enrollmentCode.trim() || undefined,
+        certificateFingerprint.trim() || undefined
+      );
       
       if (success) {
+        setEnrollmentCode('');
+        setCertificateFingerprint('');
         Alert.alert('Success', `Connected to ${serverIP}:${serverPort}`);
       } else {
         Alert.alert('Connection Error', error || 'Failed to connect to server. Please check your settings and try again.');
@@ -91,6 +96,17 @@ export default function ConnectionTab() {
     }
   };
 
+  const confirmForgetEnrollment = () => {
+    Alert.alert(
+      'Forget Enrollment',
+      'This device will need a new enrollment code from the dashboard to connect again. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Forget', style: 'destructive', onPress: forgetEnrollment },
+      ]
+    );
+  };
+
   const disconnectFromServer = () => {
     disconnect();
     Alert.alert('Disconnected', 'Connection to server has been closed');
@@ -131,9 +147,26 @@ export default function ConnectionTab() {
         </View>
         {isConnected && (
           <Text style={styles.connectedInfo}>
-            Connected to {serverIP}:{serverPort}
+            Connected to {secureConnection ? 'wss' : 'ws'}://{serverIP}:{serverPort}
           </Text>
         )}
+        {isConnected && unpinned && (
+          <Text style={styles.warningInfo}>
+            The server&apos;s certificate is not pinned. This build of the app can&apos;t pin certificates, so
+            only the system&apos;s certificate checks apply.
+          </Text>
+        )}
+        {!isConnected && error && (
+          <Text style={styles.errorInfo}>{error}</Text>
+        )}
+        {!isConnected && !isConnecting && nextAttemptAt !== null && (
+          <View style={styles.retryRow}>
+            <Text style={styles.connectedInfo}>Next attempt in {secondsUntilAttempt}s</Text>
+            <TouchableOpacity onPress={disconnect}>
+              <Text style={styles.stopLink}>Stop</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
       <View style={styles.formCard}>
@@ -165,20 +198,78 @@ export default function ConnectionTab() {
           />
         </View>
 
-        <View style={styles.switchGroup}>
+        <View style={[styles.switchGroup, styles.secureSwitch]}>
           <View style={styles.switchInfo}>
-            <Text style={styles.switchLabel}>Auto Connect</Text>
+            <Text style={styles.switchLabel}>Secure Connection</Text>
             <Text style={styles.switchDescription}>
-              Automatically connect when app starts
+              Connect over wss and pin the server&apos;s certificate at enrollment
             </Text>
           </View>
           <Switch
-            value={autoConnect}
-            onValueChange={setAutoConnect}
+            value={secureConnection}
+            onValueChange={setSecureConnection}
+            disabled={isConnected}
             trackColor={{ false: '#d1d5db', true: '#93c5fd' }}
-            thumbColor={autoConnect ? '#2563eb' : '#f3f4f6'}
+            thumbColor={secureConnection ? '#2563eb' : '#f3f4f6'}
           />
         </View>
+
+        {enrolledHere ? (
+          <View style={styles.enrollmentRow}>
+            <View style={styles.switchInfo}>
+              <Text style={styles.label}>Enrolled Device ID</Text>
+              <Text style={styles.enrollmentId} numberOfLines={1}>{enrolledDeviceId}</Text>
+              {pinnedFingerprint && (
+                <>
+                  <Text style={[styles.label, styles.fingerprintLabel]}>Pinned Certificate (SHA-256)</Text>
+                  <Text style={styles.fingerprint}>{pinnedFingerprint}</Text>
+                </>
+              )}
+            </View>
+            <TouchableOpacity onPress={confirmForgetEnrollment} disabled={isConnected}>
+              <Text style={[styles.forgetLink, isConnected && styles.forgetLinkDisabled]}>Forget</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Enrollment Code</Text>
+            <TextInput
+              style={styles.input}
+              value={enrollmentCode}
+              onChangeText={setEnrollmentCode}
+              placeholder="XXXX-XXXX"
+              placeholderTextColor="#9ca3af"
+              editable={!isConnected}
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+            {secureConnection && (
+              <>
+                <Text style={[styles.label, styles.fingerprintLabel]}>Certificate Fingerprint (SHA-256)</Text>
+                <TextInput
+                  style={[styles.input, styles.fingerprintInput]}
+                  value={certificateFingerprint}
+                  onChangeText={setCertificateFingerprint}
+                  placeholder="AB:CD:EF:..."
+                  placeholderTextColor="#9ca3af"
+                  editable={!isConnected}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                  multiline
+                />
+                <Text style={styles.enrollmentHint}>
+                  Shown in the dashboard with the enrollment code. The device only enrolls with a server
+                  presenting this certificate.
+                </Text>
+              </>
+            )}
+            {enrolledDeviceId && (
+              <Text style={styles.enrollmentHint}>
+                Enrolled with {enrolledServer}. Enrolling with this server replaces that enrollment.
+              </Text>
+            )}
+          </View>
+        )}
       </View>
 
       <View style={styles.actionButtons}>
@@ -214,8 +305,9 @@ export default function ConnectionTab() {
           <Text style={styles.infoTitle}>Connection Instructions</Text>
           <Text style={styles.infoDescription}>
             1. Make sure the server is running on your computer{'\n'}
-            2. Enter the server's IP address and port{'\n'}
-            3. Tap "Connect to Server" to establish connection
+            2. Enter the server&apos;s IP address and port, and turn on Secure Connection if the server uses TLS{'\n'}
+            3. On first connection, enter the enrollment code from the dashboard{'\n'}
+            4. Tap &quot;Connect to Server&quot; to establish connection
           </Text>
         </View>
       </View>
@@ -273,6 +365,29 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 4,
   },
+  retryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stopLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+    marginLeft: 12,
+    marginTop: 4,
+  },
+  errorInfo: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  warningInfo: {
+    fontSize: 13,
+    color: '#b45309',
+    marginTop: 4,
+    textAlign: 'center',
+  },
   formCard: {
     backgroundColor: '#ffffff',
     borderRadius: 12,
@@ -305,12 +420,52 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     backgroundColor: '#ffffff',
   },
+  enrollmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  enrollmentId: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  fingerprintLabel: {
+    marginTop: 8,
+  },
+  enrollmentHint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 6,
+  },
+  fingerprint: {
+    fontSize: 12,
+    color: '#6b7280',
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+  },
+  fingerprintInput: {
+    fontSize: 13,
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+  },
+  forgetLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ef4444',
+    marginLeft: 12,
+  },
+  forgetLinkDisabled: {
+    color: '#d1d5db',
+  },
   switchGroup: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
     paddingTop: 8,
   },
+  secureSwitch: {
+    paddingTop: 0,
+    marginBottom: 16,
+  },
   switchInfo: {
     flex: 1,
   },
@@ -2,15 +2,30 @@ import { View, Text, StyleSheet, TouchableOpacity, Switch, Alert } from 'react-n
 import { useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
+import {
+  APPROVAL_TIMEOUT_OPTIONS,
+  AppSettings,
+  ConsentLevel,
+  DEFAULT_SETTINGS,
+  readSettings,
+  writeSettings,
+} from '@/lib/settings';
+
+const CONSENT_LEVEL_OPTIONS: { value: ConsentLevel; label: string }[] = [
+  { value: 'allow', label: 'Allow' },
+  { value: 'ask', label: 'Ask' },
+  { value: 'deny', label: 'Deny' },
+];
 
 export default function SettingsTab() {
-  const [autoReconnect, setAutoReconnect] = useState(true);
-  const [allowFileAccess, setAllowFileAccess] = useState(true);
-  const [allowContacts, setAllowContacts] = useState(false);
-  const [allowLocation, setAllowLocation] = useState(false);
-  const [allowScreenshots, setAllowScreenshots] = useState(false);
-  const [allowCallLog, setAllowCallLog] = useState(false);
-  const [allowSMS, setAllowSMS] = useState(false);
+  const [autoReconnect, setAutoReconnect] = useState(DEFAULT_SETTINGS.autoReconnect);
+  const [approvalTimeoutSeconds, setApprovalTimeoutSeconds] = useState(DEFAULT_SETTINGS.approvalTimeoutSeconds);
+  const [allowFileAccess, setAllowFileAccess] = useState(DEFAULT_SETTINGS.allowFileAccess);
+  const [allowContacts, setAllowContacts] = useState(DEFAULT_SETTINGS.allowContacts);
+  const [allowLocation, setAllowLocation] = useState(DEFAULT_SETTINGS.allowLocation);
+  const [allowScreenshots, setAllowScreenshots] = useState(DEFAULT_SETTINGS.allowScreenshots);
+  const [allowCallLog, setAllowCallLog] = useState(DEFAULT_SETTINGS.allowCallLog);
+  const [allowSMS, setAllowSMS] = useState(DEFAULT_SETTINGS.allowSMS);
 
   useEffect(() => {
     loadSettings();
@@ -18,33 +33,32 @@ export default function SettingsTab() {
 
   const loadSettings = async () => {
     try {
-      const settings = await AsyncStorage.getItem('appSettings');
-      if (settings) {
-        const parsed = JSON.parse(settings);
-        setAutoReconnect(parsed.autoReconnect ?? true);
-        setAllowFileAccess(parsed.allowFileAccess ?? true);
-        setAllowContacts(parsed.allowContacts ?? false);
-        setAllowLocation(parsed.allowLocation ?? false);
-        setAllowScreenshots(parsed.allowScreenshots ?? false);
-        setAllowCallLog(parsed.allowCallLog ?? false);
-        setAllowSMS(parsed.allowSMS ?? false);
-      }
+      const settings = await readSettings();
+      setAutoReconnect(settings.autoReconnect);
+      setApprovalTimeoutSeconds(settings.approvalTimeoutSeconds);
+      setAllowFileAccess(settings.allowFileAccess);
+      setAllowContacts(settings.allowContacts);
+      setAllowLocation(settings.allowLocation);
+      setAllowScreenshots(settings.allowScreenshots);
+      setAllowCallLog(settings.allowCallLog);
+      setAllowSMS(settings.allowSMS);
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   };
 
-  const saveSettings = async (newSettings: any) => {
+  const saveSettings = async (newSettings: AppSettings) => {
     try {
-      await AsyncStorage.setItem('appSettings', JSON.stringify(newSettings));
+      await writeSettings(newSettings);
     } catch (error) {
       console.error('Error saving settings:', error);
     }
   };
 
-  const updateSetting = (key: string, value: boolean) => {
-    const newSettings = {
+  const updateSetting = <K extends keyof AppSettings>(key: K, value: AppSettings[K]) => {
+    const newSettings: AppSettings = {
       autoReconnect,
+      approvalTimeoutSeconds,
       allowFileAccess,
       allowContacts,
       allowLocation,
@@ -54,29 +68,14 @@ export default function SettingsTab() {
       [key]: value,
     };
     
-    switch (key) {
-      case 'autoReconnect':
-        setAutoReconnect(value);
-        break;
-      case 'allowFileAccess':
-        setAllowFileAccess(value);
-        break;
-      case 'allowContacts':
-        setAllowContacts(value);
-        break;
-      case 'allowLocation':
-        setAllowLocation(value);
-        break;
-      case 'allowScreenshots':
-        setAllowScreenshots(value);
-        break;
-      case 'allowCallLog':
-        setAllowCallLog(value);
-        break;
-      case 'allowSMS':
-        setAllowSMS(value);
-        break;
-    }
+    setAutoReconnect(newSettings.autoReconnect);
+    setApprovalTimeoutSeconds(newSettings.approvalTimeoutSeconds);
+    setAllowFileAccess(newSettings.allowFileAccess);
+    setAllowContacts(newSettings.allowContacts);
+    setAllowLocation(newSettings.allowLocation);
+    setAllowScreenshots(newSettings.allowScreenshots);
+    setAllowCallLog(newSettings.allowCallLog);
+    setAllowSMS(newSettings.allowSMS);
     
     saveSettings(newSettings);
   };
@@ -133,6 +132,44 @@ export default function SettingsTab() {
     </View>
   );
 
+  const OptionRow = <T extends string | number>({
+    title,
+    subtitle,
+    value,
+    options,
+    onValueChange,
+    icon
+  }: {
+    title: string;
+    subtitle: string;
+    value: T;
+    options: { value: T; label: string }[];
+    onValueChange: (value: T) => void;
+    icon: string;
+  }) => (
+    <View style={styles.settingRow}>
+      <View style={styles.settingInfo}>
+        <Ionicons name={icon as any} size={24} color="#2563eb" />
+        <View style={styles.settingTexts}>
+          <Text style={styles.settingTitle}>{title}</Text>
+          <Text style={styles.settingSubtitle}>{subtitle}</Text>
+        </View>
+      </View>
+      <View style={styles.segmented}>
+        {options.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.segment, option.value === value && styles.segmentActive]}
+            onPress={() => onValueChange(option.value)}>
+            <Text style={[styles.segmentText, option.value === value && styles.segmentTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -144,60 +181,74 @@ export default function SettingsTab() {
         <View style={styles.settingsCard}>
           <SettingRow
             title="Auto Reconnect"
-            subtitle="Automatically reconnect when connection is lost"
+            subtitle="Connect when the app starts and reconnect when the connection drops"
             value={autoReconnect}
             onValueChange={(value) => updateSetting('autoReconnect', value)}
             icon="refresh"
           />
+          <OptionRow
+            title="Approval Timeout"
+            subtitle="Requests set to Ask are denied if not answered in time"
+            options={APPROVAL_TIMEOUT_OPTIONS.map(seconds => ({ value: seconds, label: `${seconds}s` }))}
+            value={approvalTimeoutSeconds}
+            onValueChange={(value) => updateSetting('approvalTimeoutSeconds', value)}
+            icon="timer"
+          />
         </View>
       </View>
 
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Data Sharing Permissions</Text>
         <View style={styles.settingsCard}>
-          <SettingRow
+          <OptionRow
             title="File Access"
             subtitle="Allow server to browse and download files"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowFileAccess}
             onValueChange={(value) => updateSetting('allowFileAccess', value)}
             icon="folder"
           />
           
-          <SettingRow
+          <OptionRow
             title="Contacts Access"
             subtitle="Allow server to backup device contacts"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowContacts}
             onValueChange={(value) => updateSetting('allowContacts', value)}
             icon="people"
           />
           
-          <SettingRow
+          <OptionRow
             title="Location Access"
             subtitle="Allow server to access device location"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowLocation}
             onValueChange={(value) => updateSetting('allowLocation', value)}
             icon="location"
           />
           
-          <SettingRow
+          <OptionRow
             title="Screenshots"
             subtitle="Allow server to take screenshots"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowScreenshots}
             onValueChange={(value) => updateSetting('allowScreenshots', value)}
             icon="camera"
           />
           
-          <SettingRow
+          <OptionRow
             title="Call Log Access"
             subtitle="Allow server to access call history"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowCallLog}
             onValueChange={(value) => updateSetting('allowCallLog', value)}
             icon="call"
           />
           
-          <SettingRow
+          <OptionRow
             title="SMS Access"
             subtitle="Allow server to access text messages"
+            options={CONSENT_LEVEL_OPTIONS}
             value={allowSMS}
             onValueChange={(value) => updateSetting('allowSMS', value)}
             icon="chatbubble"
@@ -279,6 +330,29 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 2,
   },
+  segmented: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginLeft: 8,
+  },
+  segment: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  segmentActive: {
+    backgroundColor: '#2563eb',
+  },
+  segmentText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  segmentTextActive: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
   dangerButton: {
     backgroundColor: '#ef4444',
     flexDirection: 'row',
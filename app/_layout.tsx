@@ -1,17 +1,19 @@
-import { useEffect } from 'react';
 import { Stack } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import { useFrameworkReady } from '@/hooks/useFrameworkReady';
+import { DeviceConnectionProvider } from '@/hooks/useDeviceConnection';
+import ApprovalPrompt from '@/components/ApprovalPrompt';
 
 export default function RootLayout() {
   useFrameworkReady();
 
   return (
-    <>
+    <DeviceConnectionProvider>
       <Stack screenOptions={{ headerShown: false }}>
         <Stack.Screen name="+not-found" />
       </Stack>
       <StatusBar style="auto" />
-    </>
+      <ApprovalPrompt />
+    </DeviceConnectionProvider>
   );
 }
@@ -0,0 +1,128 @@
+import { View, Text, StyleSheet, TouchableOpacity, Modal } from 'react-native';
+import { useState, useEffect } from 'react';
+import { Ionicons } from '@expo/vector-icons';
+import { ApprovalRequest, answerApproval, subscribeToApprovals } from '@/lib/approvals';
+import { COMMAND_LABELS } from '@/lib/activityLog';
+
+// Shows the oldest pending approval request over whatever screen is open
+export default function ApprovalPrompt() {
+  const [request, setRequest] = useState<ApprovalRequest | null>(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => subscribeToApprovals(setRequest), []);
+
+  useEffect(() => {
+    if (!request) {
+      return;
+    }
+    const updateCountdown = () => {
+      setSecondsLeft(Math.max(0, Math.ceil((request.expiresAt - Date.now()) / 1000)));
+    };
+    updateCountdown();
+    const countdownInterval = setInterval(updateCountdown, 1000);
+    return () => clearInterval(countdownInterval);
+  }, [request]);
+
+  if (!request) {
+    return null;
+  }
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={() => answerApproval(request.id, false)}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Ionicons name="shield-half" size={40} color="#2563eb" />
+          <Text style={styles.title}>Allow this request?</Text>
+          <Text style={styles.message}>
+            <Text style={styles.operator}>{request.operator || 'The server'}</Text>
+            {' wants to access: '}
+            <Text style={styles.command}>{COMMAND_LABELS[request.command] || request.command}</Text>
+          </Text>
+          <Text style={styles.countdown}>Declining automatically in {secondsLeft}s</Text>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.denyButton]}
+              onPress={() => answerApproval(request.id, false)}>
+              <Text style={styles.denyButtonText}>Deny</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.approveButton]}
+              onPress={() => answerApproval(request.id, true)}>
+              <Text style={styles.approveButtonText}>Allow</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(17, 24, 39, 0.5)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 360,
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 24,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginTop: 12,
+  },
+  message: {
+    fontSize: 16,
+    color: '#374151',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  operator: {
+    fontWeight: '600',
+  },
+  command: {
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  countdown: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  denyButton: {
+    backgroundColor: '#f3f4f6',
+  },
+  denyButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  approveButton: {
+    backgroundColor: '#2563eb',
+  },
+  approveButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
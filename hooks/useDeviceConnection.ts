@@ -1,31 +1,320 @@
-import { useState, useEffect, useRef } from 'react';
+import { createContext, createElement, ReactNode, useContext, useState, useEffect, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
 import * as Device from 'expo-device';
 import * as Location from 'expo-location';
 import * as Contacts from 'expo-contacts';
 import * as MediaLibrary from 'expo-media-library';
+import * as Network from 'expo-network';
+import * as Sharing from 'expo-sharing';
+import {
+  CONSENT_LABELS,
+  ConsentSetting,
+  getConsentState,
+  readSettings,
+  subscribeToSettings,
+} from '@/lib/settings';
+import { COMMAND_LABELS, logActivity } from '@/lib/activityLog';
+import { requestApproval } from '@/lib/approvals';
+import { canHandle, getCapabilities } from '@/lib/capabilities';
+import {
+  browseDirectory,
+  createFolder,
+  deleteFiles,
+  getThumbnail,
+  listMedia,
+  moveFiles,
+  renameFile,
+  resolveFileUri,
+  resolveUploadDirectory,
+} from '@/lib/fileBrowser';
+import { abandonTransfers, handleTransferMessage, receiveFile, sendFile } from '@/lib/transfers';
+import { PinnedSocketError, PinnedWebSocket } from '@/modules/pinned-websocket';
+import {
+  PROTOCOL_VERSION,
+  BrowseDirectoryData,
+  DeviceMessage,
+  DeviceResponse,
+  DownloadFileData,
+  FileOperationResult,
+  MediaQuery,
+  ResponseType,
+  ServerCommand,
+  ServerMessage,
+  UploadFileData,
+} from '@/protocol/messages';
 
 interface ConnectionState {
   isConnected: boolean;
   isConnecting: boolean;
   status: string;
   error: string | null;
+  // When the next automatic reconnection attempt is due
+  nextAttemptAt: number | null;
+  // Connected over wss with only the system's certificate checks, because
+  // this build of the app can't pin certificates
+  unpinned: boolean;
 }
 
-export function useDeviceConnection() {
+// Issued by the server when this device is enrolled with an enrollment code
+interface DeviceCredentials {
+  server: string;
+  deviceId: string;
+  deviceSecret: string;
+  // SHA-256 fingerprint of the server's certificate, pinned when the device
+  // enrolled over wss
+  certificateFingerprint?: string | null;
+}
+
+const CREDENTIALS_KEY = 'deviceCredentials';
+const SERVER_KEY = 'serverAddress';
+
+// The server last connected to, which the app reconnects to
+export interface ServerAddress {
+  serverIP: string;
+  serverPort: string;
+  secure: boolean;
+}
+
+// Reconnection attempts back off exponentially up to a minute apart
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
+// Randomised so devices that lost the server together don't all retry at once
+function reconnectDelay(attempt: number) {
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+// With file access set to ask, an approved file access request also covers
+// the thumbnails the dashboard loads for it for this long, instead of asking
+// once per thumbnail
+const THUMBNAIL_APPROVAL_WINDOW_MS = 10 * 60 * 1000;
+
+const CERTIFICATE_MISMATCH_ERROR =
+  "The server's certificate doesn't match the one pinned when this device enrolled. " +
+  'If the server has a new certificate, forget the enrollment and enroll again.';
+
+const ENROLLMENT_CERTIFICATE_MISMATCH_ERROR =
+  "The server's certificate doesn't match the fingerprint shown with the enrollment code, " +
+  'so the code was not sent. Check the address and the fingerprint.';
+
+// A SHA-256 fingerprint as the dashboard shows it and the pinning module
+// reports it, e.g. "AB:CD:…", or null if it isn't one
+function normalizeFingerprint(fingerprint: string) {
+  const hex = fingerprint.replace(/[\s:]/g, '').toUpperCase();
+  return /^[0-9A-F]{64}$/.test(hex) ? hex.match(/../g)!.join(':') : null;
+}
+
+// What the hook needs from a socket. Met by PinnedWebSocket and by the
+// platform WebSocket, which serves ws:// and, where pinning isn't available,
+// wss:// with the system's certificate checks. Its errors never report a
+// certificate mismatch.
+interface DeviceSocket {
+  readonly readyState: number;
+  readonly certificateFingerprint?: string | null;
+  onopen: (() => void) | null;
+  onmessage: ((event: { data: string }) => void) | null;
+  onclose: ((event: { code: number; reason: string }) => void) | null;
+  onerror: ((error: PinnedSocketError) => void) | null;
+  send(data: string): void;
+  close(): void;
+}
+
+function openSocket(url: string, fingerprint: string | null): DeviceSocket {
+  if (url.startsWith('wss://') && PinnedWebSocket.isAvailable()) {
+    return new PinnedWebSocket(url, fingerprint);
+  }
+  return new WebSocket(url) as DeviceSocket;
+}
+
+// The Data Sharing Permissions setting that covers each server command, and the
+// response type the server expects back when the request is refused
+interface ConsentRequirement {
+  setting: ConsentSetting;
+  responseType: ResponseType;
+}
+
+const CONSENT_REQUIREMENTS: Partial<Record<ServerCommand['type'], ConsentRequirement>> = {
+  request_location: { setting: 'allowLocation', responseType: 'location_response' },
+  request_contacts: { setting: 'allowContacts', responseType: 'contacts_response' },
+  request_files: { setting: 'allowFileAccess', responseType: 'files_response' },
+  browse_directory: { setting: 'allowFileAccess', responseType: 'directory_response' },
+  download_file: { setting: 'allowFileAccess', responseType: 'file_download_response' },
+  upload_file: { setting: 'allowFileAccess', responseType: 'file_upload_response' },
+  share_file: { setting: 'allowFileAccess', responseType: 'share_file_response' },
+  request_thumbnail: { setting: 'allowFileAccess', responseType: 'thumbnail_response' },
+  delete_files: { setting: 'allowFileAccess', responseType: 'file_operation_response' },
+  rename_file: { setting: 'allowFileAccess', responseType: 'file_operation_response' },
+  move_files: { setting: 'allowFileAccess', responseType: 'file_operation_response' },
+  create_folder: { setting: 'allowFileAccess', responseType: 'file_operation_response' },
+  take_screenshot: { setting: 'allowScreenshots', responseType: 'screenshot_response' },
+  request_call_log: { setting: 'allowCallLog', responseType: 'call_log_response' },
+  request_sms: { setting: 'allowSMS', responseType: 'sms_response' },
+};
+
+// The response type that answers each server command
+const COMMAND_RESPONSES: Record<ServerCommand['type'], ResponseType> = {
+  request_location: 'location_response',
+  request_contacts: 'contacts_response',
+  request_files: 'files_response',
+  browse_directory: 'directory_response',
+  download_file: 'file_download_response',
+  upload_file: 'file_upload_response',
+  share_file: 'share_file_response',
+  request_thumbnail: 'thumbnail_response',
+  delete_files: 'file_operation_response',
+  rename_file: 'file_operation_response',
+  move_files: 'file_operation_response',
+  create_folder: 'file_operation_response',
+  take_screenshot: 'screenshot_response',
+  start_microphone: 'microphone_response',
+  stop_microphone: 'microphone_response',
+  request_call_log: 'call_log_response',
+  request_sms: 'sms_response',
+  request_clipboard: 'clipboard_response',
+  request_notifications: 'notifications_response',
+  request_apps: 'apps_response',
+  request_permissions: 'permissions_response',
+  request_wifi: 'wifi_response',
+};
+
+function errorMessage(error: unknown) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+async function loadCredentials(): Promise<DeviceCredentials | null> {
+  const saved = await AsyncStorage.getItem(CREDENTIALS_KEY);
+  return saved ? JSON.parse(saved) : null;
+}
+
+async function loadServerAddress(): Promise<ServerAddress | null> {
+  const saved = await AsyncStorage.getItem(SERVER_KEY);
+  if (saved) {
+    return JSON.parse(saved);
+  }
+
+  // Saved by the Connection tab before the hook kept the address itself
+  const [serverIP, serverPort, secure] = await Promise.all([
+    AsyncStorage.getItem('serverIP'),
+    AsyncStorage.getItem('serverPort'),
+    AsyncStorage.getItem('secureConnection'),
+  ]);
+  return serverIP && serverPort ? { serverIP, serverPort, secure: secure === 'true' } : null;
+}
+
+function useConnection() {
   const [connectionState, setConnectionState] = useState<ConnectionState>({
     isConnected: false,
     isConnecting: false,
     status: 'Disconnected',
     error: null,
+    nextAttemptAt: null,
+    unpinned: false,
   });
 
-  const wsRef = useRef<WebSocket | null>(null);
+  const [enrolledDeviceId, setEnrolledDeviceId] = useState<string | null>(null);
+  // The server that enrolled this device, as "<ip>:<port>"
+  const [enrolledServer, setEnrolledServer] = useState<string | null>(null);
+  const [pinnedFingerprint, setPinnedFingerprint] = useState<string | null>(null);
+  const [server, setServer] = useState<ServerAddress | null>(null);
+
+  const wsRef = useRef<DeviceSocket | null>(null);
   const reconnectTimeoutRef = useRef<NodeJS.Timeout | null>(null);
   const heartbeatIntervalRef = useRef<NodeJS.Timeout | null>(null);
+  const reconnectAttemptRef = useRef(0);
+  const serverRef = useRef<ServerAddress | null>(null);
+  // Whether to reconnect when the connection drops: set once registered,
+  // cleared by disconnecting or by failures retrying can't fix
+  const stayConnectedRef = useRef(false);
+  const networkAvailableRef = useRef(true);
+  // When the device user last approved a file access request
+  const fileAccessApprovedAtRef = useRef(0);
+
+  const connect = async (
+    serverIP: string,
+    serverPort: string,
+    secure: boolean,
+    enrollmentCode?: string,
+    certificateFingerprint?: string
+  ): Promise<boolean> => {
+    if (wsRef.current) {
+      return false;
+    }
+    cancelReconnect();
+
+    const address = { serverIP, serverPort, secure };
+    serverRef.current = address;
+    setServer(address);
+    await AsyncStorage.setItem(SERVER_KEY, JSON.stringify(address));
+
+    const server = `${serverIP}:${serverPort}`;
+    const savedCredentials = await loadCredentials();
+    // Credentials are only valid for the server that issued them
+    const credentials = savedCredentials?.server === server ? savedCredentials : null;
+    // Enrolling over wss trusts only the certificate shown with the enrollment
+    // code, so nobody else can take the code and get their certificate pinned
+    const enrollmentFingerprint = certificateFingerprint ? normalizeFingerprint(certificateFingerprint) : null;
+    const pinned = enrollmentCode
+      ? secure ? enrollmentFingerprint : null
+      : credentials?.certificateFingerprint ?? null;
 
-  const connect = async (serverIP: string, serverPort: string): Promise<boolean> => {
     return new Promise((resolve) => {
-      if (connectionState.isConnecting || connectionState.isConnected) {
+      if (wsRef.current) {
+        resolve(false);
+        return;
+      }
+
+      if (!credentials && !enrollmentCode) {
+        stayConnectedRef.current = false;
+        setConnectionState(prev => ({
+          ...prev,
+          status: 'Not Enrolled',
+          error: 'Enter the enrollment code shown in the dashboard',
+        }));
+        resolve(false);
+        return;
+      }
+
+      // Builds without the pinning module rely on the system's certificate
+      // checks, so only they may enroll over wss without a fingerprint
+      const fingerprintNeeded = Boolean(certificateFingerprint) || PinnedWebSocket.isAvailable();
+      if (enrollmentCode && secure && !enrollmentFingerprint && fingerprintNeeded) {
+        stayConnectedRef.current = false;
+        setConnectionState(prev => ({
+          ...prev,
+          status: 'Not Enrolled',
+          error: certificateFingerprint
+            ? 'The certificate fingerprint should be 32 pairs of hex digits, as shown in the dashboard'
+            : 'Enter the certificate fingerprint shown in the dashboard with the enrollment code',
+        }));
+        resolve(false);
+        return;
+      }
+
+      if (pinned && !secure) {
+        stayConnectedRef.current = false;
+        setConnectionState(prev => ({
+          ...prev,
+          status: 'Connection Failed',
+          error: 'This device enrolled over a secure connection. Turn on Secure Connection to connect.',
+        }));
+        resolve(false);
+        return;
+      }
+
+      // The platform WebSocket would silently ignore the pin
+      if (pinned && !PinnedWebSocket.isAvailable()) {
+        stayConnectedRef.current = false;
+        setConnectionState(prev => ({
+          ...prev,
+          status: 'Connection Failed',
+          error: enrollmentCode
+            ? "This build of the app can't check the certificate fingerprint. " +
+              'Leave it empty to rely on the system certificate checks, or enroll from a build that includes certificate pinning.'
+            : "This device pinned the server's certificate, but this build of the app can't check it. " +
+              'Connect from a build that includes certificate pinning.',
+        }));
         resolve(false);
         return;
       }
@@ -35,11 +324,13 @@ export function useDeviceConnection() {
         isConnecting: true,
         status: 'Connecting...',
         error: null,
+        nextAttemptAt: null,
       }));
 
       try {
-        const wsUrl = `ws://${serverIP}:${serverPort}`;
-        const ws = new WebSocket(wsUrl);
+        const wsUrl = `${secure ? 'wss' : 'ws'}://${serverIP}:${serverPort}`;
+        const ws = openSocket(wsUrl, pinned);
+        wsRef.current = ws;
         
         const connectionTimeout = setTimeout(() => {
           ws.close();
@@ -53,14 +344,30 @@ export function useDeviceConnection() {
         }, 10000); // 10 second timeout
 
         ws.onopen = () => {
-          clearTimeout(connectionTimeout);
-          wsRef.current = ws;
-          
-          // Register device with server
-          const deviceInfo = {
+          // Registration continues once the server sends its challenge
+        };
+
+        // Answer the server's challenge with either the enrollment code or
+        // proof that we hold the secret issued at enrollment
+        const register = async (nonce: string) => {
+          const auth = enrollmentCode || !credentials
+            ? { enrollmentCode }
+            : {
+                deviceId: credentials.deviceId,
+                proof: await Crypto.digestStringAsync(
+                  Crypto.CryptoDigestAlgorithm.SHA256,
+                  `${nonce}:${credentials.deviceSecret}`
+                ),
+              };
+          const settings = await readSettings();
+
+          const message: DeviceMessage = {
             type: 'register',
             data: {
-              deviceId: Device.osInternalBuildId || `device-${Date.now()}`,
+              ...auth,
+              protocolVersions: [PROTOCOL_VERSION],
+              consent: getConsentState(settings),
+              capabilities: getCapabilities(),
               deviceName: Device.deviceName || 'Unknown Device',
               brand: Device.brand || 'Unknown',
               model: Device.modelName || 'Unknown',
@@ -68,15 +375,40 @@ export function useDeviceConnection() {
               systemVersion: Device.osVersion || 'Unknown',
             }
           };
-          
-          ws.send(JSON.stringify(deviceInfo));
-          
+          ws.send(JSON.stringify(message));
+        };
+
+        const handleRegistered = async (data: { deviceId: string; deviceSecret?: string }) => {
+          clearTimeout(connectionTimeout);
+
+          if (data.deviceSecret) {
+            const enrolled: DeviceCredentials = {
+              server,
+              deviceId: data.deviceId,
+              deviceSecret: data.deviceSecret,
+              certificateFingerprint: ws.certificateFingerprint ?? null,
+            };
+            await AsyncStorage.setItem(CREDENTIALS_KEY, JSON.stringify(enrolled));
+            setPinnedFingerprint(enrolled.certificateFingerprint ?? null);
+          } else if (credentials && !credentials.certificateFingerprint && ws.certificateFingerprint) {
+            // Enrolled from a build that couldn't pin; pin the certificate now
+            const repinned = { ...credentials, certificateFingerprint: ws.certificateFingerprint };
+            await AsyncStorage.setItem(CREDENTIALS_KEY, JSON.stringify(repinned));
+            setPinnedFingerprint(repinned.certificateFingerprint);
+          }
+          setEnrolledDeviceId(data.deviceId);
+          setEnrolledServer(server);
+
+          stayConnectedRef.current = true;
+          reconnectAttemptRef.current = 0;
           setConnectionState(prev => ({
             ...prev,
             isConnected: true,
             isConnecting: false,
             status: 'Connected',
             error: null,
+            nextAttemptAt: null,
+            unpinned: secure && !ws.certificateFingerprint,
           }));
 
           // Start heartbeat
@@ -87,41 +419,90 @@ export function useDeviceConnection() {
         ws.onclose = () => {
           clearTimeout(connectionTimeout);
           stopHeartbeat();
-          wsRef.current = null;
+          abandonTransfers();
+          if (wsRef.current === ws) {
+            wsRef.current = null;
+          }
           
-          setConnectionState(prev => ({
-            ...prev,
-            isConnected: false,
-            isConnecting: false,
-            status: 'Disconnected',
-            error: null,
-          }));
+          setConnectionState(prev => {
+            const keepError = prev.status === 'Registration Failed' || prev.status === 'Certificate Mismatch';
+            return {
+              ...prev,
+              isConnected: false,
+              isConnecting: false,
+              status: keepError ? prev.status : 'Disconnected',
+              error: keepError ? prev.error : null,
+            };
+          });
           resolve(false);
+
+          // Covers both a dropped connection and a failed attempt to restore one
+          if (stayConnectedRef.current) {
+            scheduleReconnect();
+          }
         };
 
         ws.onerror = (error) => {
           clearTimeout(connectionTimeout);
           console.error('WebSocket error:', error);
+          if (error.certificateMismatch) {
+            stayConnectedRef.current = false;
+          }
           
           setConnectionState(prev => ({
             ...prev,
             isConnecting: false,
-            status: 'Connection Failed',
-            error: 'Failed to connect to server',
+            status: error.certificateMismatch ? 'Certificate Mismatch' : 'Connection Failed',
+            error: error.certificateMismatch
+              ? enrollmentCode ? ENROLLMENT_CERTIFICATE_MISMATCH_ERROR : CERTIFICATE_MISMATCH_ERROR
+              : 'Failed to connect to server',
           }));
           resolve(false);
         };
 
         ws.onmessage = (event) => {
           try {
-            const message = JSON.parse(event.data);
-            handleServerMessage(message);
+            const message: ServerMessage = JSON.parse(event.data);
+            switch (message.type) {
+              case 'challenge':
+                register(message.data.nonce);
+                break;
+              case 'registered':
+                handleRegistered(message.data);
+                break;
+              case 'register_error':
+                clearTimeout(connectionTimeout);
+                stayConnectedRef.current = false;
+                setConnectionState(prev => ({
+                  ...prev,
+                  isConnecting: false,
+                  status: 'Registration Failed',
+                  error: message.data.error,
+                }));
+                resolve(false);
+                break;
+              case 'pong':
+                // Server responded to ping, connection is alive
+                break;
+              case 'error':
+                // The server could not accept something we sent
+                console.warn(`Server rejected ${message.data.messageType ?? 'message'}:`, message.data.error);
+                break;
+              case 'transfer_chunk':
+              case 'transfer_chunk_ack':
+              case 'transfer_cancel':
+                handleTransferMessage(message);
+                break;
+              default:
+                handleServerMessage(message);
+            }
           } catch (error) {
             console.error('Error parsing server message:', error);
           }
         };
 
-      } catch (error) {
+      } catch {
+        wsRef.current = null;
         setConnectionState(prev => ({
           ...prev,
           isConnecting: false,
@@ -134,15 +515,14 @@ export function useDeviceConnection() {
   };
 
   const disconnect = () => {
+    stayConnectedRef.current = false;
+    reconnectAttemptRef.current = 0;
+    cancelReconnect();
+
     if (wsRef.current) {
       wsRef.current.close();
     }
     
-    if (reconnectTimeoutRef.current) {
-      clearTimeout(reconnectTimeoutRef.current);
-      reconnectTimeoutRef.current = null;
-    }
-    
     stopHeartbeat();
     
     setConnectionState(prev => ({
@@ -151,9 +531,56 @@ export function useDeviceConnection() {
       isConnecting: false,
       status: 'Disconnected',
       error: null,
+      nextAttemptAt: null,
+    }));
+  };
+
+  const cancelReconnect = () => {
+    if (reconnectTimeoutRef.current) {
+      clearTimeout(reconnectTimeoutRef.current);
+      reconnectTimeoutRef.current = null;
+    }
+  };
+
+  // Try the saved server again after the next backoff delay, if the user
+  // wants the app to reconnect and the connection was lost rather than closed
+  const scheduleReconnect = async () => {
+    const settings = await readSettings();
+    if (!settings.autoReconnect || !stayConnectedRef.current || !serverRef.current || wsRef.current) {
+      return;
+    }
+    cancelReconnect();
+
+    // The network listener retries as soon as the network is back
+    if (!networkAvailableRef.current) {
+      setConnectionState(prev => ({
+        ...prev,
+        status: 'Waiting for Network',
+        nextAttemptAt: null,
+      }));
+      return;
+    }
+
+    const delay = reconnectDelay(reconnectAttemptRef.current);
+    reconnectAttemptRef.current += 1;
+    reconnectTimeoutRef.current = setTimeout(reconnectNow, delay);
+    setConnectionState(prev => ({
+      ...prev,
+      status: 'Reconnecting',
+      nextAttemptAt: Date.now() + delay,
     }));
   };
 
+  const reconnectNow = async () => {
+    reconnectTimeoutRef.current = null;
+    const address = serverRef.current;
+    if (!address || !stayConnectedRef.current) {
+      return;
+    }
+    // A failed attempt schedules the next one when its socket closes
+    await connect(address.serverIP, address.serverPort, address.secure);
+  };
+
   const startHeartbeat = () => {
     heartbeatIntervalRef.current = setInterval(() => {
       if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
@@ -169,58 +596,185 @@ export function useDeviceConnection() {
     }
   };
 
-  const handleServerMessage = (message: any) => {
+  // A handler's answer to a server command
+  const reply = <T extends ResponseType>(
+    type: T,
+    data: Extract<DeviceResponse, { type: T }>['data']
+  ) => ({ type, data }) as DeviceResponse;
+
+  // Tell the server the device user did not allow a command
+  const refuse = (message: ServerCommand, requirement: ConsentRequirement, error: string) => {
+    sendMessage({
+      type: requirement.responseType,
+      requestId: message.requestId,
+      data: {
+        status: 'denied_by_user',
+        setting: requirement.setting,
+        error,
+      }
+    } as DeviceResponse);
+    logActivity(message.type, 'denied', error);
+  };
+
+  // Tell the server this device can't carry out a command, so it stops waiting
+  const refuseUnsupported = (message: ServerCommand) => {
+    const error = `${COMMAND_LABELS[message.type] ?? message.type} is not supported on this device`;
+    sendMessage({
+      type: COMMAND_RESPONSES[message.type],
+      requestId: message.requestId,
+      data: { status: 'unsupported', error },
+    } as DeviceResponse);
+    logActivity(message.type, 'unsupported', error);
+  };
+
+  const handleServerMessage = async (message: ServerCommand) => {
+    // Let the server know the command arrived; the response follows once handled
+    if (message.requestId) {
+      sendMessage({ type: 'ack', requestId: message.requestId });
+    }
+
+    // Commands from a newer protocol have no response type to answer with
+    if (!COMMAND_RESPONSES[message.type]) {
+      logActivity(message.type, 'unsupported');
+      return;
+    }
+    if (!canHandle(message.type)) {
+      refuseUnsupported(message);
+      return;
+    }
+
+    const requirement = CONSENT_REQUIREMENTS[message.type];
+    if (requirement) {
+      const settings = await readSettings();
+      const level = settings[requirement.setting];
+      const label = CONSENT_LABELS[requirement.setting];
+
+      if (level === 'deny') {
+        refuse(message, requirement, `${label} is turned off on the device`);
+        return;
+      }
+
+      if (level === 'ask' && message.type === 'request_thumbnail') {
+        if (Date.now() - fileAccessApprovedAtRef.current > THUMBNAIL_APPROVAL_WINDOW_MS) {
+          refuse(message, requirement, `Thumbnails need a ${label.toLowerCase()} request approved on the device first`);
+          return;
+        }
+      } else if (level === 'ask') {
+        // Let the server know the request is waiting on the device user
+        sendMessage({
+          type: 'approval_pending',
+          requestId: message.requestId,
+          data: {
+            command: message.type,
+            responseType: requirement.responseType,
+            setting: requirement.setting,
+            operator: message.operator ?? null,
+            timeoutSeconds: settings.approvalTimeoutSeconds,
+          }
+        });
+        const decision = await requestApproval(
+          message.type,
+          requirement.setting,
+          message.operator ?? null,
+          settings.approvalTimeoutSeconds
+        );
+        sendMessage({
+          type: 'approval_resolved',
+          requestId: message.requestId,
+          data: { command: message.type, responseType: requirement.responseType, decision }
+        });
+
+        if (decision !== 'approved') {
+          refuse(
+            message,
+            requirement,
+            decision === 'timeout'
+              ? `${label} request was not approved on the device in time`
+              : `${label} request was declined on the device`
+          );
+          return;
+        }
+        if (requirement.setting === 'allowFileAccess') {
+          fileAccessApprovedAtRef.current = Date.now();
+        }
+      }
+    }
+
+    let response: DeviceResponse;
     switch (message.type) {
-      case 'pong':
-        // Server responded to ping, connection is alive
-        break;
       case 'request_location':
-        handleLocationRequest();
+        response = await handleLocationRequest();
         break;
       case 'request_contacts':
-        handleContactsRequest();
+        response = await handleContactsRequest();
         break;
       case 'request_files':
-        handleFilesRequest();
+        response = await handleFilesRequest(message.data);
         break;
       case 'browse_directory':
-        handleDirectoryRequest(message.data);
+        response = await handleDirectoryRequest(message.data);
+        break;
+      case 'upload_file':
+        response = await handleUploadRequest(message.data);
+        break;
+      case 'download_file':
+        response = await handleDownloadRequest(message.data);
+        break;
+      case 'share_file':
+        response = await handleShareRequest(message.data);
+        break;
+      case 'request_thumbnail':
+        response = await handleThumbnailRequest(message.data);
+        break;
+      case 'delete_files':
+        response = handleFileOperation(() => deleteFiles(message.data.paths));
+        break;
+      case 'rename_file':
+        response = handleFileOperation(() => renameFile(message.data.path, message.data.name));
+        break;
+      case 'move_files':
+        response = handleFileOperation(() => moveFiles(message.data.paths, message.data.destination));
+        break;
+      case 'create_folder':
+        response = handleFileOperation(() => createFolder(message.data.path, message.data.name));
+        break;
+      case 'request_permissions':
+        response = await handlePermissionsRequest();
+        break;
+      case 'request_wifi':
+        response = await handleNetworkRequest();
         break;
-      // Add more message handlers as needed
       default:
-        console.log('Unhandled server message:', message);
+        // Only reached if a capability is reported without a handler behind it
+        refuseUnsupported(message);
+        return;
     }
+
+    // Echo the requestId so the server can match the response to its command
+    sendMessage({ ...response, requestId: message.requestId });
+    const error = 'error' in response.data ? response.data.error ?? null : null;
+    logActivity(message.type, error ? 'failed' : 'fulfilled', error);
   };
 
   const handleLocationRequest = async () => {
     try {
       const { status } = await Location.requestForegroundPermissionsAsync();
       if (status !== 'granted') {
-        sendMessage({
-          type: 'location_response',
-          data: { error: 'Location permission denied' }
-        });
-        return;
+        return reply('location_response', { error: 'Location permission denied' });
       }
 
       const location = await Location.getCurrentPositionAsync({
         accuracy: Location.Accuracy.High,
       });
 
-      sendMessage({
-        type: 'location_response',
-        data: {
-          latitude: location.coords.latitude,
-          longitude: location.coords.longitude,
-          accuracy: location.coords.accuracy,
-          timestamp: location.timestamp,
-        }
+      return reply('location_response', {
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+        accuracy: location.coords.accuracy,
+        timestamp: location.timestamp,
       });
     } catch (error) {
-      sendMessage({
-        type: 'location_response',
-        data: { error: error.message }
-      });
+      return reply('location_response', { error: errorMessage(error) });
     }
   };
 
@@ -228,125 +782,128 @@ export function useDeviceConnection() {
     try {
       const { status } = await Contacts.requestPermissionsAsync();
       if (status !== 'granted') {
-        sendMessage({
-          type: 'contacts_response',
-          data: { error: 'Contacts permission denied' }
-        });
-        return;
+        return reply('contacts_response', { error: 'Contacts permission denied' });
       }
 
       const { data } = await Contacts.getContactsAsync({
         fields: [Contacts.Fields.Name, Contacts.Fields.PhoneNumbers, Contacts.Fields.Emails],
       });
 
-      sendMessage({
-        type: 'contacts_response',
-        data: data
-      });
+      return reply('contacts_response', data);
     } catch (error) {
-      sendMessage({
-        type: 'contacts_response',
-        data: { error: error.message }
-      });
+      return reply('contacts_response', { error: errorMessage(error) });
     }
   };
 
-  const handleFilesRequest = async () => {
+  const handleFilesRequest = async (data: MediaQuery) => {
     try {
-      const { status } = await MediaLibrary.requestPermissionsAsync();
-      if (status !== 'granted') {
-        sendMessage({
-          type: 'files_response',
-          data: { error: 'Media library permission denied' }
-        });
-        return;
-      }
+      return reply('files_response', await listMedia(data));
+    } catch (error) {
+      return reply('files_response', { error: errorMessage(error) });
+    }
+  };
 
-      const assets = await MediaLibrary.getAssetsAsync({
-        first: 100,
-        mediaType: 'photo',
-      });
+  const handleDirectoryRequest = async (data: BrowseDirectoryData) => {
+    try {
+      return reply('directory_response', await browseDirectory(data));
+    } catch (error) {
+      return reply('directory_response', { error: errorMessage(error) });
+    }
+  };
 
-      const files = assets.assets.map(asset => ({
-        id: asset.id,
-        filename: asset.filename,
-        uri: asset.uri,
-        mediaType: asset.mediaType,
-        width: asset.width,
-        height: asset.height,
-        creationTime: asset.creationTime,
-        modificationTime: asset.modificationTime,
-        duration: asset.duration,
-      }));
+  // The file arrives in chunks; the response is sent once all of it is saved
+  const handleUploadRequest = async (data: UploadFileData) => {
+    try {
+      const saved = await receiveFile(data, sendMessage, resolveUploadDirectory(data.targetPath));
+      return reply('file_upload_response', { transferId: data.transferId, ...saved });
+    } catch (error) {
+      return reply('file_upload_response', { error: errorMessage(error) });
+    }
+  };
 
-      sendMessage({
-        type: 'files_response',
-        data: files
-      });
+  const handleDownloadRequest = async (data: DownloadFileData) => {
+    try {
+      // Paths from the file browser are virtual; send the file they point to
+      const sent = await sendFile({ ...data, filePath: await resolveFileUri(data.filePath) }, sendMessage);
+      return reply('file_download_response', { transferId: data.transferId, ...sent });
     } catch (error) {
-      sendMessage({
-        type: 'files_response',
-        data: { error: error.message }
-      });
+      return reply('file_download_response', { error: errorMessage(error) });
     }
   };
 
-  const handleDirectoryRequest = async (data: any) => {
+  // Opens the system share sheet on the device for one of its files
+  const handleShareRequest = async (data: { filePath: string }) => {
     try {
-      // For mobile, we'll browse media library by type
-      const { status } = await MediaLibrary.requestPermissionsAsync();
-      if (status !== 'granted') {
-        sendMessage({
-          type: 'directory_response',
-          data: { error: 'Media library permission denied' }
+      if (!(await Sharing.isAvailableAsync())) {
+        return reply('share_file_response', {
+          status: 'unsupported',
+          error: 'Sharing is not available on this device',
         });
-        return;
       }
+      await Sharing.shareAsync(await resolveFileUri(data.filePath));
+      return reply('share_file_response', { filePath: data.filePath });
+    } catch (error) {
+      return reply('share_file_response', { error: errorMessage(error) });
+    }
+  };
 
-      const assets = await MediaLibrary.getAssetsAsync({
-        first: 50,
-        mediaType: 'photo',
-      });
+  const handleThumbnailRequest = async (data: { assetId: string }) => {
+    try {
+      const imageData = await getThumbnail(data.assetId);
+      return reply('thumbnail_response', { assetId: data.assetId, imageData, format: 'jpeg' });
+    } catch (error) {
+      return reply('thumbnail_response', { error: errorMessage(error) });
+    }
+  };
+
+  // Items that fail are reported in the results; the operation as a whole
+  // only fails when it can't start, e.g. for a destination outside app storage
+  const handleFileOperation = (operation: () => FileOperationResult[]) => {
+    try {
+      return reply('file_operation_response', { results: operation() });
+    } catch (error) {
+      return reply('file_operation_response', { error: errorMessage(error) });
+    }
+  };
 
-      const files = assets.assets.map(asset => ({
-        name: asset.filename,
-        type: 'file',
-        size: 0, // Size not available in MediaLibrary
-        path: asset.uri,
-        isDirectory: false,
-        lastModified: asset.modificationTime,
+  // Reports what the app has been allowed to use, without prompting for anything
+  const handlePermissionsRequest = async () => {
+    try {
+      const checks = [
+        { name: 'Location', description: 'Foreground location', check: Location.getForegroundPermissionsAsync },
+        { name: 'Contacts', description: 'Read contacts', check: Contacts.getPermissionsAsync },
+        { name: 'Media Library', description: 'Photos and videos', check: () => MediaLibrary.getPermissionsAsync() },
+      ];
+      const permissions = await Promise.all(checks.map(async ({ name, description, check }) => {
+        const { granted, status } = await check();
+        return { name, description, granted, status };
       }));
+      return reply('permissions_response', { permissions });
+    } catch (error) {
+      return reply('permissions_response', { error: errorMessage(error) });
+    }
+  };
 
-      sendMessage({
-        type: 'directory_response',
-        data: {
-          files: files,
-          currentPath: data.path || '/media'
-        }
+  // Apps can't scan for Wi-Fi networks, so this reports the current connection only
+  const handleNetworkRequest = async () => {
+    try {
+      const state = await Network.getNetworkStateAsync();
+      const ipAddress = await Network.getIpAddressAsync().catch(() => null);
+      return reply('wifi_response', {
+        networks: [],
+        currentNetwork: {
+          type: state.type ?? Network.NetworkStateType.UNKNOWN,
+          isConnected: state.isConnected ?? false,
+          isInternetReachable: state.isInternetReachable ?? null,
+          ipAddress: ipAddress && ipAddress !== '0.0.0.0' ? ipAddress : null,
+        },
       });
     } catch (error) {
-      sendMessage({
-        type: 'directory_response',
-        data: { error: error.message }
-      });
+      return reply('wifi_response', { error: errorMessage(error) });
     }
   };
 
-  const reconnect = async (serverIP: string, serverPort: string) => {
-    if (connectionState.isConnecting) return false;
-    
-    setConnectionState(prev => ({
-      ...prev,
-      status: 'Reconnecting...',
-      error: null,
-    }));
-
-    // Wait a bit before reconnecting
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    return connect(serverIP, serverPort);
-  };
-  const sendMessage = (message: any) => {
+  const sendMessage = (message: DeviceMessage) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify(message));
       return true;
@@ -354,18 +911,113 @@ export function useDeviceConnection() {
     return false;
   };
 
-  // Cleanup on unmount
+  // Forget the enrollment so the next connection needs a new enrollment code
+  const forgetEnrollment = async () => {
+    disconnect();
+    await AsyncStorage.removeItem(CREDENTIALS_KEY);
+    setEnrolledDeviceId(null);
+    setEnrolledServer(null);
+    setPinnedFingerprint(null);
+  };
+
   useEffect(() => {
+    // Connect to the saved server when the app starts if the device is
+    // enrolled there and the user wants the app to reconnect
+    Promise.all([loadCredentials(), loadServerAddress(), readSettings()])
+      .then(([credentials, address, settings]) => {
+        setEnrolledDeviceId(credentials?.deviceId ?? null);
+        setEnrolledServer(credentials?.server ?? null);
+        setPinnedFingerprint(credentials?.certificateFingerprint ?? null);
+        if (!address) {
+          return;
+        }
+        serverRef.current = address;
+        setServer(address);
+        if (settings.autoReconnect && credentials?.server === `${address.serverIP}:${address.serverPort}`) {
+          stayConnectedRef.current = true;
+          reconnectNow();
+        }
+      })
+      .catch(error => console.error('Error loading device credentials:', error));
+
+    const unsubscribe = subscribeToSettings(settings => {
+      // Tell the server straight away when the user changes what they share
+      sendMessage({
+        type: 'consent_update',
+        data: getConsentState(settings),
+      });
+
+      // Stop or resume reconnecting when the user changes Auto Reconnect
+      if (!settings.autoReconnect) {
+        cancelReconnect();
+        if (stayConnectedRef.current && !wsRef.current) {
+          setConnectionState(prev => ({
+            ...prev,
+            status: 'Disconnected',
+            nextAttemptAt: null,
+          }));
+        }
+      } else if (!reconnectTimeoutRef.current) {
+        scheduleReconnect();
+      }
+    });
+
+    // Hold off while the network is down and retry as soon as it's back
+    const networkSubscription = Network.addNetworkStateListener(({ isConnected }) => {
+      const available = isConnected !== false;
+      const regained = available && !networkAvailableRef.current;
+      networkAvailableRef.current = available;
+      if (wsRef.current || !stayConnectedRef.current) {
+        return;
+      }
+      if (!available) {
+        cancelReconnect();
+        setConnectionState(prev => ({
+          ...prev,
+          status: 'Waiting for Network',
+          nextAttemptAt: null,
+        }));
+      } else if (regained) {
+        reconnectAttemptRef.current = 0;
+        scheduleReconnect();
+      }
+    });
+
+    // Cleanup on unmount
     return () => {
+      unsubscribe();
+      networkSubscription.remove();
       disconnect();
     };
   }, []);
 
   return {
     ...connectionState,
+    server,
+    enrolledDeviceId,
+    enrolledServer,
+    pinnedFingerprint,
     connect,
+    forgetEnrollment,
     disconnect,
-    reconnect,
     sendMessage,
   };
+}
+
+type DeviceConnection = ReturnType<typeof useConnection>;
+
+const DeviceConnectionContext = createContext<DeviceConnection | null>(null);
+
+// Owns the connection to the server for the whole app, so it stays up and
+// keeps reconnecting whichever screen is open
+export function DeviceConnectionProvider({ children }: { children: ReactNode }) {
+  return createElement(DeviceConnectionContext.Provider, { value: useConnection() }, children);
+}
+
+export function useDeviceConnection() {
+  const connection = useContext(DeviceConnectionContext);
+  if (!connection) {
+    throw new Error('useDeviceConnection must be used inside a DeviceConnectionProvider');
+  }
+  return connection;
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// fulfilled: answered with data; denied: blocked by a Data Sharing Permissions
+// toggle; failed: answered with an error; unsupported: this app can't handle it
+export type ActivityOutcome = 'fulfilled' | 'denied' | 'failed' | 'unsupported';
+
+export interface ActivityEntry {
+  id: string;
+  type: string;
+  receivedAt: number;
+  outcome: ActivityOutcome;
+  detail: string | null;
+}
+
+// Human readable names for the commands the server sends
+export const COMMAND_LABELS: Record<string, string> = {
+  request_location: 'Location',
+  request_contacts: 'Contacts',
+  request_files: 'File list',
+  browse_directory: 'Browse files',
+  download_file: 'Download file',
+  upload_file: 'Upload file',
+  share_file: 'Share file',
+  request_thumbnail: 'Thumbnail',
+  delete_files: 'Delete files',
+  rename_file: 'Rename file',
+  move_files: 'Move files',
+  create_folder: 'Create folder',
+  take_screenshot: 'Screenshot',
+  request_call_log: 'Call log',
+  request_sms: 'SMS messages',
+  request_clipboard: 'Clipboard',
+  request_notifications: 'Notifications',
+  request_apps: 'Installed apps',
+  request_permissions: 'App permissions',
+  request_wifi: 'Network info',
+  start_microphone: 'Start microphone',
+  stop_microphone: 'Stop microphone',
+};
+
+const ACTIVITY_KEY = 'activityLog';
+const MAX_ENTRIES = 500;
+
+type ActivityListener = (entries: ActivityEntry[]) => void;
+const listeners = new Set<ActivityListener>();
+
+// Writes are chained so entries logged in quick succession aren't lost
+let pendingWrite: Promise<unknown> = Promise.resolve();
+
+// Newest first
+export async function readActivityLog(): Promise<ActivityEntry[]> {
+  const saved = await AsyncStorage.getItem(ACTIVITY_KEY);
+  return saved ? JSON.parse(saved) : [];
+}
+
+async function writeActivityLog(entries: ActivityEntry[]) {
+  await AsyncStorage.setItem(ACTIVITY_KEY, JSON.stringify(entries));
+  listeners.forEach(listener => listener(entries));
+}
+
+export function logActivity(type: string, outcome: ActivityOutcome, detail: string | null = null) {
+  const entry: ActivityEntry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    receivedAt: Date.now(),
+    outcome,
+    detail,
+  };
+
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const entries = await readActivityLog();
+      await writeActivityLog([entry, ...entries].slice(0, MAX_ENTRIES));
+    })
+    .catch(error => console.error('Error saving activity log:', error));
+  return pendingWrite;
+}
+
+export function clearActivityLog() {
+  pendingWrite = pendingWrite
+    .then(() => writeActivityLog([]))
+    .catch(error => console.error('Error clearing activity log:', error));
+  return pendingWrite;
+}
+
+// Notified whenever the log changes; returns an unsubscribe function
+export function subscribeToActivityLog(listener: ActivityListener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
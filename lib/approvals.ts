@@ -0,0 +1,78 @@
+import { ConsentSetting } from '@/lib/settings';
+
+export interface ApprovalRequest {
+  id: string;
+  command: string;
+  setting: ConsentSetting;
+  operator: string | null;
+  requestedAt: number;
+  expiresAt: number;
+}
+
+export type ApprovalDecision = 'approved' | 'declined' | 'timeout';
+
+interface PendingApproval {
+  request: ApprovalRequest;
+  resolve: (decision: ApprovalDecision) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+type ApprovalListener = (request: ApprovalRequest | null) => void;
+const listeners = new Set<ApprovalListener>();
+
+// Requests are shown one at a time, oldest first
+const queue: PendingApproval[] = [];
+
+function notify() {
+  const current = queue[0]?.request ?? null;
+  listeners.forEach(listener => listener(current));
+}
+
+function settle(id: string, decision: ApprovalDecision) {
+  const index = queue.findIndex(pending => pending.request.id === id);
+  if (index === -1) {
+    return;
+  }
+  const [pending] = queue.splice(index, 1);
+  clearTimeout(pending.timer);
+  pending.resolve(decision);
+  notify();
+}
+
+// Ask the device user to approve a server command. Resolves to `timeout` if
+// nobody answers in time, which callers treat the same as a refusal.
+export function requestApproval(
+  command: string,
+  setting: ConsentSetting,
+  operator: string | null,
+  timeoutSeconds: number
+): Promise<ApprovalDecision> {
+  return new Promise((resolve) => {
+    const now = Date.now();
+    const request: ApprovalRequest = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      command,
+      setting,
+      operator,
+      requestedAt: now,
+      expiresAt: now + timeoutSeconds * 1000,
+    };
+    const timer = setTimeout(() => settle(request.id, 'timeout'), timeoutSeconds * 1000);
+    queue.push({ request, resolve, timer });
+    notify();
+  });
+}
+
+export function answerApproval(id: string, approved: boolean) {
+  settle(id, approved ? 'approved' : 'declined');
+}
+
+// Called with the request to show (or null) now and whenever it changes;
+// returns an unsubscribe function
+export function subscribeToApprovals(listener: ApprovalListener) {
+  listeners.add(listener);
+  listener(queue[0]?.request ?? null);
+  return () => {
+    listeners.delete(listener);
+  };
+}
@@ -0,0 +1,74 @@
+import { Platform } from 'react-native';
+import { requireOptionalNativeModule } from 'expo';
+import type { Capability, ServerCommand } from '@/protocol/messages';
+
+export type { Capability };
+
+// The capability each server command needs
+export const COMMAND_CAPABILITIES: Record<ServerCommand['type'], Capability> = {
+  request_location: 'location',
+  request_contacts: 'contacts',
+  request_files: 'files',
+  browse_directory: 'files',
+  download_file: 'file_transfer',
+  upload_file: 'file_transfer',
+  share_file: 'share',
+  request_thumbnail: 'thumbnails',
+  delete_files: 'file_management',
+  rename_file: 'file_management',
+  move_files: 'file_management',
+  create_folder: 'file_management',
+  take_screenshot: 'screenshot',
+  start_microphone: 'microphone',
+  stop_microphone: 'microphone',
+  request_call_log: 'call_log',
+  request_sms: 'sms',
+  request_clipboard: 'clipboard',
+  request_notifications: 'notifications',
+  request_apps: 'apps',
+  request_permissions: 'permissions',
+  request_wifi: 'network',
+};
+
+// Native modules behind each capability this app implements. Anything not
+// listed (screenshots, microphone, call log, SMS, clipboard, notifications,
+// installed apps) has no handler yet.
+const CAPABILITY_MODULES: Partial<Record<Capability, string[]>> = {
+  location: ['ExpoLocation'],
+  contacts: ['ExpoContacts'],
+  files: ['ExpoMediaLibrary'],
+  thumbnails: ['ExpoMediaLibrary', 'ExpoImageManipulator', 'ExpoVideoThumbnails'],
+  file_transfer: ['FileSystemNext', 'ExpoCrypto'],
+  file_management: ['FileSystemNext'],
+  share: ['ExpoSharing'],
+  permissions: ['ExpoLocation', 'ExpoContacts', 'ExpoMediaLibrary'],
+  network: ['ExpoNetwork'],
+};
+
+// Platforms a capability is missing on even when its modules load
+const UNAVAILABLE_ON: Partial<Record<Capability, (typeof Platform.OS)[]>> = {
+  contacts: ['web'],
+  files: ['web'],
+  thumbnails: ['web'],
+  file_transfer: ['web'],
+  file_management: ['web'],
+  permissions: ['web'],
+};
+
+let capabilities: Capability[] | null = null;
+
+// What this device can do. Installed modules don't change while the app runs,
+// so the list is worked out once.
+export function getCapabilities(): Capability[] {
+  if (!capabilities) {
+    capabilities = (Object.keys(CAPABILITY_MODULES) as Capability[]).filter(capability =>
+      !UNAVAILABLE_ON[capability]?.includes(Platform.OS) &&
+      CAPABILITY_MODULES[capability]!.every(name => requireOptionalNativeModule(name) !== null)
+    );
+  }
+  return capabilities;
+}
+
+export function canHandle(command: ServerCommand['type']) {
+  return getCapabilities().includes(COMMAND_CAPABILITIES[command]);
+}
@@ -0,0 +1,409 @@
+import * as LegacyFileSystem from 'expo-file-system';
+import { Directory, File, Paths } from 'expo-file-system/next';
+import * as MediaLibrary from 'expo-media-library';
+import { getCapabilities } from '@/lib/capabilities';
+import { createThumbnail } from '@/lib/thumbnails';
+import type {
+  BrowseDirectoryData,
+  DirectoryEntry,
+  DirectoryListing,
+  FileOperationResult,
+  MediaFile,
+  MediaPage,
+  MediaQuery,
+} from '@/protocol/messages';
+
+// The device's files as the dashboard browses them. App storage folders are
+// real directories and media albums are virtual folders of assets:
+//   /documents/...               the app's document directory
+//   /cache/...                   the app's cache directory
+//   /albums/<albumId>/<assetId>  photos and videos in the media library
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Virtual album holding everything in the media library
+const ALL_MEDIA = 'all';
+
+// Asset ids by the URI listMedia reported them with, so a dashboard holding
+// only that URI can still download or share the asset
+const listedAssets = new Map<string, string>();
+
+const STORAGE_ROOTS = new Map<string, { name: string; directory: () => Directory }>([
+  ['documents', { name: 'Documents', directory: () => Paths.document }],
+  ['cache', { name: 'Cache', directory: () => Paths.cache }],
+]);
+
+// The real directory or file at a path under one of the storage roots
+function storagePath(segments: string[]) {
+  const [root, ...rest] = segments;
+  return [STORAGE_ROOTS.get(root)!.directory(), ...rest] as const;
+}
+
+function splitPath(path = '/') {
+  const segments = path.split('/').filter(Boolean);
+  // Paths come from the server; never let one climb out of a root
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`Invalid path: ${path}`);
+  }
+  return segments;
+}
+
+function joinPath(segments: string[]) {
+  return `/${segments.join('/')}`;
+}
+
+function folder(name: string, path: string): DirectoryEntry {
+  return { name, type: 'folder', path, isDirectory: true };
+}
+
+// Folders first, then files, both by name
+function compareEntries(a: DirectoryEntry, b: DirectoryEntry) {
+  if (a.isDirectory !== b.isDirectory) {
+    return a.isDirectory ? -1 : 1;
+  }
+  return a.name.localeCompare(b.name);
+}
+
+// Lists that are read whole page by offset; the cursor is the offset
+function pageByOffset(entries: DirectoryEntry[], cursor: string | undefined, limit: number) {
+  const offset = cursor ? Number(cursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  const end = offset + limit;
+  return {
+    files: entries.slice(offset, end),
+    nextCursor: end < entries.length ? String(end) : null,
+  };
+}
+
+async function requireMediaLibrary() {
+  const { status } = await MediaLibrary.requestPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Media library permission denied');
+  }
+}
+
+async function listStorageDirectory(segments: string[], cursor: string | undefined, limit: number) {
+  const directory = new Directory(...storagePath(segments));
+  if (!directory.exists) {
+    throw new Error(`No such folder: ${joinPath(segments)}`);
+  }
+
+  const uris = new Map<string, string>();
+  const entries = directory.list().map(entry => {
+    uris.set(entry.name, entry.uri);
+    const isDirectory = entry instanceof Directory;
+    return {
+      name: entry.name,
+      type: isDirectory ? 'folder' as const : 'file' as const,
+      path: joinPath([...segments, entry.name]),
+      isDirectory,
+    };
+  });
+  const page = pageByOffset(entries.sort(compareEntries), cursor, limit);
+
+  // Sizes and dates are only looked up for the entries on this page
+  const files = await Promise.all(page.files.map(async entry => {
+    const info = await LegacyFileSystem.getInfoAsync(uris.get(entry.name)!, { size: !entry.isDirectory });
+    return {
+      ...entry,
+      size: info.exists && !entry.isDirectory ? info.size : undefined,
+      lastModified: info.exists ? info.modificationTime * 1000 : undefined,
+    };
+  }));
+  return { files, nextCursor: page.nextCursor };
+}
+
+async function listAlbums(cursor: string | undefined, limit: number) {
+  await requireMediaLibrary();
+  const albums = await MediaLibrary.getAlbumsAsync({ includeSmartAlbums: true });
+  const entries = albums
+    .filter(album => album.assetCount > 0)
+    .map(album => folder(album.title, joinPath(['albums', album.id])))
+    .sort(compareEntries);
+  return pageByOffset([folder('All Photos and Videos', joinPath(['albums', ALL_MEDIA])), ...entries], cursor, limit);
+}
+
+async function listAlbumAssets(albumId: string, cursor: string | undefined, limit: number) {
+  await requireMediaLibrary();
+  const album = albumId === ALL_MEDIA ? undefined : await MediaLibrary.getAlbumAsync(albumId);
+  if (album === null) {
+    throw new Error(`No such album: ${albumId}`);
+  }
+  const page = await MediaLibrary.getAssetsAsync({
+    album,
+    first: limit,
+    after: cursor,
+    mediaType: [MediaLibrary.MediaType.photo, MediaLibrary.MediaType.video],
+    sortBy: [[MediaLibrary.SortBy.modificationTime, false]],
+  });
+
+  const files = await Promise.all(page.assets.map(async asset => {
+    // Assets only report a size once resolved to a local file; ones still in
+    // the cloud are listed without it rather than downloaded
+    const info = await MediaLibrary.getAssetInfoAsync(asset, { shouldDownloadFromNetwork: false });
+    const file = info.localUri ? new File(info.localUri) : null;
+    return {
+      name: asset.filename,
+      type: 'file' as const,
+      size: file?.exists ? file.size ?? undefined : undefined,
+      path: joinPath(['albums', albumId, asset.id]),
+      isDirectory: false,
+      lastModified: asset.modificationTime,
+    };
+  }));
+  return { files, nextCursor: page.hasNextPage ? page.endCursor : null };
+}
+
+// List one page of a folder
+export async function browseDirectory({ path, cursor, limit = DEFAULT_PAGE_SIZE }: BrowseDirectoryData): Promise<DirectoryListing> {
+  const segments = splitPath(path);
+  const [root, albumId] = segments;
+  let page: { files: DirectoryEntry[]; nextCursor: string | null };
+
+  if (segments.length === 0) {
+    page = pageByOffset([
+      ...[...STORAGE_ROOTS].map(([key, { name }]) => folder(name, joinPath([key]))),
+      folder('Albums', joinPath(['albums'])),
+    ], cursor, limit);
+  } else if (STORAGE_ROOTS.has(root)) {
+    page = await listStorageDirectory(segments, cursor, limit);
+  } else if (root === 'albums' && segments.length === 1) {
+    page = await listAlbums(cursor, limit);
+  } else if (root === 'albums' && segments.length === 2) {
+    page = await listAlbumAssets(albumId, cursor, limit);
+  } else {
+    throw new Error(`No such folder: ${joinPath(segments)}`);
+  }
+
+  return { ...page, currentPath: joinPath(segments), cursor: cursor ?? null };
+}
+
+// The thumbnail of one asset, or undefined if it can't have one. Listings
+// leave those out rather than fail.
+async function tryThumbnail(asset: MediaLibrary.Asset) {
+  try {
+    return await createThumbnail(await MediaLibrary.getAssetInfoAsync(asset, { shouldDownloadFromNetwork: false }));
+  } catch {
+    return undefined;
+  }
+}
+
+// One page of the media library. Items carry a file browser path so they can be
+// downloaded or shared like any other file.
+export async function listMedia(query: MediaQuery): Promise<MediaPage> {
+  await requireMediaLibrary();
+  const page = await MediaLibrary.getAssetsAsync({
+    first: query.limit ?? DEFAULT_PAGE_SIZE,
+    after: query.cursor,
+    mediaType: query.mediaType ?? [MediaLibrary.MediaType.photo, MediaLibrary.MediaType.video],
+    album: query.albumId,
+    createdAfter: query.createdAfter,
+    createdBefore: query.createdBefore,
+    sortBy: [[query.sortBy ?? MediaLibrary.SortBy.creationTime, query.sortOrder === 'asc']],
+  });
+
+  for (const asset of page.assets) {
+    listedAssets.set(asset.uri, asset.id);
+  }
+  const files: MediaFile[] = page.assets.map(asset => ({
+    id: asset.id,
+    filename: asset.filename,
+    uri: asset.uri,
+    path: joinPath(['albums', query.albumId ?? ALL_MEDIA, asset.id]),
+    mediaType: asset.mediaType,
+    width: asset.width,
+    height: asset.height,
+    creationTime: asset.creationTime,
+    modificationTime: asset.modificationTime,
+    duration: asset.duration,
+  }));
+
+  if (query.thumbnails && getCapabilities().includes('thumbnails')) {
+    // One at a time: each decodes a full size photo
+    for (const [index, asset] of page.assets.entries()) {
+      files[index].thumbnail = await tryThumbnail(asset);
+    }
+  }
+  return {
+    files,
+    cursor: query.cursor ?? null,
+    nextCursor: page.hasNextPage ? page.endCursor : null,
+    totalCount: page.totalCount,
+  };
+}
+
+export async function getThumbnail(assetId: string) {
+  await requireMediaLibrary();
+  return createThumbnail(await MediaLibrary.getAssetInfoAsync(assetId, { shouldDownloadFromNetwork: false }));
+}
+
+// The local file of a media library asset
+async function assetFileUri(assetId: string) {
+  await requireMediaLibrary();
+  const info = await MediaLibrary.getAssetInfoAsync(assetId);
+  if (!info.localUri) {
+    throw new Error('This item is not stored on the device');
+  }
+  return info.localUri;
+}
+
+// The file browser path of a URI inside one of the storage roots, or null
+function storageUriToPath(uri: string) {
+  for (const [key, { directory }] of STORAGE_ROOTS) {
+    const rootUri = directory().uri.replace(/\/?$/, '/');
+    if (uri.startsWith(rootUri)) {
+      try {
+        return joinPath([key, ...uri.slice(rootUri.length).split('/').map(decodeURIComponent)]);
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// The local URI of a file listed by browseDirectory, for reading or sharing it.
+// Full URIs, as listed by request_files, are only accepted for media library
+// assets and files in app storage.
+export async function resolveFileUri(path: string): Promise<string> {
+  if (path.includes('://')) {
+    const assetId = listedAssets.get(path);
+    if (assetId) {
+      return assetFileUri(assetId);
+    }
+    const storagePathOfUri = storageUriToPath(path);
+    if (!storagePathOfUri) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+    return resolveFileUri(storagePathOfUri);
+  }
+
+  const segments = splitPath(path);
+  const [root, , assetId] = segments;
+  if (STORAGE_ROOTS.has(root) && segments.length > 1) {
+    return new File(...storagePath(segments)).uri;
+  }
+  if (root === 'albums' && segments.length === 3) {
+    return assetFileUri(assetId);
+  }
+  throw new Error(`Not a file: ${path}`);
+}
+
+// The app storage folder an upload to `path` should land in, or null if the
+// path isn't one (albums, the top level)
+export function resolveUploadDirectory(path: string) {
+  const segments = splitPath(path);
+  if (!STORAGE_ROOTS.has(segments[0])) {
+    return null;
+  }
+  const directory = new Directory(...storagePath(segments));
+  return directory.exists ? directory : null;
+}
+
+// Names given to renamed items and new folders
+function checkName(name: string) {
+  if (!name || name === '.' || name === '..' || /[/\\]/.test(name)) {
+    throw new Error(`Invalid name: ${name}`);
+  }
+  return name;
+}
+
+// A file or folder in app storage that may be changed. Albums, and the
+// storage roots themselves, may not.
+function changeableSegments(path: string) {
+  const segments = splitPath(path);
+  if (!STORAGE_ROOTS.has(segments[0]) || segments.length < 2) {
+    throw new Error(`Only files and folders in app storage can be changed: ${path}`);
+  }
+  return segments;
+}
+
+function existingEntry(segments: string[]) {
+  const directory = new Directory(...storagePath(segments));
+  if (directory.exists) {
+    return directory;
+  }
+  const file = new File(...storagePath(segments));
+  if (file.exists) {
+    return file;
+  }
+  throw new Error(`No such file or folder: ${joinPath(segments)}`);
+}
+
+function checkFree(segments: string[]) {
+  if (new Directory(...storagePath(segments)).exists || new File(...storagePath(segments)).exists) {
+    throw new Error(`${joinPath(segments)} already exists`);
+  }
+}
+
+// An app storage folder, the roots included, that items may go into
+function storageFolder(path: string) {
+  const segments = splitPath(path);
+  if (!STORAGE_ROOTS.has(segments[0])) {
+    throw new Error(`Not an app storage folder: ${path}`);
+  }
+  const directory = new Directory(...storagePath(segments));
+  if (!directory.exists) {
+    throw new Error(`No such folder: ${joinPath(segments)}`);
+  }
+  return { segments, directory };
+}
+
+// Run an operation on each path, reporting how each one went rather than
+// stopping at the first failure. The operation returns the item's new path.
+function forEachPath(paths: string[], operation: (path: string) => string | void): FileOperationResult[] {
+  return paths.map(path => {
+    try {
+      const newPath = operation(path);
+      return newPath ? { path, success: true, newPath } : { path, success: true };
+    } catch (error) {
+      return { path, success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+  });
+}
+
+export function deleteFiles(paths: string[]) {
+  return forEachPath(paths, path => {
+    existingEntry(changeableSegments(path)).delete();
+  });
+}
+
+export function renameFile(path: string, name: string) {
+  return forEachPath([path], () => {
+    const segments = changeableSegments(path);
+    const entry = existingEntry(segments);
+    const target = [...segments.slice(0, -1), checkName(name)];
+    checkFree(target);
+    entry.move(entry instanceof Directory ? new Directory(...storagePath(target)) : new File(...storagePath(target)));
+    return joinPath(target);
+  });
+}
+
+export function moveFiles(paths: string[], destination: string) {
+  const folder = storageFolder(destination);
+  return forEachPath(paths, path => {
+    const segments = changeableSegments(path);
+    const entry = existingEntry(segments);
+    const from = joinPath(segments);
+    const into = joinPath(folder.segments);
+    if (into === from || into.startsWith(`${from}/`)) {
+      throw new Error('A folder cannot be moved into itself');
+    }
+    const target = [...folder.segments, segments[segments.length - 1]];
+    checkFree(target);
+    entry.move(folder.directory);
+    return joinPath(target);
+  });
+}
+
+export function createFolder(path: string, name: string) {
+  const folder = storageFolder(path);
+  const target = [...folder.segments, checkName(name)];
+  return forEachPath([joinPath(target)], () => {
+    checkFree(target);
+    new Directory(folder.directory, name).create();
+    return joinPath(target);
+  });
+}
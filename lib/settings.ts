@@ -0,0 +1,79 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { ConsentLevel, ConsentSetting, ConsentState } from '@/protocol/messages';
+
+// Consent values are part of the device protocol
+export type { ConsentLevel, ConsentSetting, ConsentState };
+
+export interface AppSettings {
+  autoReconnect: boolean;
+  // How long an approval prompt waits before the request is refused
+  approvalTimeoutSeconds: number;
+  allowFileAccess: ConsentLevel;
+  allowContacts: ConsentLevel;
+  allowLocation: ConsentLevel;
+  allowScreenshots: ConsentLevel;
+  allowCallLog: ConsentLevel;
+  allowSMS: ConsentLevel;
+}
+
+export const DEFAULT_SETTINGS: AppSettings = {
+  autoReconnect: true,
+  approvalTimeoutSeconds: 30,
+  allowFileAccess: 'allow',
+  allowContacts: 'deny',
+  allowLocation: 'deny',
+  allowScreenshots: 'deny',
+  allowCallLog: 'deny',
+  allowSMS: 'deny',
+};
+
+export const APPROVAL_TIMEOUT_OPTIONS = [15, 30, 60];
+
+export const CONSENT_LABELS: Record<ConsentSetting, string> = {
+  allowFileAccess: 'File access',
+  allowContacts: 'Contacts access',
+  allowLocation: 'Location access',
+  allowScreenshots: 'Screenshot access',
+  allowCallLog: 'Call log access',
+  allowSMS: 'SMS access',
+};
+
+const SETTINGS_KEY = 'appSettings';
+
+type SettingsListener = (settings: AppSettings) => void;
+const listeners = new Set<SettingsListener>();
+
+export async function readSettings(): Promise<AppSettings> {
+  const saved = await AsyncStorage.getItem(SETTINGS_KEY);
+  const settings = { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+
+  // Consent used to be stored as on/off switches
+  for (const setting of Object.keys(CONSENT_LABELS) as ConsentSetting[]) {
+    if (typeof settings[setting] === 'boolean') {
+      settings[setting] = settings[setting] ? 'allow' : 'deny';
+    }
+  }
+  return settings;
+}
+
+export async function writeSettings(settings: AppSettings) {
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  listeners.forEach(listener => listener(settings));
+}
+
+// Notified whenever settings are saved; returns an unsubscribe function
+export function subscribeToSettings(listener: SettingsListener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+// The consent levels alone, as advertised to the server
+export function getConsentState(settings: AppSettings): ConsentState {
+  const consent = {} as ConsentState;
+  for (const setting of Object.keys(CONSENT_LABELS) as ConsentSetting[]) {
+    consent[setting] = settings[setting];
+  }
+  return consent;
+}
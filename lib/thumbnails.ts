@@ -0,0 +1,49 @@
+import { File } from 'expo-file-system/next';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import * as MediaLibrary from 'expo-media-library';
+import * as VideoThumbnails from 'expo-video-thumbnails';
+
+// Longest side of a thumbnail in pixels. Keeps the base64 JPEG well under the
+// protocol's limit for one.
+const THUMBNAIL_SIZE = 256;
+const THUMBNAIL_QUALITY = 0.6;
+
+// The image a thumbnail is made from: the photo itself, or a frame near the
+// start of a video. `temporary` is a file to delete afterwards.
+async function thumbnailSource(asset: MediaLibrary.AssetInfo) {
+  if (!asset.localUri) {
+    throw new Error('This item is not stored on the device');
+  }
+  if (asset.mediaType === MediaLibrary.MediaType.photo) {
+    return { uri: asset.localUri, temporary: null };
+  }
+  if (asset.mediaType === MediaLibrary.MediaType.video) {
+    const frame = await VideoThumbnails.getThumbnailAsync(asset.localUri, { time: 0 });
+    return { uri: frame.uri, temporary: frame.uri };
+  }
+  throw new Error('Only photos and videos have thumbnails');
+}
+
+// A small base64 JPEG of a photo or video in the media library
+export async function createThumbnail(asset: MediaLibrary.AssetInfo) {
+  const source = await thumbnailSource(asset);
+  const context = ImageManipulator.manipulate(source.uri);
+  try {
+    // Scale the longest side down, never up
+    if (asset.width >= asset.height) {
+      context.resize({ width: Math.min(asset.width || THUMBNAIL_SIZE, THUMBNAIL_SIZE) });
+    } else {
+      context.resize({ height: Math.min(asset.height, THUMBNAIL_SIZE) });
+    }
+    const image = await context.renderAsync();
+    const result = await image.saveAsync({ format: SaveFormat.JPEG, compress: THUMBNAIL_QUALITY, base64: true });
+    image.release();
+    new File(result.uri).delete();
+    return result.base64!;
+  } finally {
+    context.release();
+    if (source.temporary) {
+      new File(source.temporary).delete();
+    }
+  }
+}
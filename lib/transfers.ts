@@ -0,0 +1,261 @@
+import * as Crypto from 'expo-crypto';
+import { Directory, File, Paths } from 'expo-file-system/next';
+import {
+  DeviceMessage,
+  DownloadFileData,
+  TransferChunk,
+  TransferChunkAck,
+  TransferMessage,
+  UploadFileData,
+} from '@/protocol/messages';
+
+type Send = (message: DeviceMessage) => boolean;
+
+interface ActiveTransfer {
+  onChunk?: (chunk: TransferChunk) => Promise<void>;
+  onAck?: (ack: TransferChunkAck) => Promise<void>;
+  // Rejects the transfer's promise
+  stop: (error: string) => void;
+  // Deletes anything kept for resuming
+  discard?: () => void;
+}
+
+// Times a chunk is resent after the server reports it corrupt
+const MAX_CHUNK_RETRIES = 3;
+
+// Transfers in progress over the current connection, by transferId
+const active = new Map<string, ActiveTransfer>();
+
+// Partial uploads stay here between connections so they can resume
+function partialDirectory() {
+  const directory = new Directory(Paths.document, 'transfers');
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+}
+
+function uploadsDirectory() {
+  const directory = new Directory(Paths.document, 'uploads');
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+}
+
+function base64ToBytes(base64: string) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes: Uint8Array) {
+  // Converted in slices; spreading a whole chunk into fromCharCode overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
+}
+
+async function sha256(bytes: Uint8Array) {
+  const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Receive a file the server is uploading, resuming from whatever part of it
+// arrived over an earlier connection. Resolves once every chunk is written and
+// the whole file matches its checksum. Files are saved in `directory`, or the
+// uploads folder without one.
+export function receiveFile(
+  upload: UploadFileData,
+  send: Send,
+  directory: Directory | null = null
+): Promise<{ path: string; size: number }> {
+  return new Promise((resolve, reject) => {
+    const { transferId } = upload;
+    const part = new File(partialDirectory(), `${transferId}.part`);
+    if (!part.exists) {
+      part.create();
+    }
+    let received = part.size ?? 0;
+    // Longer than the upload means it isn't this file any more
+    if (received > upload.size) {
+      part.write('');
+      received = 0;
+    }
+
+    const finish = () => {
+      active.delete(transferId);
+      if (part.md5 !== upload.checksum) {
+        part.delete();
+        reject(new Error('The received file does not match its checksum'));
+        return;
+      }
+      const target = new File(directory ?? uploadsDirectory(), upload.fileName.replace(/[\\/]/g, '_'));
+      if (target.exists) {
+        target.delete();
+      }
+      part.move(target);
+      resolve({ path: target.uri, size: upload.size });
+    };
+
+    const acknowledge = (error?: string) => {
+      send({
+        type: 'transfer_chunk_ack',
+        data: { transferId, offset: received, ...(error ? { error } : {}) },
+      });
+    };
+
+    active.set(transferId, {
+      onChunk: async (chunk) => {
+        // The server resends from the offset in the ack
+        if (chunk.offset !== received) {
+          acknowledge('Unexpected offset');
+          return;
+        }
+        const bytes = base64ToBytes(chunk.content);
+        if ((await sha256(bytes)) !== chunk.checksum) {
+          acknowledge('Checksum mismatch');
+          return;
+        }
+        const handle = part.open();
+        try {
+          handle.offset = received;
+          handle.writeBytes(bytes);
+        } finally {
+          handle.close();
+        }
+        received += bytes.length;
+        acknowledge();
+        if (received >= upload.size) {
+          finish();
+        }
+      },
+      stop: (error) => {
+        active.delete(transferId);
+        reject(new Error(error));
+      },
+      discard: () => part.delete(),
+    });
+
+    send({ type: 'transfer_resume', data: { transferId, offset: received } });
+    // Everything already arrived before the connection dropped
+    if (received >= upload.size) {
+      finish();
+    }
+  });
+}
+
+// Send a file to the server from `offset` onwards. Resolves once the server
+// has acknowledged the last chunk.
+export function sendFile(
+  download: DownloadFileData,
+  send: Send
+): Promise<{ fileName: string; size: number; checksum: string }> {
+  return new Promise((resolve, reject) => {
+    const { transferId, chunkSize } = download;
+    const file = new File(download.filePath);
+    if (!file.exists) {
+      reject(new Error('File not found'));
+      return;
+    }
+    const size = file.size ?? 0;
+    if (size > download.maxSize) {
+      reject(new Error(`File is larger than the server's ${Math.floor(download.maxSize / (1024 * 1024))} MB limit`));
+      return;
+    }
+    const checksum = file.md5;
+    if (!checksum) {
+      reject(new Error('Could not read the file'));
+      return;
+    }
+    const fileName = file.name;
+    let retries = 0;
+
+    const sendChunk = async (offset: number) => {
+      if (offset >= size) {
+        active.delete(transferId);
+        resolve({ fileName, size, checksum });
+        return;
+      }
+      const handle = file.open();
+      let bytes: Uint8Array;
+      try {
+        handle.offset = offset;
+        bytes = handle.readBytes(Math.min(chunkSize, size - offset));
+      } finally {
+        handle.close();
+      }
+      send({
+        type: 'transfer_chunk',
+        data: { transferId, offset, content: bytesToBase64(bytes), checksum: await sha256(bytes) },
+      });
+    };
+
+    active.set(transferId, {
+      onAck: async (ack) => {
+        if (ack.error) {
+          retries++;
+          if (retries > MAX_CHUNK_RETRIES) {
+            const error = `Giving up after ${MAX_CHUNK_RETRIES} retries: ${ack.error}`;
+            send({ type: 'transfer_cancel', data: { transferId, error } });
+            active.delete(transferId);
+            reject(new Error(error));
+            return;
+          }
+        } else {
+          retries = 0;
+        }
+        await sendChunk(ack.offset);
+      },
+      stop: (error) => {
+        active.delete(transferId);
+        reject(new Error(error));
+      },
+    });
+
+    send({ type: 'transfer_info', data: { transferId, fileName, size, checksum } });
+    // A file that shrank since the download started is sent again from the start
+    sendChunk(download.offset <= size ? download.offset : 0).catch(error => {
+      active.delete(transferId);
+      reject(error);
+    });
+  });
+}
+
+// Route a transfer_chunk, transfer_chunk_ack or transfer_cancel from the server
+export async function handleTransferMessage(message: TransferMessage) {
+  const transfer = active.get(message.data.transferId);
+  if (!transfer) {
+    return;
+  }
+  try {
+    switch (message.type) {
+      case 'transfer_chunk':
+        await transfer.onChunk?.(message.data);
+        break;
+      case 'transfer_chunk_ack':
+        await transfer.onAck?.(message.data);
+        break;
+      case 'transfer_cancel':
+        transfer.discard?.();
+        transfer.stop(message.data.error);
+        break;
+    }
+  } catch (error) {
+    // The failed response tells the server the transfer is over
+    transfer.discard?.();
+    transfer.stop(error instanceof Error ? error.message : String(error));
+  }
+}
+
+// The connection dropped. Partial uploads are kept: the server restarts its
+// transfers when the device reconnects.
+export function abandonTransfers() {
+  active.forEach(transfer => transfer.stop('Connection lost'));
+  active.clear();
+}
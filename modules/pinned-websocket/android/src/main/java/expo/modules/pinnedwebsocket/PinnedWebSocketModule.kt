@@ -0,0 +1,119 @@
+package expo.modules.pinnedwebsocket
+
+import expo.modules.kotlin.modules.Module
+import expo.modules.kotlin.modules.ModuleDefinition
+import java.security.MessageDigest
+import java.security.cert.CertificateException
+import java.security.cert.X509Certificate
+import java.util.concurrent.ConcurrentHashMap
+import javax.net.ssl.SSLContext
+import javax.net.ssl.X509TrustManager
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import okhttp3.Response
+import okhttp3.WebSocket
+import okhttp3.WebSocketListener
+
+// WebSockets that trust the server by the SHA-256 fingerprint of its
+// certificate instead of a certificate authority, so self-signed certificates
+// work. Without a pin any certificate is accepted and its fingerprint reported
+// for the app to pin.
+class PinnedWebSocketModule : Module() {
+  private val sockets = ConcurrentHashMap<Int, WebSocket>()
+
+  override fun definition() = ModuleDefinition {
+    Name("PinnedWebSocket")
+
+    Events("open", "message", "close", "error")
+
+    Function("connect") { id: Int, url: String, fingerprint: String? ->
+      val trustManager = FingerprintTrustManager(fingerprint)
+      val sslContext = SSLContext.getInstance("TLS").apply {
+        init(null, arrayOf(trustManager), null)
+      }
+      val client = OkHttpClient.Builder()
+        .sslSocketFactory(sslContext.socketFactory, trustManager)
+        // The certificate identifies the server whatever address it was reached on
+        .hostnameVerifier { _, _ -> true }
+        .build()
+      val request = Request.Builder().url(url).build()
+      sockets[id] = client.newWebSocket(request, Listener(id, trustManager))
+    }
+
+    Function("send") { id: Int, data: String ->
+      sockets[id]?.send(data)
+    }
+
+    Function("close") { id: Int ->
+      sockets[id]?.close(1000, null)
+    }
+
+    OnDestroy {
+      sockets.values.forEach { it.cancel() }
+      sockets.clear()
+    }
+  }
+
+  private inner class Listener(
+    private val id: Int,
+    private val trustManager: FingerprintTrustManager
+  ) : WebSocketListener() {
+    override fun onOpen(webSocket: WebSocket, response: Response) {
+      sendEvent("open", mapOf("id" to id, "fingerprint" to trustManager.presented))
+    }
+
+    override fun onMessage(webSocket: WebSocket, text: String) {
+      sendEvent("message", mapOf("id" to id, "data" to text))
+    }
+
+    override fun onClosing(webSocket: WebSocket, code: Int, reason: String) {
+      webSocket.close(code, null)
+    }
+
+    override fun onClosed(webSocket: WebSocket, code: Int, reason: String) {
+      sockets.remove(id)
+      sendEvent("close", mapOf("id" to id, "code" to code, "reason" to reason))
+    }
+
+    override fun onFailure(webSocket: WebSocket, t: Throwable, response: Response?) {
+      sockets.remove(id)
+      sendEvent("error", mapOf(
+        "id" to id,
+        "message" to (t.message ?: t.javaClass.simpleName),
+        "certificateMismatch" to trustManager.mismatched
+      ))
+      sendEvent("close", mapOf("id" to id, "code" to 1006, "reason" to ""))
+    }
+  }
+}
+
+private class FingerprintTrustManager(private val pin: String?) : X509TrustManager {
+  // The fingerprint of the certificate the server presented
+  @Volatile
+  var presented: String? = null
+    private set
+
+  val mismatched: Boolean
+    get() = pin != null && presented != null && !pin.equals(presented, ignoreCase = true)
+
+  override fun checkServerTrusted(chain: Array<X509Certificate>, authType: String) {
+    if (chain.isEmpty()) {
+      throw CertificateException("The server sent no certificate")
+    }
+    presented = fingerprintOf(chain[0])
+    if (mismatched) {
+      throw CertificateException("Certificate $presented does not match the pinned $pin")
+    }
+  }
+
+  override fun checkClientTrusted(chain: Array<X509Certificate>, authType: String) {
+    throw CertificateException("Client certificates are not accepted")
+  }
+
+  override fun getAcceptedIssuers(): Array<X509Certificate> = arrayOf()
+}
+
+private fun fingerprintOf(certificate: X509Certificate) =
+  MessageDigest.getInstance("SHA-256")
+    .digest(certificate.encoded)
+    .joinToString(":") { "%02X".format(it) }
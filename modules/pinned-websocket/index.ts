@@ -0,0 +1,94 @@
+import { NativeModule, requireOptionalNativeModule } from 'expo';
+
+type PinnedWebSocketEvents = {
+  open(event: { id: number; fingerprint: string | null }): void;
+  message(event: { id: number; data: string }): void;
+  close(event: { id: number; code: number; reason: string }): void;
+  error(event: { id: number; message: string; certificateMismatch: boolean }): void;
+};
+
+declare class PinnedWebSocketModule extends NativeModule<PinnedWebSocketEvents> {
+  connect(id: number, url: string, fingerprint: string | null): void;
+  send(id: number, data: string): void;
+  close(id: number): void;
+}
+
+// Missing on web and in builds made without this module (Expo Go)
+const native = requireOptionalNativeModule<PinnedWebSocketModule>('PinnedWebSocket');
+
+export interface PinnedSocketError {
+  message: string;
+  // The server presented a different certificate from the pinned one
+  certificateMismatch: boolean;
+}
+
+const sockets = new Map<number, PinnedWebSocket>();
+let nextId = 1;
+
+// A WebSocket that trusts the server by the SHA-256 fingerprint of its
+// certificate rather than a certificate authority. With no fingerprint to pin
+// it accepts any certificate and reports the one it saw as
+// `certificateFingerprint` once open.
+export class PinnedWebSocket {
+  readyState: number = WebSocket.CONNECTING;
+  certificateFingerprint: string | null = null;
+  onopen: (() => void) | null = null;
+  onmessage: ((event: { data: string }) => void) | null = null;
+  onclose: ((event: { code: number; reason: string }) => void) | null = null;
+  onerror: ((error: PinnedSocketError) => void) | null = null;
+
+  private readonly id = nextId++;
+
+  constructor(url: string, fingerprint: string | null) {
+    if (!native) {
+      throw new Error('Certificate pinning is not available in this build of the app');
+    }
+    sockets.set(this.id, this);
+    native.connect(this.id, url, fingerprint);
+  }
+
+  static isAvailable() {
+    return native !== null;
+  }
+
+  send(data: string) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    native!.send(this.id, data);
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSING || this.readyState === WebSocket.CLOSED) {
+      return;
+    }
+    this.readyState = WebSocket.CLOSING;
+    native!.close(this.id);
+  }
+}
+
+native?.addListener('open', ({ id, fingerprint }) => {
+  const socket = sockets.get(id);
+  if (socket) {
+    socket.readyState = WebSocket.OPEN;
+    socket.certificateFingerprint = fingerprint;
+    socket.onopen?.();
+  }
+});
+
+native?.addListener('message', ({ id, data }) => {
+  sockets.get(id)?.onmessage?.({ data });
+});
+
+native?.addListener('error', ({ id, message, certificateMismatch }) => {
+  sockets.get(id)?.onerror?.({ message, certificateMismatch });
+});
+
+native?.addListener('close', ({ id, code, reason }) => {
+  const socket = sockets.get(id);
+  if (socket) {
+    sockets.delete(id);
+    socket.readyState = WebSocket.CLOSED;
+    socket.onclose?.({ code, reason });
+  }
+});
@@ -0,0 +1,188 @@
+import CryptoKit
+import ExpoModulesCore
+
+// WebSockets that trust the server by the SHA-256 fingerprint of its
+// certificate instead of a certificate authority, so self-signed certificates
+// work. Without a pin any certificate is accepted and its fingerprint reported
+// for the app to pin.
+public class PinnedWebSocketModule: Module {
+  private var sockets: [Int: PinnedSocket] = [:]
+  private let queue = DispatchQueue(label: "expo.modules.pinnedwebsocket")
+
+  public func definition() -> ModuleDefinition {
+    Name("PinnedWebSocket")
+
+    Events("open", "message", "close", "error")
+
+    Function("connect") { (id: Int, url: URL, fingerprint: String?) in
+      let socket = PinnedSocket(id: id, pin: fingerprint, module: self)
+      self.queue.sync { self.sockets[id] = socket }
+      socket.connect(to: url)
+    }
+
+    Function("send") { (id: Int, data: String) in
+      self.socket(id)?.send(data)
+    }
+
+    Function("close") { (id: Int) in
+      self.socket(id)?.close()
+    }
+
+    OnDestroy {
+      self.queue.sync {
+        self.sockets.values.forEach { $0.cancel() }
+        self.sockets.removeAll()
+      }
+    }
+  }
+
+  private func socket(_ id: Int) -> PinnedSocket? {
+    queue.sync { sockets[id] }
+  }
+
+  fileprivate func remove(_ id: Int) {
+    queue.sync { sockets[id] = nil }
+  }
+}
+
+private final class PinnedSocket: NSObject, URLSessionWebSocketDelegate {
+  private let id: Int
+  private let pin: String?
+  private weak var module: PinnedWebSocketModule?
+  private var session: URLSession?
+  private var task: URLSessionWebSocketTask?
+  // The fingerprint of the certificate the server presented
+  private var presented: String?
+  private var mismatched = false
+  private var closing = false
+  private var finished = false
+
+  init(id: Int, pin: String?, module: PinnedWebSocketModule) {
+    self.id = id
+    self.pin = pin?.uppercased()
+    self.module = module
+  }
+
+  func connect(to url: URL) {
+    let session = URLSession(configuration: .default, delegate: self, delegateQueue: nil)
+    let task = session.webSocketTask(with: url)
+    self.session = session
+    self.task = task
+    task.resume()
+    receive()
+  }
+
+  func send(_ text: String) {
+    task?.send(.string(text)) { [weak self] error in
+      if let error {
+        self?.fail(error)
+      }
+    }
+  }
+
+  func close() {
+    closing = true
+    task?.cancel(with: .normalClosure, reason: nil)
+  }
+
+  func cancel() {
+    task?.cancel()
+    session?.invalidateAndCancel()
+  }
+
+  private func receive() {
+    task?.receive { [weak self] result in
+      guard let self else {
+        return
+      }
+      switch result {
+      case .success(.string(let text)):
+        self.emit("message", ["data": text])
+        self.receive()
+      case .success(.data(let data)):
+        self.emit("message", ["data": String(decoding: data, as: UTF8.self)])
+        self.receive()
+      case .success:
+        self.receive()
+      case .failure(let error):
+        self.fail(error)
+      }
+    }
+  }
+
+  private func emit(_ event: String, _ body: [String: Any?]) {
+    var body = body
+    body["id"] = id
+    module?.sendEvent(event, body)
+  }
+
+  // Report an error and the close that follows it, once. Closing the socket
+  // ourselves fails the pending receive, which is no error.
+  private func fail(_ error: Error) {
+    guard !finished else {
+      return
+    }
+    if closing {
+      finish(code: URLSessionWebSocketTask.CloseCode.normalClosure.rawValue, reason: "")
+      return
+    }
+    emit("error", ["message": error.localizedDescription, "certificateMismatch": mismatched])
+    finish(code: 1006, reason: "")
+  }
+
+  private func finish(code: Int, reason: String) {
+    guard !finished else {
+      return
+    }
+    finished = true
+    module?.remove(id)
+    session?.finishTasksAndInvalidate()
+    emit("close", ["code": code, "reason": reason])
+  }
+
+  func urlSession(
+    _ session: URLSession,
+    didReceive challenge: URLAuthenticationChallenge,
+    completionHandler: @escaping (URLSession.AuthChallengeDisposition, URLCredential?) -> Void
+  ) {
+    guard challenge.protectionSpace.authenticationMethod == NSURLAuthenticationMethodServerTrust,
+          let trust = challenge.protectionSpace.serverTrust,
+          let certificate = (SecTrustCopyCertificateChain(trust) as? [SecCertificate])?.first else {
+      completionHandler(.performDefaultHandling, nil)
+      return
+    }
+    let fingerprint = SHA256.hash(data: SecCertificateCopyData(certificate) as Data)
+      .map { String(format: "%02X", $0) }
+      .joined(separator: ":")
+    presented = fingerprint
+    if let pin, pin != fingerprint {
+      mismatched = true
+      completionHandler(.cancelAuthenticationChallenge, nil)
+      return
+    }
+    completionHandler(.useCredential, URLCredential(trust: trust))
+  }
+
+  func urlSession(
+    _ session: URLSession,
+    webSocketTask: URLSessionWebSocketTask,
+    didOpenWithProtocol protocol: String?
+  ) {
+    emit("open", ["fingerprint": presented])
+  }
+
+  func urlSession(
+    _ session: URLSession,
+    webSocketTask: URLSessionWebSocketTask,
+    didCloseWith closeCode: URLSessionWebSocketTask.CloseCode,
+    reason: Data?
+  ) {
+    finish(code: closeCode.rawValue, reason: reason.map { String(decoding: $0, as: UTF8.self) } ?? "")
+  }
+
+  func urlSession(_ session: URLSession, task: URLSessionTask, didCompleteWithError error: Error?) {
+    if let error {
+      fail(error)
+    }
+  }
+}
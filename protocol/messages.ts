@@ -0,0 +1,309 @@
+import schema from './schema.json';
+
+// TypeScript view of the messages defined in schema.json. The server validates
+// device messages against the schema, so change both together.
+
+export const PROTOCOL_VERSION: number = schema.definitions.protocolVersion.const;
+
+// The Data Sharing Permissions settings
+export type ConsentSetting =
+  | 'allowFileAccess'
+  | 'allowContacts'
+  | 'allowLocation'
+  | 'allowScreenshots'
+  | 'allowCallLog'
+  | 'allowSMS';
+
+// allow: share without asking; ask: prompt the device user every time; deny: refuse
+export type ConsentLevel = 'allow' | 'ask' | 'deny';
+
+export type ConsentState = Record<ConsentSetting, ConsentLevel>;
+
+// Features the app reports in register, from its platform and installed modules
+export type Capability =
+  | 'location'
+  | 'contacts'
+  | 'files'
+  | 'thumbnails'
+  | 'file_transfer'
+  | 'file_management'
+  | 'share'
+  | 'screenshot'
+  | 'microphone'
+  | 'call_log'
+  | 'sms'
+  | 'clipboard'
+  | 'notifications'
+  | 'apps'
+  | 'permissions'
+  | 'network';
+
+export type ScreenshotQuality = 'low' | 'medium' | 'high';
+
+// Sent in place of a response's data when the device can't or won't fulfil it.
+// denied_by_user: the device user refused; unsupported: the app can't do it at all.
+export interface Failure {
+  error: string;
+  status?: 'denied_by_user' | 'unsupported';
+  setting?: ConsentSetting;
+}
+
+type EmptyData = Record<string, never>;
+
+interface Command<T extends string, D = EmptyData> {
+  type: T;
+  requestId: string;
+  operator?: string | null;
+  data: D;
+}
+
+interface Response<T extends string, D> {
+  type: T;
+  requestId?: string;
+  data: D | Failure;
+}
+
+// Starts or resumes sending a file to the device
+export interface UploadFileData {
+  transferId: string;
+  fileName: string;
+  targetPath: string;
+  mimeType?: string;
+  size: number;
+  // md5 of the whole file
+  checksum: string;
+  chunkSize: number;
+}
+
+// Starts or resumes fetching a file from the device, from offset onwards
+export interface DownloadFileData {
+  transferId: string;
+  filePath: string;
+  offset: number;
+  chunkSize: number;
+  maxSize: number;
+}
+
+// Chunks go one at a time, each waiting for its ack
+export interface TransferChunk {
+  transferId: string;
+  offset: number;
+  // Base64 contents and their sha256
+  content: string;
+  checksum: string;
+}
+
+// The offset the receiver expects next; with an error the sender resends from there
+export interface TransferChunkAck {
+  transferId: string;
+  offset: number;
+  error?: string;
+}
+
+export type TransferMessage =
+  | { type: 'transfer_chunk'; data: TransferChunk }
+  | { type: 'transfer_chunk_ack'; data: TransferChunkAck }
+  | { type: 'transfer_cancel'; data: { transferId: string; error: string } };
+
+// Server -> device
+
+export type ServerCommand =
+  | Command<'request_location'>
+  | Command<'request_contacts'>
+  | Command<'request_files', MediaQuery>
+  | Command<'browse_directory', BrowseDirectoryData>
+  | Command<'download_file', DownloadFileData>
+  | Command<'upload_file', UploadFileData>
+  | Command<'share_file', { filePath: string }>
+  | Command<'request_thumbnail', { assetId: string }>
+  | Command<'delete_files', { paths: string[] }>
+  | Command<'rename_file', { path: string; name: string }>
+  | Command<'move_files', { paths: string[]; destination: string }>
+  | Command<'create_folder', { path: string; name: string }>
+  | Command<'take_screenshot', { quality?: ScreenshotQuality }>
+  | Command<'start_microphone', { quality?: ScreenshotQuality }>
+  | Command<'stop_microphone'>
+  | Command<'request_call_log'>
+  | Command<'request_sms'>
+  | Command<'request_clipboard'>
+  | Command<'request_notifications'>
+  | Command<'request_apps'>
+  | Command<'request_permissions'>
+  | Command<'request_wifi'>;
+
+export type ServerMessage =
+  | { type: 'challenge'; data: { nonce: string } }
+  | { type: 'registered'; data: { deviceId: string; deviceSecret?: string; protocolVersion: number } }
+  | { type: 'register_error'; data: { error: string } }
+  | { type: 'pong' }
+  | { type: 'error'; requestId?: string; data: { messageType: string | null; error: string } }
+  | TransferMessage
+  | ServerCommand;
+
+// Device -> server
+
+export interface RegisterData {
+  enrollmentCode?: string;
+  deviceId?: string;
+  proof?: string;
+  protocolVersions?: number[];
+  consent?: ConsentState;
+  capabilities?: Capability[];
+  deviceName: string;
+  brand?: string;
+  model?: string;
+  platform: string;
+  systemVersion?: string;
+}
+
+export interface LocationData {
+  latitude: number;
+  longitude: number;
+  accuracy?: number | null;
+  timestamp?: number;
+}
+
+export type MediaType = 'photo' | 'video' | 'audio';
+
+// Filters and paging for request_files; times are milliseconds since the epoch
+export interface MediaQuery {
+  mediaType?: MediaType[];
+  albumId?: string;
+  createdAfter?: number;
+  createdBefore?: number;
+  sortBy?: 'creationTime' | 'modificationTime';
+  sortOrder?: 'asc' | 'desc';
+  // Include a thumbnail with each photo and video
+  thumbnails?: boolean;
+  cursor?: string;
+  limit?: number;
+}
+
+export interface MediaFile {
+  id?: string;
+  filename: string;
+  uri: string;
+  // File browser path, for download_file and share_file
+  path?: string;
+  mediaType?: string;
+  width?: number;
+  height?: number;
+  creationTime?: number;
+  modificationTime?: number;
+  duration?: number;
+  // Base64 JPEG, when the query asked for thumbnails
+  thumbnail?: string;
+}
+
+export interface MediaPage {
+  files: MediaFile[];
+  cursor?: string | null;
+  nextCursor: string | null;
+  totalCount?: number;
+}
+
+export interface DirectoryEntry {
+  name: string;
+  type?: 'file' | 'folder';
+  size?: number;
+  path: string;
+  isDirectory: boolean;
+  lastModified?: number;
+}
+
+// Folders are listed a page at a time; nextCursor asks for the page after this one
+export interface BrowseDirectoryData {
+  path?: string;
+  cursor?: string;
+  limit?: number;
+}
+
+export interface DirectoryListing {
+  files: DirectoryEntry[];
+  currentPath: string;
+  cursor?: string | null;
+  nextCursor?: string | null;
+}
+
+// Outcome of a file operation for one path; newPath is where the item is now
+// after a rename, move or create
+export interface FileOperationResult {
+  path: string;
+  success: boolean;
+  newPath?: string;
+  error?: string;
+}
+
+export interface CallLogEntry {
+  name?: string | null;
+  phoneNumber: string;
+  type: string;
+  duration?: number;
+  timestamp: number | string;
+}
+
+export interface AppPermission {
+  name: string;
+  description?: string;
+  granted: boolean;
+  status?: string;
+}
+
+// What the device can tell about its current connection
+export interface NetworkInfo {
+  type: string;
+  isConnected: boolean;
+  isInternetReachable: boolean | null;
+  ipAddress: string | null;
+}
+
+export type DeviceResponse =
+  | Response<'location_response', LocationData>
+  | Response<'contacts_response', object[]>
+  | Response<'files_response', MediaPage>
+  | Response<'directory_response', DirectoryListing>
+  | Response<'sms_response', { messages: object[]; error?: string | null }>
+  | Response<'call_log_response', CallLogEntry[]>
+  | Response<'microphone_response', object>
+  | Response<'clipboard_response', { content: string }>
+  | Response<'notifications_response', { notifications: object[] }>
+  | Response<'apps_response', { apps: object[] }>
+  | Response<'permissions_response', { permissions: AppPermission[] }>
+  | Response<'wifi_response', { networks: object[]; currentNetwork?: NetworkInfo | null }>
+  | Response<'screenshot_response', { imageData: string; format?: string }>
+  | Response<'file_download_response', { transferId: string; fileName: string; size: number; checksum: string }>
+  | Response<'file_upload_response', { transferId: string; path: string; size: number }>
+  | Response<'share_file_response', { filePath: string }>
+  | Response<'thumbnail_response', { assetId: string; imageData: string; format: 'jpeg' }>
+  | Response<'file_operation_response', { results: FileOperationResult[] }>;
+
+export type ResponseType = DeviceResponse['type'];
+
+export type DeviceMessage =
+  | { type: 'register'; data: RegisterData }
+  | { type: 'ping' }
+  | { type: 'ack'; requestId: string }
+  | {
+      type: 'approval_pending';
+      requestId?: string;
+      data: {
+        command: string;
+        responseType: ResponseType;
+        setting: ConsentSetting;
+        operator?: string | null;
+        timeoutSeconds: number;
+      };
+    }
+  | {
+      type: 'approval_resolved';
+      requestId?: string;
+      data: { command: string; responseType: ResponseType; decision: 'approved' | 'declined' | 'timeout' };
+    }
+  | { type: 'consent_update'; data: ConsentState }
+  | { type: 'transfer_resume'; data: { transferId: string; offset: number } }
+  | {
+      type: 'transfer_info';
+      data: { transferId: string; fileName: string; size: number; checksum: string; mimeType?: string };
+    }
+  | TransferMessage
+  | DeviceResponse;
@@ -1,14 +1,95 @@
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
 const { exec } = require('child_process');
 const os = require('os');
+const config = require('./lib/config');
+const store = require('./lib/store');
+const {
+  RETENTION_CATEGORIES,
+  loadRetentionPolicies,
+  getRetentionPolicy,
+  isExpired,
+  limitList,
+} = require('./lib/retention');
+const {
+  ensureDefaultOperator,
+  login,
+  logout,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+  requirePageAuth,
+} = require('./lib/auth');
+const {
+  createEnrollmentCode,
+  enrollDevice,
+  createChallenge,
+  verifyDeviceProof,
+} = require('./lib/enrollment');
+const { recordAuditEntry, verifyAuditLog, queryAuditLog } = require('./lib/audit');
+const {
+  sendCommand,
+  trackDeviceMessage,
+  failCommand,
+  failPendingCommands,
+  waitForCommand,
+  getCommand,
+} = require('./lib/commands');
+const { openEventStream, publishEvent } = require('./lib/events');
+const {
+  queueCommand,
+  deliverQueuedCommands,
+  cancelQueuedCommand,
+  expireQueuedCommands,
+  listQueuedCommands,
+} = require('./lib/queue');
+const {
+  startUpload,
+  startDownload,
+  startArchive,
+  handleTransferMessage,
+  settleTransfer,
+  interruptTransfers,
+  resumeTransfers,
+  getTransfer,
+  listTransfers,
+  getTransferContentPath,
+  pruneTransfers,
+} = require('./lib/transfers');
+const {
+  saveThumbnail,
+  cacheMediaThumbnails,
+  getThumbnailPath,
+  fetchThumbnail,
+  pruneThumbnails,
+} = require('./lib/thumbnails');
+const {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  validateDeviceMessage,
+  negotiateProtocolVersion,
+} = require('./lib/protocol');
+const { loadCertificate, getCertificateFingerprint } = require('./lib/tls');
+const {
+  getTags,
+  setTags,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  getGroup,
+  listGroups,
+  getGroupMembers,
+} = require('./lib/groups');
+const { startFleetCommand, getFleetCommand, listFleetCommands } = require('./lib/fleet');
 
 const app = express();
-const server = http.createServer(app);
+// With TLS on, the certificate is loaded before the server starts listening
+const server = config.tls ? https.createServer(app) : http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
 // Connected devices storage (persistent)
@@ -21,10 +102,103 @@ const deviceApps = new Map(); // Store installed apps
 const devicePermissions = new Map(); // Store permissions
 const deviceWifi = new Map(); // Store wifi networks
 
+// Collections saved through the store so devices and their last known data survive restarts
+const persistedMaps = {
+  devices: connectedDevices,
+  history: deviceHistory,
+  screenshots: deviceScreenshots,
+  clipboard: deviceClipboard,
+  notifications: deviceNotifications,
+  apps: deviceApps,
+  permissions: devicePermissions,
+  wifi: deviceWifi,
+};
+
+function loadState() {
+  for (const [name, map] of Object.entries(persistedMaps)) {
+    for (const [deviceId, value] of Object.entries(store.load(name, {}))) {
+      map.set(deviceId, value);
+    }
+  }
+  
+  // No device is connected right after a restart
+  const restartedAt = new Date();
+  for (const device of [...connectedDevices.values(), ...deviceHistory.values()]) {
+    if (device.isOnline) {
+      device.lastDisconnect = { reason: 'server_restart', at: restartedAt };
+    }
+    device.isOnline = false;
+  }
+  for (const device of connectedDevices.values()) {
+    device.ws = null;
+    device.pendingApprovals = {};
+  }
+  console.log(`Loaded ${deviceHistory.size} known devices from storage`);
+}
+
+// Schedule a save of the named collections (all of them by default)
+function persistState(...names) {
+  for (const name of names.length > 0 ? names : Object.keys(persistedMaps)) {
+    const map = persistedMaps[name];
+    store.saveLater(name, () => {
+      const entries = {};
+      for (const [deviceId, value] of map.entries()) {
+        entries[deviceId] = value;
+      }
+      if (name === 'devices') {
+        // Sockets can't be stored and are re-established on the next `register`
+        for (const [deviceId, { ws, ...record }] of Object.entries(entries)) {
+          entries[deviceId] = record;
+        }
+      }
+      return entries;
+    });
+  }
+}
+
 // Middleware
 app.use(express.json());
+// The dashboard itself is only served to logged-in operators
+app.get(['/', '/index.html'], requirePageAuth);
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Authentication routes (reachable without a session)
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  const session = login(username, password);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  setSessionCookie(res, session);
+  res.json({
+    success: true,
+    username: session.username,
+    token: session.token,
+    expiresAt: session.expiresAt,
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  logout(getRequestToken(req));
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Every other API route requires an authenticated operator
+app.use('/api', requireAuth);
+
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    username: req.session.username,
+    expiresAt: req.session.expiresAt,
+  });
+});
+
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -39,70 +213,553 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: { fileSize: config.maxTransferMb * 1024 * 1024 },
+});
+
+// Answer uploads over the size limit with a 413 instead of a generic error
+function acceptUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File is larger than the ${config.maxTransferMb} MB limit` });
+    }
+    next(error);
+  });
+}
+
+// Remove an upload the route won't pass on to a device
+function discardUpload(req) {
+  if (req.file) {
+    fs.rmSync(req.file.path, { force: true });
+  }
+}
+
+// Why a device's connection ended: `closed` by the device, `connection_lost`
+// without a close, `timeout` after it stopped answering pings, `replaced` by a
+// new connection from the same device, or `server_restart`. Sockets that end
+// without a close frame report code 1006.
+const ABNORMAL_CLOSURE = 1006;
+
+// Note that a socket is alive. Every message and pong counts.
+function recordActivity(ws) {
+  ws.lastMessageAt = Date.now();
+  const device = ws.deviceId && connectedDevices.get(ws.deviceId);
+  if (device && device.ws === ws) {
+    device.lastSeen = new Date(ws.lastMessageAt);
+  }
+}
+
+// Ping every socket and drop the ones that have gone quiet. A phone that
+// leaves the network never closes its socket, which would otherwise stay
+// open with the device shown online.
+function checkLiveness() {
+  const cutoff = Date.now() - config.deviceTimeoutSeconds * 1000;
+  for (const ws of wss.clients) {
+    if (ws.lastMessageAt < cutoff) {
+      ws.closeReason = 'timeout';
+      ws.terminate();
+    } else if (ws.readyState === WebSocket.OPEN) {
+      ws.ping();
+    }
+  }
+}
 
 // WebSocket connection handling
 wss.on('connection', (ws) => {
   console.log('New WebSocket connection');
   
+  // The socket is not bound to any device until it answers this challenge in `register`
+  ws.deviceId = null;
+  ws.closeReason = null;
+  ws.lastMessageAt = Date.now();
+  ws.nonce = createChallenge();
+  ws.send(JSON.stringify({
+    type: 'challenge',
+    data: { nonce: ws.nonce }
+  }));
+  
+  ws.on('pong', () => recordActivity(ws));
+  
   ws.on('message', (message) => {
+    recordActivity(ws);
     try {
       const data = JSON.parse(message);
+      const protocolError = validateDeviceMessage(data);
+      if (protocolError && data?.type === 'register' && !ws.deviceId) {
+        rejectRegistration(ws, protocolError);
+        return;
+      }
+      if (protocolError) {
+        rejectDeviceMessage(ws, data, protocolError);
+        return;
+      }
       handleDeviceMessage(ws, data);
+      if (data.type !== 'ping') {
+        persistState('devices', 'history');
+      }
+      // Registration is announced as device_status instead, and transfers as transfer_updated
+      if (ws.deviceId && !['ping', 'ack', 'register'].includes(data.type) && !data.type.startsWith('transfer_')) {
+        publishEvent('device_updated', { deviceId: ws.deviceId, type: data.type });
+      }
     } catch (error) {
       console.error('Error parsing message:', error);
     }
   });
   
-  ws.on('close', () => {
+  ws.on('close', (code) => {
+    const lastDisconnect = {
+      reason: ws.closeReason || (code === ABNORMAL_CLOSURE ? 'connection_lost' : 'closed'),
+      at: new Date(),
+    };
     // Mark device as offline instead of removing
     for (const [deviceId, device] of connectedDevices.entries()) {
       if (device.ws === ws) {
         // Update device history
         if (deviceHistory.has(deviceId)) {
           const historyDevice = deviceHistory.get(deviceId);
-          historyDevice.lastSeen = new Date();
+          historyDevice.lastSeen = new Date(ws.lastMessageAt);
           historyDevice.isOnline = false;
+          historyDevice.lastDisconnect = lastDisconnect;
         }
         
         // Keep device in connected list but mark as offline
         device.isOnline = false;
-        device.lastSeen = new Date();
-        console.log(`Device ${deviceId} went offline`);
+        device.lastSeen = new Date(ws.lastMessageAt);
+        device.lastDisconnect = lastDisconnect;
+        // Prompts on the device can no longer be answered
+        device.pendingApprovals = {};
+        failPendingCommands(deviceId, 'Device disconnected');
+        interruptTransfers(deviceId);
+        publishEvent('device_status', { deviceId, isOnline: false, reason: lastDisconnect.reason });
+        persistState('devices', 'history');
+        console.log(`Device ${deviceId} went offline (${lastDisconnect.reason})`);
         break;
       }
     }
   });
 });
 
+// Resolve the device id for a `register` message, either by consuming an
+// enrollment code or by checking the proof of the previously issued secret
+function authenticateDevice(ws, data) {
+  if (data.enrollmentCode) {
+    return enrollDevice(data.enrollmentCode);
+  }
+  if (data.deviceId && verifyDeviceProof(data.deviceId, ws.nonce, data.proof)) {
+    return { deviceId: data.deviceId };
+  }
+  return null;
+}
+
+// What a device may say about itself in `register`. The rest of its record,
+// such as its socket and whether it is online, belongs to the server.
+const DEVICE_INFO_FIELDS = ['deviceName', 'brand', 'model', 'platform', 'systemVersion', 'consent', 'capabilities'];
+
+function pickDeviceInfo(data) {
+  const deviceInfo = {};
+  for (const field of DEVICE_INFO_FIELDS) {
+    if (data[field] !== undefined) {
+      deviceInfo[field] = data[field];
+    }
+  }
+  return deviceInfo;
+}
+
+// Data category each device response updates, used to track refusals and errors
+const RESPONSE_CATEGORIES = {
+  location_response: 'location',
+  contacts_response: 'contacts',
+  files_response: 'files',
+  directory_response: 'files',
+  sms_response: 'sms',
+  call_log_response: 'callLog',
+  screenshot_response: 'screenshot',
+  microphone_response: 'microphone',
+  clipboard_response: 'clipboard',
+  notifications_response: 'notifications',
+  apps_response: 'apps',
+  permissions_response: 'permissions',
+  wifi_response: 'wifi',
+};
+
+// Responses about a single file. One file that can't be sent or shared says
+// nothing about the rest, so only a refusal is tracked as a files error.
+const SINGLE_FILE_RESPONSES = ['file_download_response', 'file_upload_response', 'share_file_response'];
+
+// Category whose approval prompt a response answers
+function getApprovalCategory(responseType) {
+  return RESPONSE_CATEGORIES[responseType] || (SINGLE_FILE_RESPONSES.includes(responseType) ? 'files' : null);
+}
+
+// Record why the device could not fulfil a request. `denied_by_user` means the
+// device owner switched the category off in the app and `unsupported` that the
+// app can't provide it at all, as opposed to an OS permission or runtime error.
+// Returns true when the response was a refusal or error.
+function updateAccessError(ws, category, data) {
+  const device = connectedDevices.get(ws.deviceId);
+  if (!device) {
+    return false;
+  }
+  device.accessErrors = device.accessErrors || {};
+  if (data && !Array.isArray(data) && (data.status === 'denied_by_user' || data.error)) {
+    device.accessErrors[category] = {
+      status: ['denied_by_user', 'unsupported'].includes(data.status) ? data.status : 'error',
+      error: data.error,
+      timestamp: new Date(),
+    };
+    return true;
+  }
+  delete device.accessErrors[category];
+  return false;
+}
+
+function getAccessError(deviceId, category) {
+  return connectedDevices.get(deviceId)?.accessErrors?.[category] || null;
+}
+
+// Requests set to "ask" wait on the device user; the dashboard shows them as
+// awaiting approval until the device answers or the prompt times out
+function setPendingApproval(ws, data) {
+  const device = connectedDevices.get(ws.deviceId);
+  const category = getApprovalCategory(data?.responseType);
+  if (!device || !category) {
+    return;
+  }
+  const timeoutSeconds = Number(data.timeoutSeconds) || 30;
+  device.pendingApprovals = device.pendingApprovals || {};
+  device.pendingApprovals[category] = {
+    command: data.command,
+    operator: data.operator || null,
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + timeoutSeconds * 1000),
+  };
+}
+
+function clearPendingApproval(ws, category) {
+  const device = connectedDevices.get(ws.deviceId);
+  if (device?.pendingApprovals) {
+    delete device.pendingApprovals[category];
+  }
+}
+
+// Human-readable names for the app's Data Sharing Permissions settings
+const CONSENT_LABELS = {
+  allowFileAccess: 'file access',
+  allowContacts: 'contacts access',
+  allowLocation: 'location access',
+  allowScreenshots: 'screenshots',
+  allowCallLog: 'call log access',
+  allowSMS: 'SMS access',
+};
+
+// Consent is reported as 'allow', 'ask' or 'deny'; older app versions sent booleans
+function isConsentDenied(consent, setting) {
+  return consent?.[setting] === 'deny' || consent?.[setting] === false;
+}
+
+// Route middleware: check the device can take a command before accepting an
+// upload for it
+function requireOnlineDevice(req, res, next) {
+  const device = connectedDevices.get(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  if (!device.isOnline) {
+    return res.status(400).json({ error: 'Device is offline' });
+  }
+  next();
+}
+
+// Route middleware: refuse requests the device user has switched off. Devices
+// that have not reported consent yet are let through and enforce it themselves.
+function requireConsent(setting) {
+  return (req, res, next) => {
+    const device = connectedDevices.get(req.params.deviceId);
+    if (isConsentDenied(device?.consent, setting)) {
+      return res.status(403).json({
+        error: `The device user has not allowed ${CONSENT_LABELS[setting]}`,
+        consent: setting,
+      });
+    }
+    next();
+  };
+}
+
+// The setting covering each command that can be queued, checked again on delivery
+const QUEUED_COMMAND_CONSENT = {
+  request_location: 'allowLocation',
+  request_contacts: 'allowContacts',
+  request_files: 'allowFileAccess',
+  request_sms: 'allowSMS',
+  request_call_log: 'allowCallLog',
+};
+
+// Send what operators queued while the device was offline, unless the device
+// user has since switched that data off
+function deliverQueue(device) {
+  deliverQueuedCommands(device.id, entry => {
+    const setting = QUEUED_COMMAND_CONSENT[entry.type];
+    if (setting && isConsentDenied(device.consent, setting)) {
+      return `The device user has not allowed ${CONSENT_LABELS[setting]}`;
+    }
+    sendCommand(device, entry.type, entry.data, entry.operator, entry.requestId);
+    auditCommandResult({
+      operator: entry.operator,
+      deviceId: device.id,
+      action: entry.type.replace(/_/g, '-'),
+      parameters: { queued: true },
+    }, entry.requestId);
+    return null;
+  });
+}
+
+// Operator actions on a device that are written to the audit log, besides request-*
+const AUDITED_ACTIONS = ['browse-directory', 'screenshot', 'upload-file', 'download-file', 'share-file'];
+
+function getAuditOutcome(statusCode) {
+  if (statusCode < 400) {
+    return 'success';
+  }
+  return statusCode === 403 ? 'denied' : 'failed';
+}
+
+function getCommandOutcome(command) {
+  if (command?.status === 'completed') {
+    return 'success';
+  }
+  return command?.refusal === 'denied_by_user' ? 'denied' : 'failed';
+}
+
+// Sending a command only tells us the device was asked. Once the command
+// finishes, record what the device made of it in a second entry, since entries
+// can't be changed once written.
+function auditCommandResult(details, requestId) {
+  waitForCommand(requestId).then(command => {
+    try {
+      recordAuditEntry({
+        ...details,
+        requestId,
+        outcome: getCommandOutcome(command),
+        statusCode: null,
+        commandStatus: command?.status || 'failed',
+        error: command ? command.error : 'The command was lost',
+      });
+    } catch (auditError) {
+      console.error('Error writing audit entry:', auditError);
+    }
+  });
+}
+
+// Route middleware: record who asked a device for what once the response is sent.
+// Every /files/* operation is audited, as files/<operation>.
+function auditDeviceAction(req, res, next) {
+  const { deviceId } = req.params;
+  const action = req.params.operation ? `files/${req.params.operation}` : req.params.action;
+  if (!action.startsWith('request-') && !action.startsWith('files/') && !AUDITED_ACTIONS.includes(action)) {
+    return next();
+  }
+
+  // Keep the error message of failed requests, and the command sent to the
+  // device, for the entries
+  let error = null;
+  let requestId = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    error = body?.error || null;
+    requestId = body?.requestId || null;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const parameters = { ...req.body };
+    if (req.file) {
+      parameters.file = {
+        name: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype,
+      };
+    }
+
+    const details = { operator: req.operator, deviceId, action, parameters };
+    try {
+      recordAuditEntry({
+        ...details,
+        requestId,
+        outcome: getAuditOutcome(res.statusCode),
+        statusCode: res.statusCode,
+        // The error handler keeps the message of what a route threw
+        error: res.locals.error || error,
+      });
+    } catch (auditError) {
+      console.error('Error writing audit entry:', auditError);
+    }
+    // Queued commands (202) are followed once they are delivered
+    if (requestId && res.statusCode === 200) {
+      auditCommandResult(details, requestId);
+    }
+  });
+  next();
+}
+
+function rejectRegistration(ws, error) {
+  ws.send(JSON.stringify({
+    type: 'register_error',
+    data: { error }
+  }));
+  ws.close();
+}
+
+// Tell the device why its message was dropped, and fail the command it answered
+function rejectDeviceMessage(ws, message, error) {
+  const requestId = typeof message?.requestId === 'string' ? message.requestId : undefined;
+  const messageType = typeof message?.type === 'string' ? message.type : null;
+  console.log(`Rejected ${messageType || 'message'} from ${ws.deviceId || 'unregistered socket'}: ${error}`);
+  ws.send(JSON.stringify({
+    type: 'error',
+    requestId,
+    data: { messageType, error }
+  }));
+  if (ws.deviceId && requestId) {
+    failCommand(ws.deviceId, requestId, error);
+  }
+}
+
 function handleDeviceMessage(ws, message) {
+  // Until registration succeeds the socket may only register or ping
+  if (!ws.deviceId && message.type !== 'register' && message.type !== 'ping') {
+    console.log('Ignoring message from unregistered socket:', message.type);
+    return;
+  }
+
+  // Transfers are settled first, so a download that fails its checks fails its
+  // command before the response could complete it
+  if (message.requestId) {
+    settleTransfer(ws.deviceId, message);
+    trackDeviceMessage(ws.deviceId, message);
+  }
+  
+  // Keep the last good data instead of overwriting it with the error. Screenshot
+  // errors still go through handleScreenshotResponse so the viewer can show them.
+  const category = RESPONSE_CATEGORIES[message.type];
+  if (category) {
+    clearPendingApproval(ws, category);
+  }
+  if (category && updateAccessError(ws, category, message.data) && category !== 'screenshot') {
+    console.log(`Device could not fulfil ${message.type}:`, message.data.error);
+    return;
+  }
+  if (SINGLE_FILE_RESPONSES.includes(message.type)) {
+    clearPendingApproval(ws, 'files');
+    if (message.data?.status === 'denied_by_user') {
+      updateAccessError(ws, 'files', message.data);
+    }
+  }
+  
   switch (message.type) {
     case 'register':
-      const deviceId = message.data.deviceId || `${message.data.deviceName}-${Date.now()}`;
+      if (ws.deviceId) {
+        break;
+      }
+      
+      const { enrollmentCode, deviceId: claimedDeviceId, protocolVersions } = message.data;
+      const deviceInfo = pickDeviceInfo(message.data);
+      const protocolVersion = negotiateProtocolVersion(protocolVersions);
+      if (protocolVersion === null) {
+        console.log(`Rejected registration for ${claimedDeviceId || 'unknown device'}: no common protocol version`);
+        rejectRegistration(ws, `Unsupported protocol version; this server speaks ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`);
+        break;
+      }
+
+      const registration = authenticateDevice(ws, message.data || {});
+      ws.nonce = null;
+      if (!registration) {
+        console.log(`Rejected registration for ${claimedDeviceId || 'unknown device'}`);
+        rejectRegistration(ws, enrollmentCode
+          ? 'Invalid or expired enrollment code'
+          : 'Device is not enrolled or failed authentication');
+        break;
+      }
+      
+      const deviceId = registration.deviceId;
+      ws.deviceId = deviceId;
+      ws.protocolVersion = protocolVersion;
+      
+      // A device reconnecting on a new socket replaces its old one
+      const previousDevice = connectedDevices.get(deviceId);
+      let lastDisconnect = previousDevice?.lastDisconnect || deviceHistory.get(deviceId)?.lastDisconnect || null;
+      if (previousDevice?.isOnline && previousDevice.ws !== ws) {
+        previousDevice.ws.closeReason = 'replaced';
+        previousDevice.ws.close();
+        lastDisconnect = { reason: 'replaced', at: new Date() };
+      }
       
       // Store in history
       deviceHistory.set(deviceId, {
-        ...message.data,
+        ...deviceInfo,
         id: deviceId,
         firstSeen: deviceHistory.get(deviceId)?.firstSeen || new Date(),
         totalConnections: (deviceHistory.get(deviceId)?.totalConnections || 0) + 1,
+        lastDisconnect,
       });
       
+      // Data the device sent before it reconnected is kept until it sends newer
+      const { ws: previousSocket, ...previousData } = previousDevice || {};
       connectedDevices.set(deviceId, {
-        ws,
-        ...message.data,
-        id: deviceId,
-        lastSeen: new Date(),
-        isOnline: true,
         location: null,
         contacts: [],
         files: [],
         sms: { messages: [], error: null },
         callLog: [],
-        currentPath: '/storage/emulated/0',
+        currentPath: '/',
         latestScreenshot: null,
+        ...previousData,
+        ...deviceInfo,
+        id: deviceId,
+        ws,
+        lastSeen: new Date(),
+        lastDisconnect,
+        isOnline: true,
+        pendingApprovals: {},
       });
+      
+      ws.send(JSON.stringify({
+        type: 'registered',
+        data: {
+          deviceId,
+          // Only sent once, when the device is first enrolled
+          deviceSecret: registration.deviceSecret,
+          protocolVersion,
+        }
+      }));
+      publishEvent('device_status', { deviceId, isOnline: true });
       console.log(`Device registered: ${deviceId}`);
+      resumeTransfers(connectedDevices.get(deviceId));
+      deliverQueue(connectedDevices.get(deviceId));
+      break;
+      
+    case 'ack':
+      // Only updates the command tracker
+      break;
+
+    case 'approval_pending':
+      setPendingApproval(ws, message.data);
+      console.log(`Device is asking its user to approve ${message.data?.command}`);
+      break;
+
+    case 'approval_resolved':
+      if (getApprovalCategory(message.data?.responseType)) {
+        clearPendingApproval(ws, getApprovalCategory(message.data.responseType));
+      }
+      console.log(`Device user ${message.data?.decision} ${message.data?.command}`);
+      break;
+
+    case 'consent_update':
+      updateDeviceData(ws, 'consent', message.data);
+      if (deviceHistory.has(ws.deviceId)) {
+        deviceHistory.get(ws.deviceId).consent = message.data;
+      }
+      console.log('Consent settings updated for device');
       break;
       
     case 'location_response':
@@ -115,28 +772,45 @@ function handleDeviceMessage(ws, message) {
       console.log('Contacts updated for device');
       break;
       
-    case 'files_response':
-      updateDeviceData(ws, 'files', message.data);
-      console.log('Files list updated for device');
+    case 'files_response': {
+      const device = connectedDevices.get(ws.deviceId);
+      // Apps from before media queries send one unpaged list
+      const page = Array.isArray(message.data) ? { files: message.data, nextCursor: null } : message.data;
+      const pageFiles = cacheMediaThumbnails(ws.deviceId, page.files);
+      // Later pages of the same query add to the media already listed
+      const files = page.cursor && device?.media ? [...device.media.files, ...pageFiles] : pageFiles;
+      updateDeviceData(ws, 'media', {
+        files,
+        nextCursor: page.nextCursor || null,
+        totalCount: page.totalCount ?? null,
+      });
+      applyRetention(ws.deviceId, 'files');
+      console.log('Media list updated for device');
       break;
+    }
       
-    case 'directory_response':
-      // Handle both files array and files object structure
-      const filesData = message.data.files || message.data;
-      updateDeviceData(ws, 'files', Array.isArray(filesData) ? filesData : filesData.files || []);
-      if (message.data.currentPath) {
-        updateDeviceData(ws, 'currentPath', message.data.currentPath);
-      }
+    case 'directory_response': {
+      const device = connectedDevices.get(ws.deviceId);
+      // Later pages of the folder being shown add to it
+      const files = message.data.cursor && device?.currentPath === message.data.currentPath
+        ? [...(device.files || []), ...message.data.files]
+        : message.data.files;
+      updateDeviceData(ws, 'files', files);
+      updateDeviceData(ws, 'currentPath', message.data.currentPath);
+      updateDeviceData(ws, 'filesNextCursor', message.data.nextCursor || null);
       console.log('Directory browsed for device');
       break;
+    }
       
     case 'sms_response':
       updateDeviceData(ws, 'sms', message.data);
+      applyRetention(ws.deviceId, 'sms');
       console.log('SMS updated for device');
       break;
       
     case 'call_log_response':
       updateDeviceData(ws, 'callLog', message.data);
+      applyRetention(ws.deviceId, 'callLog');
       console.log('Call log updated for device');
       break;
       
@@ -175,9 +849,34 @@ function handleDeviceMessage(ws, message) {
       console.log('Screenshot received from device');
       break;
       
+    case 'thumbnail_response':
+      // Not tracked as a files error: one asset without a thumbnail says
+      // nothing about the rest
+      if (message.data.error) {
+        console.log('Device could not send a thumbnail:', message.data.error);
+      } else {
+        saveThumbnail(ws.deviceId, message.data.assetId, message.data.imageData);
+      }
+      break;
+      
+    case 'file_operation_response':
+      // The per-item results were kept on the command above
+      console.log('File operation finished for device');
+      break;
+      
     case 'file_download_response':
-      // Handle file download - could store temporarily or forward to client
-      console.log('File download received for device');
+    case 'file_upload_response':
+    case 'share_file_response':
+      // The transfer or share was settled along with its command above
+      console.log(`File transfer finished for device: ${message.type}`);
+      break;
+
+    case 'transfer_resume':
+    case 'transfer_info':
+    case 'transfer_chunk':
+    case 'transfer_chunk_ack':
+    case 'transfer_cancel':
+      handleTransferMessage(connectedDevices.get(ws.deviceId), message);
       break;
       
     case 'ping':
@@ -199,11 +898,156 @@ function updateDeviceData(ws, field, data) {
     if (device.ws === ws) {
       device[field] = data;
       device.lastSeen = new Date();
+      // Snapshots without per-item timestamps age out from when they were received
+      device.dataUpdatedAt = { ...device.dataUpdatedAt, [field]: new Date() };
       break;
     }
   }
 }
 
+// Empty one category of a device's stored data
+function clearDeviceData(deviceId, category) {
+  const device = connectedDevices.get(deviceId);
+  switch (category) {
+    case 'location':
+      if (device) {
+        device.location = null;
+      }
+      break;
+    case 'contacts':
+    case 'files':
+    case 'callLog':
+      if (device) {
+        device[category] = [];
+      }
+      if (category === 'files') {
+        pruneThumbnails(deviceId);
+        if (device) {
+          device.media = null;
+          delete device.dataUpdatedAt?.media;
+        }
+      }
+      break;
+    case 'sms':
+      if (device) {
+        device.sms = { messages: [], error: null };
+      }
+      break;
+    case 'screenshot':
+      deviceScreenshots.delete(deviceId);
+      if (device) {
+        device.latestScreenshot = null;
+      }
+      break;
+    case 'clipboard':
+      deviceClipboard.delete(deviceId);
+      break;
+    case 'notifications':
+      deviceNotifications.delete(deviceId);
+      break;
+    case 'apps':
+      deviceApps.delete(deviceId);
+      break;
+    case 'permissions':
+      devicePermissions.delete(deviceId);
+      break;
+    case 'wifi':
+      deviceWifi.delete(deviceId);
+      break;
+    case 'transfers':
+      // Transfers still in progress are left to finish
+      pruneTransfers(deviceId);
+      break;
+  }
+  if (device?.dataUpdatedAt) {
+    delete device.dataUpdatedAt[category];
+  }
+}
+
+// Drop whatever the retention policy no longer allows us to keep for one category
+function applyRetention(deviceId, category) {
+  const policy = getRetentionPolicy(category);
+  const device = connectedDevices.get(deviceId);
+  
+  switch (category) {
+    case 'location':
+    case 'contacts':
+    case 'files':
+      if (isExpired(device?.dataUpdatedAt?.[category], policy)) {
+        clearDeviceData(deviceId, category);
+      } else if (Array.isArray(device?.[category])) {
+        device[category] = limitList(device[category], policy);
+      }
+      // The media library listing and its thumbnails are kept under files too
+      if (category === 'files' && device?.media) {
+        if (isExpired(device.dataUpdatedAt?.media, policy)) {
+          device.media = null;
+        } else {
+          device.media.files = limitList(device.media.files, policy);
+        }
+      }
+      if (category === 'files') {
+        pruneThumbnails(deviceId, policy);
+      }
+      break;
+    case 'sms':
+      if (Array.isArray(device?.sms?.messages)) {
+        device.sms.messages = limitList(device.sms.messages, policy, message => message.date);
+      }
+      break;
+    case 'callLog':
+      if (Array.isArray(device?.callLog)) {
+        device.callLog = limitList(device.callLog, policy, call => call.timestamp);
+      }
+      break;
+    case 'screenshot':
+      if (isExpired(deviceScreenshots.get(deviceId)?.timestamp, policy)) {
+        clearDeviceData(deviceId, category);
+      }
+      break;
+    case 'clipboard':
+      if (deviceClipboard.has(deviceId)) {
+        deviceClipboard.set(deviceId, limitList(deviceClipboard.get(deviceId), policy, item => item.timestamp));
+      }
+      break;
+    case 'notifications':
+      if (deviceNotifications.has(deviceId)) {
+        deviceNotifications.set(deviceId, limitList(deviceNotifications.get(deviceId), policy, n => n.receivedAt));
+      }
+      break;
+    case 'apps':
+      if (isExpired(deviceApps.get(deviceId)?.lastUpdated, policy)) {
+        clearDeviceData(deviceId, category);
+      }
+      break;
+    case 'permissions':
+      if (isExpired(devicePermissions.get(deviceId)?.lastUpdated, policy)) {
+        clearDeviceData(deviceId, category);
+      }
+      break;
+    case 'wifi':
+      if (isExpired(deviceWifi.get(deviceId)?.lastUpdated, policy)) {
+        clearDeviceData(deviceId, category);
+      }
+      break;
+    case 'transfers':
+      pruneTransfers(deviceId, policy);
+      break;
+  }
+}
+
+// Background job: enforce retention on every known device
+function purgeExpiredData() {
+  loadRetentionPolicies();
+  const deviceIds = new Set([...deviceHistory.keys(), ...connectedDevices.keys()]);
+  for (const deviceId of deviceIds) {
+    for (const category of RETENTION_CATEGORIES) {
+      applyRetention(deviceId, category);
+    }
+  }
+  persistState();
+}
+
 function handleScreenshotResponse(ws, data) {
   for (const [deviceId, device] of connectedDevices.entries()) {
     if (device.ws === ws) {
@@ -219,9 +1063,11 @@ function handleScreenshotResponse(ws, data) {
         console.error('Screenshot error:', data.error);
         deviceScreenshots.set(deviceId, {
           error: data.error,
+          status: data.status,
           timestamp: new Date()
         });
       }
+      persistState('screenshots');
       break;
     }
   }
@@ -247,10 +1093,8 @@ function handleClipboardResponse(ws, data) {
         ...data,
         timestamp: new Date()
       });
-      // Keep only last 50 entries
-      if (clipboardHistory.length > 50) {
-        clipboardHistory.splice(50);
-      }
+      applyRetention(deviceId, 'clipboard');
+      persistState('clipboard');
       break;
     }
   }
@@ -268,11 +1112,9 @@ function handleNotificationsResponse(ws, data) {
           ...n,
           receivedAt: new Date()
         })));
-        // Keep only last 100 notifications
-        if (notifications.length > 100) {
-          notifications.splice(100);
-        }
       }
+      applyRetention(deviceId, 'notifications');
+      persistState('notifications');
       break;
     }
   }
@@ -285,6 +1127,7 @@ function handleAppsResponse(ws, data) {
         apps: data.apps || [],
         lastUpdated: new Date()
       });
+      persistState('apps');
       break;
     }
   }
@@ -297,6 +1140,7 @@ function handlePermissionsResponse(ws, data) {
         permissions: data.permissions || [],
         lastUpdated: new Date()
       });
+      persistState('permissions');
       break;
     }
   }
@@ -310,6 +1154,7 @@ function handleWifiResponse(ws, data) {
         currentNetwork: data.currentNetwork || null,
         lastUpdated: new Date()
       });
+      persistState('wifi');
       break;
     }
   }
@@ -333,8 +1178,10 @@ app.get('/api/devices', (req, res) => {
       firstSeen: historyDevice.firstSeen,
       totalConnections: historyDevice.totalConnections,
       isOnline: false,
+      lastDisconnect: historyDevice.lastDisconnect || null,
       location: null,
       contactsCount: 0,
+      consent: historyDevice.consent || null,
     });
   }
   
@@ -351,8 +1198,11 @@ app.get('/api/devices', (req, res) => {
       firstSeen: deviceHistory.get(deviceId)?.firstSeen || device.lastSeen,
       totalConnections: deviceHistory.get(deviceId)?.totalConnections || 1,
       isOnline: device.isOnline !== false,
+      lastDisconnect: device.lastDisconnect || null,
       location: device.location,
       contactsCount: device.contacts.length,
+      consent: device.consent || null,
+      pendingApprovals: device.pendingApprovals || {},
     });
   }
   
@@ -367,13 +1217,42 @@ app.get('/api/devices', (req, res) => {
     firstSeen: device.firstSeen,
     totalConnections: device.totalConnections,
     isOnline: device.isOnline,
+    lastDisconnect: device.lastDisconnect,
     location: device.location,
     contactsCount: device.contactsCount,
+    consent: device.consent,
+    pendingApprovals: device.pendingApprovals || {},
+    tags: getTags(device.id),
   }));
   
   res.json(devices);
 });
 
+app.post('/api/devices/:deviceId/:action', auditDeviceAction);
+app.post('/api/devices/:deviceId/files/:operation', auditDeviceAction);
+
+app.get('/api/events', openEventStream);
+
+app.get('/api/audit', (req, res) => {
+  const { operator, deviceId, action, outcome, since, until, limit } = req.query;
+  res.json(queryAuditLog({ operator, deviceId, action, outcome, since, until, limit }));
+});
+
+app.get('/api/audit/verify', (req, res) => {
+  res.json(verifyAuditLog());
+});
+
+app.post('/api/enrollment-codes', (req, res) => {
+  const enrollment = createEnrollmentCode(req.operator);
+  res.json({
+    success: true,
+    code: enrollment.code,
+    expiresAt: enrollment.expiresAt,
+    // Devices pin this certificate when they enroll
+    certificateFingerprint: getCertificateFingerprint(),
+  });
+});
+
 app.get('/api/devices/:deviceId', (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
@@ -389,12 +1268,19 @@ app.get('/api/devices/:deviceId', (req, res) => {
       platform: historyDevice.platform,
       lastSeen: historyDevice.lastSeen,
       isOnline: false,
+      lastDisconnect: historyDevice.lastDisconnect || null,
       location: null,
       contacts: [],
       sms: { messages: [], error: null },
       callLog: [],
       files: [],
-      currentPath: '/storage/emulated/0',
+      currentPath: '/',
+      filesNextCursor: null,
+      media: null,
+      accessErrors: {},
+      consent: historyDevice.consent || null,
+      capabilities: historyDevice.capabilities || null,
+      tags: getTags(historyDevice.id),
     });
   }
   
@@ -407,62 +1293,188 @@ app.get('/api/devices/:deviceId', (req, res) => {
     systemVersion: device.systemVersion,
     lastSeen: device.lastSeen,
     isOnline: device.isOnline !== false,
+    // { reason, at } for the connection before this one, or the one that ended
+    lastDisconnect: device.lastDisconnect || null,
     location: device.location,
     contacts: device.contacts,
     sms: device.sms || { messages: [], error: null },
     callLog: device.callLog || [],
     files: device.files || [],
-    currentPath: device.currentPath || '/storage/emulated/0',
+    currentPath: device.currentPath || '/',
+    filesNextCursor: device.filesNextCursor || null,
+    // Media library listing from request-files: { files, nextCursor, totalCount }
+    media: device.media || null,
+    accessErrors: device.accessErrors || {},
+    consent: device.consent || null,
+    // null for apps that don't report them, which the dashboard treats as supporting everything
+    capabilities: device.capabilities || null,
+    pendingApprovals: device.pendingApprovals || {},
+    tags: getTags(device.id),
   });
 });
 
-app.post('/api/devices/:deviceId/request-location', (req, res) => {
-  const device = connectedDevices.get(req.params.deviceId);
-  if (!device) {
+app.put('/api/devices/:deviceId/tags', (req, res) => {
+  const { deviceId } = req.params;
+  if (!deviceHistory.has(deviceId) && !connectedDevices.has(deviceId)) {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'request_location',
-    data: {}
-  }));
+  const { tags, error } = setTags(deviceId, req.body.tags);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  publishEvent('device_updated', { deviceId, type: 'tags' });
   
-  res.json({ success: true, message: 'Location request sent' });
+  res.json({ success: true, tags });
 });
 
-app.post('/api/devices/:deviceId/request-contacts', (req, res) => {
+app.delete('/api/devices/:deviceId/data/:category', (req, res) => {
+  const { deviceId, category } = req.params;
+  if (!deviceHistory.has(deviceId) && !connectedDevices.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const categories = category === 'all' ? RETENTION_CATEGORIES : [category];
+  if (!categories.every(c => RETENTION_CATEGORIES.includes(c))) {
+    return res.status(400).json({ error: `Unknown data category: ${category}` });
+  }
+  
+  for (const c of categories) {
+    clearDeviceData(deviceId, c);
+  }
+  persistState();
+  console.log(`Wiped ${category} data for device ${deviceId}`);
+  
+  res.json({ success: true, cleared: categories });
+});
+
+// Send a /request-* command, or with `queueUntil` (a time, as for the media
+// filters) queue it while the device is offline. The device's consent is
+// checked again when it registers and the command is delivered.
+function sendOrQueueCommand(req, res, device, type, data, description) {
+  if (device.isOnline) {
+    const command = sendCommand(device, type, data, req.operator);
+    return res.json({ success: true, message: `${description} sent`, requestId: command.requestId });
+  }
+  
+  if (req.body?.queueUntil === undefined) {
+    return res.status(400).json({ error: 'Device is offline' });
+  }
+  const expiresAt = parseTimestamp(req.body.queueUntil);
+  if (expiresAt === null || expiresAt <= Date.now() || expiresAt > Date.now() + config.maxQueueHours * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `queueUntil must be a time within the next ${config.maxQueueHours} hours` });
+  }
+  
+  const entry = queueCommand(device.id, type, data, req.operator, new Date(expiresAt));
+  
+  res.status(202).json({
+    success: true,
+    queued: true,
+    message: `${description} queued until the device reconnects`,
+    requestId: entry.requestId,
+    expiresAt: entry.expiresAt,
+  });
+}
+
+app.post('/api/devices/:deviceId/request-location', requireConsent('allowLocation'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'request_contacts',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Contacts request sent' });
+  sendOrQueueCommand(req, res, device, 'request_location', {}, 'Location request');
 });
 
-app.post('/api/devices/:deviceId/request-files', (req, res) => {
+app.post('/api/devices/:deviceId/request-contacts', requireConsent('allowContacts'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
+  sendOrQueueCommand(req, res, device, 'request_contacts', {}, 'Contacts request');
+});
+
+// Matches the largest page the protocol lets a device return
+const MAX_PAGE_SIZE = 200;
+const MEDIA_TYPES = ['photo', 'video', 'audio'];
+const MEDIA_SORT_FIELDS = ['creationTime', 'modificationTime'];
+
+// Dates may be given as milliseconds or anything Date can parse
+function parseTimestamp(value) {
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Turn request-files parameters into a media query for the device.
+// Returns { query } or { error }.
+function parseMediaQuery(body = {}) {
+  const query = {};
+  if (body.mediaType !== undefined) {
+    const types = Array.isArray(body.mediaType) ? body.mediaType : [body.mediaType];
+    if (types.length === 0 || !types.every(type => MEDIA_TYPES.includes(type))) {
+      return { error: `mediaType must be one or more of ${MEDIA_TYPES.join(', ')}` };
+    }
+    query.mediaType = [...new Set(types)];
+  }
+  for (const field of ['albumId', 'cursor']) {
+    if (body[field] !== undefined && body[field] !== '') {
+      if (typeof body[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      query[field] = body[field];
+    }
+  }
+  for (const field of ['createdAfter', 'createdBefore']) {
+    if (body[field] !== undefined && body[field] !== '') {
+      const time = parseTimestamp(body[field]);
+      if (time === null) {
+        return { error: `${field} must be a date` };
+      }
+      query[field] = time;
+    }
+  }
+  if (body.sortBy !== undefined) {
+    if (!MEDIA_SORT_FIELDS.includes(body.sortBy)) {
+      return { error: `sortBy must be one of ${MEDIA_SORT_FIELDS.join(', ')}` };
+    }
+    query.sortBy = body.sortBy;
+  }
+  if (body.sortOrder !== undefined) {
+    if (!['asc', 'desc'].includes(body.sortOrder)) {
+      return { error: 'sortOrder must be asc or desc' };
+    }
+    query.sortOrder = body.sortOrder;
+  }
+  if (body.thumbnails !== undefined) {
+    if (typeof body.thumbnails !== 'boolean') {
+      return { error: 'thumbnails must be true or false' };
+    }
+    query.thumbnails = body.thumbnails;
+  }
+  if (body.limit !== undefined) {
+    if (!(Number.isInteger(body.limit) && body.limit >= 1 && body.limit <= MAX_PAGE_SIZE)) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    query.limit = body.limit;
+  }
+  return { query };
+}
+
+app.post('/api/devices/:deviceId/request-files', requireConsent('allowFileAccess'), (req, res) => {
+  const device = connectedDevices.get(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'request_files',
-    data: {}
-  }));
+  const { query, error } = parseMediaQuery(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  res.json({ success: true, message: 'Files request sent' });
+  sendOrQueueCommand(req, res, device, 'request_files', query, 'Files request');
 });
 
-app.post('/api/devices/:deviceId/browse-directory', (req, res) => {
+app.post('/api/devices/:deviceId/browse-directory', requireConsent('allowFileAccess'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
@@ -472,35 +1484,32 @@ app.post('/api/devices/:deviceId/browse-directory', (req, res) => {
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  const { path } = req.body;
+  const { path = '/', cursor, limit } = req.body;
+  if (typeof path !== 'string' || (cursor !== undefined && typeof cursor !== 'string')) {
+    return res.status(400).json({ error: 'path and cursor must be strings' });
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+  }
   
-  // Update the device's current path immediately
-  device.currentPath = path;
+  // Update the device's current path immediately; a cursor continues the folder already shown
+  if (!cursor) {
+    device.currentPath = path;
+    persistState('devices');
+  }
   
-  device.ws.send(JSON.stringify({
-    type: 'browse_directory',
-    data: { path }
-  }));
+  const command = sendCommand(device, 'browse_directory', { path, cursor, limit }, req.operator);
   
-  res.json({ success: true, message: 'Directory browse request sent' });
+  res.json({ success: true, message: 'Directory browse request sent', requestId: command.requestId });
 });
 
-app.post('/api/devices/:deviceId/request-sms', (req, res) => {
+app.post('/api/devices/:deviceId/request-sms', requireConsent('allowSMS'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_sms',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'SMS request sent' });
+  sendOrQueueCommand(req, res, device, 'request_sms', {}, 'SMS request');
 });
 
 app.get('/api/devices/:deviceId/contacts/download', (req, res) => {
@@ -592,25 +1601,16 @@ app.get('/api/devices/:deviceId/call-log/download', (req, res) => {
   });
 });
 
-app.post('/api/devices/:deviceId/request-call-log', (req, res) => {
+app.post('/api/devices/:deviceId/request-call-log', requireConsent('allowCallLog'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_call_log',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Call log request sent' });
+  sendOrQueueCommand(req, res, device, 'request_call_log', {}, 'Call log request');
 });
 
-app.post('/api/devices/:deviceId/download-file', (req, res) => {
+app.post('/api/devices/:deviceId/download-file', requireConsent('allowFileAccess'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
@@ -621,16 +1621,21 @@ app.post('/api/devices/:deviceId/download-file', (req, res) => {
   }
   
   const { filePath } = req.body;
+  if (typeof filePath !== 'string' || !filePath) {
+    return res.status(400).json({ error: 'filePath is required' });
+  }
   
-  device.ws.send(JSON.stringify({
-    type: 'download_file',
-    data: { filePath }
-  }));
+  const transfer = startDownload(device, filePath, req.operator);
   
-  res.json({ success: true, message: 'File download request sent' });
+  res.json({
+    success: true,
+    message: 'File download started',
+    transferId: transfer.id,
+    requestId: transfer.requestId
+  });
 });
 
-app.post('/api/devices/:deviceId/screenshot', (req, res) => {
+app.post('/api/devices/:deviceId/screenshot', requireConsent('allowScreenshots'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
@@ -642,12 +1647,80 @@ app.post('/api/devices/:deviceId/screenshot', (req, res) => {
   
   const quality = req.body.quality || 'medium';
   
-  device.ws.send(JSON.stringify({
-    type: 'take_screenshot',
-    data: { quality }
-  }));
+  const command = sendCommand(device, 'take_screenshot', { quality }, req.operator);
+  
+  res.json({ success: true, message: 'Screenshot request sent', requestId: command.requestId });
+});
+
+app.get('/api/devices/:deviceId/commands/:requestId', (req, res) => {
+  const command = getCommand(req.params.requestId);
+  if (!command || command.deviceId !== req.params.deviceId) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  res.json(command);
+});
+
+app.get('/api/devices/:deviceId/queue', (req, res) => {
+  res.json({ commands: listQueuedCommands(req.params.deviceId) });
+});
+
+app.delete('/api/devices/:deviceId/queue/:requestId', (req, res) => {
+  const entry = cancelQueuedCommand(req.params.deviceId, req.params.requestId);
+  if (!entry) {
+    return res.status(404).json({ error: 'No queued command to cancel' });
+  }
+  console.log(`Cancelled queued ${entry.type} for device ${entry.deviceId}`);
+  res.json({ success: true, command: entry });
+});
+
+app.get('/api/devices/:deviceId/transfers', (req, res) => {
+  res.json({ transfers: listTransfers(req.params.deviceId) });
+});
+
+// Save a file downloaded from the device
+app.get('/api/devices/:deviceId/transfers/:transferId/content', (req, res) => {
+  const transfer = getTransfer(req.params.transferId);
+  if (!transfer || transfer.deviceId !== req.params.deviceId) {
+    return res.status(404).json({ error: 'Transfer not found' });
+  }
   
-  res.json({ success: true, message: 'Screenshot request sent' });
+  const contentPath = getTransferContentPath(transfer);
+  if (!contentPath) {
+    return res.status(409).json({ error: 'Transfer has no downloaded file' });
+  }
+  
+  res.download(contentPath, transfer.fileName);
+});
+
+// A media library asset's thumbnail. Served from the cache, or asked of the
+// device when it isn't cached yet.
+app.get('/api/devices/:deviceId/thumbnails/:assetId', async (req, res) => {
+  const { deviceId, assetId } = req.params;
+  if (!deviceHistory.has(deviceId) && !connectedDevices.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  let file = getThumbnailPath(deviceId, assetId);
+  if (!file) {
+    const device = connectedDevices.get(deviceId);
+    if (!device?.isOnline) {
+      return res.status(404).json({ error: 'Thumbnail not cached and the device is offline' });
+    }
+    if (isConsentDenied(device.consent, 'allowFileAccess')) {
+      return res.status(403).json({
+        error: `The device user has not allowed ${CONSENT_LABELS.allowFileAccess}`,
+        consent: 'allowFileAccess',
+      });
+    }
+    try {
+      file = await fetchThumbnail(device, assetId, req.operator);
+    } catch (error) {
+      return res.status(502).json({ error: error.message });
+    }
+  }
+  
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.type('jpeg').sendFile(file);
 });
 
 app.get('/api/devices/:deviceId/latest-screenshot', (req, res) => {
@@ -657,6 +1730,9 @@ app.get('/api/devices/:deviceId/latest-screenshot', (req, res) => {
   }
   
   if (screenshot.error) {
+    if (screenshot.status === 'denied_by_user') {
+      return res.status(403).json({ error: screenshot.error, status: screenshot.status });
+    }
     return res.status(500).json({ error: screenshot.error });
   }
   
@@ -678,12 +1754,9 @@ app.post('/api/devices/:deviceId/start-microphone', (req, res) => {
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'start_microphone',
-    data: { quality: req.body.quality || 'medium' }
-  }));
+  const command = sendCommand(device, 'start_microphone', { quality: req.body.quality || 'medium' }, req.operator);
   
-  res.json({ success: true, message: 'Microphone start request sent' });
+  res.json({ success: true, message: 'Microphone start request sent', requestId: command.requestId });
 });
 
 app.post('/api/devices/:deviceId/stop-microphone', (req, res) => {
@@ -696,17 +1769,14 @@ app.post('/api/devices/:deviceId/stop-microphone', (req, res) => {
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'stop_microphone',
-    data: {}
-  }));
+  const command = sendCommand(device, 'stop_microphone', {}, req.operator);
   
-  res.json({ success: true, message: 'Microphone stop request sent' });
+  res.json({ success: true, message: 'Microphone stop request sent', requestId: command.requestId });
 });
 
 app.get('/api/devices/:deviceId/clipboard', (req, res) => {
   const clipboardData = deviceClipboard.get(req.params.deviceId) || [];
-  res.json({ clipboard: clipboardData });
+  res.json({ clipboard: clipboardData, accessError: getAccessError(req.params.deviceId, 'clipboard') });
 });
 
 app.post('/api/devices/:deviceId/request-clipboard', (req, res) => {
@@ -715,21 +1785,12 @@ app.post('/api/devices/:deviceId/request-clipboard', (req, res) => {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_clipboard',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Clipboard request sent' });
+  sendOrQueueCommand(req, res, device, 'request_clipboard', {}, 'Clipboard request');
 });
 
 app.get('/api/devices/:deviceId/notifications', (req, res) => {
   const notifications = deviceNotifications.get(req.params.deviceId) || [];
-  res.json({ notifications });
+  res.json({ notifications, accessError: getAccessError(req.params.deviceId, 'notifications') });
 });
 
 app.post('/api/devices/:deviceId/request-notifications', (req, res) => {
@@ -738,21 +1799,15 @@ app.post('/api/devices/:deviceId/request-notifications', (req, res) => {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_notifications',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Notifications request sent' });
+  sendOrQueueCommand(req, res, device, 'request_notifications', {}, 'Notifications request');
 });
 
 app.get('/api/devices/:deviceId/apps', (req, res) => {
   const appsData = deviceApps.get(req.params.deviceId);
-  res.json(appsData || { apps: [], lastUpdated: null });
+  res.json({
+    ...(appsData || { apps: [], lastUpdated: null }),
+    accessError: getAccessError(req.params.deviceId, 'apps'),
+  });
 });
 
 app.post('/api/devices/:deviceId/request-apps', (req, res) => {
@@ -761,21 +1816,15 @@ app.post('/api/devices/:deviceId/request-apps', (req, res) => {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_apps',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Apps request sent' });
+  sendOrQueueCommand(req, res, device, 'request_apps', {}, 'Apps request');
 });
 
 app.get('/api/devices/:deviceId/permissions', (req, res) => {
   const permissionsData = devicePermissions.get(req.params.deviceId);
-  res.json(permissionsData || { permissions: [], lastUpdated: null });
+  res.json({
+    ...(permissionsData || { permissions: [], lastUpdated: null }),
+    accessError: getAccessError(req.params.deviceId, 'permissions'),
+  });
 });
 
 app.post('/api/devices/:deviceId/request-permissions', (req, res) => {
@@ -784,21 +1833,15 @@ app.post('/api/devices/:deviceId/request-permissions', (req, res) => {
     return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!device.isOnline) {
-    return res.status(400).json({ error: 'Device is offline' });
-  }
-  
-  device.ws.send(JSON.stringify({
-    type: 'request_permissions',
-    data: {}
-  }));
-  
-  res.json({ success: true, message: 'Permissions request sent' });
+  sendOrQueueCommand(req, res, device, 'request_permissions', {}, 'Permissions request');
 });
 
 app.get('/api/devices/:deviceId/wifi', (req, res) => {
   const wifiData = deviceWifi.get(req.params.deviceId);
-  res.json(wifiData || { networks: [], currentNetwork: null, lastUpdated: null });
+  res.json({
+    ...(wifiData || { networks: [], currentNetwork: null, lastUpdated: null }),
+    accessError: getAccessError(req.params.deviceId, 'wifi'),
+  });
 });
 
 app.post('/api/devices/:deviceId/request-wifi', (req, res) => {
@@ -807,19 +1850,40 @@ app.post('/api/devices/:deviceId/request-wifi', (req, res) => {
     return res.status(404).json({ error: 'Device not found' });
   }
   
+  sendOrQueueCommand(req, res, device, 'request_wifi', {}, 'WiFi request');
+});
+
+// Where pushed files land when the operator doesn't say: the app's documents
+// folder, one of the storage roots the device accepts uploads into
+const DEFAULT_UPLOAD_PATH = '/documents';
+
+app.post('/api/devices/:deviceId/upload-file', requireConsent('allowFileAccess'), requireOnlineDevice, acceptUpload, (req, res) => {
+  // The device may have gone while the file was uploading
+  const device = connectedDevices.get(req.params.deviceId);
   if (!device.isOnline) {
+    discardUpload(req);
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  device.ws.send(JSON.stringify({
-    type: 'request_wifi',
-    data: {}
-  }));
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  // Sent to the device in chunks; progress arrives as transfer_updated events
+  const targetPath = req.body.targetPath || DEFAULT_UPLOAD_PATH;
+  const transfer = startUpload(device, req.file, targetPath, req.operator);
   
-  res.json({ success: true, message: 'WiFi request sent' });
+  res.json({
+    success: true,
+    message: 'File transfer to device started',
+    fileName: req.file.originalname,
+    size: req.file.size,
+    transferId: transfer.id,
+    requestId: transfer.requestId
+  });
 });
 
-app.post('/api/devices/:deviceId/upload-file', upload.single('file'), (req, res) => {
+app.post('/api/devices/:deviceId/share-file', requireConsent('allowFileAccess'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
@@ -829,37 +1893,83 @@ app.post('/api/devices/:deviceId/upload-file', upload.single('file'), (req, res)
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
-  }
+  const { filePath } = req.body;
   
-  // Read file and send to device
-  const filePath = req.file.path;
-  const fileData = fs.readFileSync(filePath, { encoding: 'base64' });
-  const targetPath = req.body.targetPath || '/storage/emulated/0/Download';
+  const command = sendCommand(device, 'share_file', { filePath }, req.operator);
   
-  device.ws.send(JSON.stringify({
-    type: 'upload_file',
-    data: {
-      fileName: req.file.originalname,
-      fileData: fileData,
-      targetPath: targetPath,
-      mimeType: req.file.mimetype
-    }
-  }));
+  res.json({ success: true, message: 'File share request sent', requestId: command.requestId });
+});
+
+// Matches the most paths the protocol lets one file operation carry
+const MAX_FILE_OPERATION_PATHS = 200;
+
+// Check the paths of a bulk file operation; returns an error message or null
+function checkFilePaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0 || paths.length > MAX_FILE_OPERATION_PATHS) {
+    return `paths must list 1 to ${MAX_FILE_OPERATION_PATHS} files`;
+  }
+  if (!paths.every(path => typeof path === 'string' && path)) {
+    return 'paths must be non-empty strings';
+  }
+  return null;
+}
+
+function checkStrings(body, fields) {
+  const missing = fields.find(field => typeof body[field] !== 'string' || !body[field]);
+  return missing ? `${missing} is required` : null;
+}
+
+// Send a delete, rename, move or create-folder command. The device reports
+// each item's outcome in the command's `results`.
+function sendFileOperation(req, res, type, data) {
+  const device = connectedDevices.get(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
   
-  // Clean up temporary file
-  fs.unlinkSync(filePath);
+  if (!device.isOnline) {
+    return res.status(400).json({ error: 'Device is offline' });
+  }
   
-  res.json({
-    success: true,
-    message: 'File uploaded to device',
-    fileName: req.file.originalname,
-    size: req.file.size
-  });
+  const command = sendCommand(device, type, data, req.operator);
+  
+  res.json({ success: true, message: 'File operation sent', requestId: command.requestId });
+}
+
+app.post('/api/devices/:deviceId/files/delete', requireConsent('allowFileAccess'), (req, res) => {
+  const error = checkFilePaths(req.body.paths);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendFileOperation(req, res, 'delete_files', { paths: req.body.paths });
+});
+
+app.post('/api/devices/:deviceId/files/rename', requireConsent('allowFileAccess'), (req, res) => {
+  const error = checkStrings(req.body, ['path', 'name']);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendFileOperation(req, res, 'rename_file', { path: req.body.path, name: req.body.name });
 });
 
-app.post('/api/devices/:deviceId/share-file', (req, res) => {
+app.post('/api/devices/:deviceId/files/move', requireConsent('allowFileAccess'), (req, res) => {
+  const error = checkFilePaths(req.body.paths) || checkStrings(req.body, ['destination']);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendFileOperation(req, res, 'move_files', { paths: req.body.paths, destination: req.body.destination });
+});
+
+app.post('/api/devices/:deviceId/files/create-folder', requireConsent('allowFileAccess'), (req, res) => {
+  const error = checkStrings(req.body, ['path', 'name']);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendFileOperation(req, res, 'create_folder', { path: req.body.path, name: req.body.name });
+});
+
+// Download several files as one zip, built on the server once they have all arrived
+app.post('/api/devices/:deviceId/files/download', requireConsent('allowFileAccess'), (req, res) => {
   const device = connectedDevices.get(req.params.deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
@@ -869,18 +1979,172 @@ app.post('/api/devices/:deviceId/share-file', (req, res) => {
     return res.status(400).json({ error: 'Device is offline' });
   }
   
-  const { filePath } = req.body;
+  const error = checkFilePaths(req.body.paths);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  device.ws.send(JSON.stringify({
-    type: 'share_file',
-    data: { filePath }
-  }));
+  const archive = startArchive(device, [...new Set(req.body.paths)], req.operator);
+  
+  res.json({ success: true, message: 'Archive download started', transferId: archive.id });
+});
+
+app.get('/api/groups', (req, res) => {
+  res.json(listGroups().map(group => ({ ...group, members: getGroupMembers(group) })));
+});
+
+app.post('/api/groups', (req, res) => {
+  const { group, error } = createGroup(req.body, req.operator);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  console.log(`Group ${group.name} created by ${req.operator}`);
+  res.json({ success: true, group: { ...group, members: getGroupMembers(group) } });
+});
+
+app.put('/api/groups/:groupId', (req, res) => {
+  const existing = getGroup(req.params.groupId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
   
-  res.json({ success: true, message: 'File share request sent' });
+  const { group, error } = updateGroup(existing, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json({ success: true, group: { ...group, members: getGroupMembers(group) } });
+});
+
+app.delete('/api/groups/:groupId', (req, res) => {
+  if (!deleteGroup(req.params.groupId)) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  res.json({ success: true });
+});
+
+// Commands a whole group can be sent, and the consent setting each needs
+const FLEET_COMMANDS = {
+  'request-location': { type: 'request_location', setting: 'allowLocation' },
+  'request-apps': { type: 'request_apps' },
+  'request-permissions': { type: 'request_permissions' },
+  'request-wifi': { type: 'request_wifi' },
+  'upload-file': { type: 'upload_file', setting: 'allowFileAccess' },
+};
+
+// How each device's part of a fleet command is audited when it is sent. Targets
+// skipped as offline are not audited.
+const FLEET_TARGET_OUTCOMES = { pending: 'success', refused: 'denied', failed: 'failed' };
+const FLEET_TARGET_STATUS_CODES = { pending: 200, refused: 403, failed: 500 };
+
+// Send one device its part of a fleet command; returns the command's requestId
+function sendFleetCommand(req, device, fleetCommand) {
+  if (fleetCommand.type === 'upload_file') {
+    // Each device's transfer takes its own copy of the uploaded file, which
+    // startUpload moves away once it has it
+    const copyPath = `${req.file.path}-${device.id}`;
+    try {
+      fs.copyFileSync(req.file.path, copyPath);
+      const targetPath = req.body.targetPath || DEFAULT_UPLOAD_PATH;
+      return startUpload(device, { ...req.file, path: copyPath }, targetPath, req.operator).requestId;
+    } finally {
+      fs.rmSync(copyPath, { force: true });
+    }
+  }
+  return sendCommand(device, fleetCommand.type, {}, req.operator).requestId;
+}
+
+// Route middleware: check the group and command before accepting an upload for them
+function requireFleetCommand(req, res, next) {
+  if (!getGroup(req.params.groupId)) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  if (!FLEET_COMMANDS[req.params.command]) {
+    return res.status(400).json({ error: `Groups can be sent ${Object.keys(FLEET_COMMANDS).join(', ')}` });
+  }
+  next();
+}
+
+// Send one of FLEET_COMMANDS to every online member of the group. Offline
+// members are skipped and each device's consent is respected. Every device
+// sent the command, or refused it, gets its own audit entry.
+app.post('/api/groups/:groupId/commands/:command', requireFleetCommand, acceptUpload, (req, res) => {
+  const fleetCommand = FLEET_COMMANDS[req.params.command];
+  // The group may have been deleted while the file was uploading
+  const group = getGroup(req.params.groupId);
+  if (!group) {
+    discardUpload(req);
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  if (fleetCommand.type === 'upload_file' && !req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const targets = getGroupMembers(group).map(deviceId => {
+    const device = connectedDevices.get(deviceId);
+    const target = {
+      deviceId,
+      deviceName: device?.deviceName || deviceHistory.get(deviceId)?.deviceName || null,
+      status: 'pending',
+      requestId: null,
+      error: null,
+    };
+    if (!device?.isOnline) {
+      return { ...target, status: 'skipped', error: 'Device is offline' };
+    }
+    if (fleetCommand.setting && isConsentDenied(device.consent, fleetCommand.setting)) {
+      return { ...target, status: 'refused', error: `The device user has not allowed ${CONSENT_LABELS[fleetCommand.setting]}` };
+    }
+    try {
+      return { ...target, requestId: sendFleetCommand(req, device, fleetCommand) };
+    } catch (error) {
+      console.error(`Error sending ${req.params.command} to ${deviceId}:`, error);
+      return { ...target, status: 'failed', error: error.message };
+    }
+  });
+  discardUpload(req);
+  
+  const parameters = { ...req.body, groupId: group.id };
+  if (req.file) {
+    parameters.file = { name: req.file.originalname, size: req.file.size, mimeType: req.file.mimetype };
+  }
+  for (const target of targets.filter(target => target.status !== 'skipped')) {
+    const details = { operator: req.operator, deviceId: target.deviceId, action: req.params.command, parameters };
+    try {
+      recordAuditEntry({
+        ...details,
+        requestId: target.requestId,
+        outcome: FLEET_TARGET_OUTCOMES[target.status],
+        statusCode: FLEET_TARGET_STATUS_CODES[target.status],
+        error: target.error,
+      });
+    } catch (auditError) {
+      console.error('Error writing audit entry:', auditError);
+    }
+    if (target.requestId) {
+      auditCommandResult(details, target.requestId);
+    }
+  }
+  
+  const result = startFleetCommand(group, req.params.command, req.operator, targets);
+  console.log(`Sent ${req.params.command} to group ${group.name} (${targets.length} devices)`);
+  
+  res.json({ success: true, fleetCommand: result });
+});
+
+app.get('/api/fleet-commands', (req, res) => {
+  res.json(listFleetCommands());
+});
+
+app.get('/api/fleet-commands/:fleetCommandId', (req, res) => {
+  const fleetCommand = getFleetCommand(req.params.fleetCommandId);
+  if (!fleetCommand) {
+    return res.status(404).json({ error: 'Fleet command not found' });
+  }
+  res.json(fleetCommand);
 });
 
 // File upload endpoint
-app.post('/api/devices/:deviceId/upload', upload.single('file'), (req, res) => {
+app.post('/api/devices/:deviceId/upload', acceptUpload, (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -898,8 +2162,48 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Web interface: http://localhost:${PORT}`);
+// Answer errors thrown by a route with JSON rather than an HTML stack trace.
+// The message is kept for the route's audit entry.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const statusCode = error.status || error.statusCode || 500;
+  if (statusCode >= 500) {
+    console.error(`Error handling ${req.method} ${req.path}:`, error);
+  }
+  res.locals.error = error.message;
+  res.status(statusCode).json({ error: error.expose ? error.message : 'Internal server error' });
+});
+
+ensureDefaultOperator();
+loadState();
+purgeExpiredData();
+setInterval(purgeExpiredData, config.retentionPurgeIntervalMinutes * 60 * 1000);
+setInterval(checkLiveness, config.heartbeatIntervalSeconds * 1000);
+setInterval(expireQueuedCommands, 60 * 1000);
+
+// Write out anything still waiting to be saved before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    store.flush();
+    process.exit(0);
+  });
+}
+
+const PORT = config.port;
+loadCertificate().then(certificate => {
+  if (certificate) {
+    server.setSecureContext({ cert: certificate.cert, key: certificate.key });
+  }
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Web interface: ${certificate ? 'https' : 'http'}://localhost:${PORT}`);
+    if (certificate) {
+      console.log(`Certificate fingerprint (SHA-256): ${certificate.fingerprint}`);
+    }
+  });
+}).catch(error => {
+  console.error('Could not load the TLS certificate:', error.message);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// First entry's prevHash
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_QUERY_LIMIT = 1000;
+
+// Hash of the newest entry, read from the log on first use
+let lastHash = null;
+
+function getLogPath() {
+  return path.join(config.dataDir, 'audit.log');
+}
+
+// One JSON entry per line; unparseable lines come back as null
+function readLines() {
+  const filePath = getLogPath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    });
+}
+
+// Each entry's hash covers its own fields and the previous entry's hash, so
+// editing, reordering or removing an entry breaks every hash after it
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+// Entries for a call carry its HTTP statusCode. When the call sent the device a
+// command, a second entry with the same requestId records the commandStatus it
+// ended with, and statusCode null.
+function recordAuditEntry({ operator, deviceId, action, parameters, outcome, statusCode, error, requestId, commandStatus }) {
+  if (lastHash === null) {
+    lastHash = readLines().pop()?.hash || GENESIS_HASH;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    operator,
+    deviceId,
+    action,
+    parameters,
+    outcome,
+    statusCode,
+    error: error || null,
+    requestId: requestId || null,
+    commandStatus: commandStatus || null,
+    prevHash: lastHash,
+  };
+  entry.hash = hashEntry(entry);
+
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.appendFileSync(getLogPath(), `${JSON.stringify(entry)}\n`);
+  lastHash = entry.hash;
+  return entry;
+}
+
+// Walk the chain and report the first entry (1-based line) that doesn't match
+function verifyAuditLog() {
+  const entries = readLines();
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) {
+      return { valid: false, entries: entries.length, brokenAt: i + 1, reason: 'Unreadable entry' };
+    }
+    const { hash, ...fields } = entry;
+    if (fields.prevHash !== prevHash) {
+      return { valid: false, entries: entries.length, brokenAt: i + 1, reason: 'Chain link mismatch' };
+    }
+    if (hashEntry(fields) !== hash) {
+      return { valid: false, entries: entries.length, brokenAt: i + 1, reason: 'Entry was modified' };
+    }
+    prevHash = hash;
+  }
+
+  return { valid: true, entries: entries.length, lastHash: prevHash };
+}
+
+// Newest first
+function queryAuditLog({ operator, deviceId, action, outcome, since, until, limit } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+  const max = Math.min(Number(limit) || 100, MAX_QUERY_LIMIT);
+
+  const matches = (entry) => {
+    const time = new Date(entry.timestamp).getTime();
+    return (!operator || entry.operator === operator)
+      && (!deviceId || entry.deviceId === deviceId)
+      && (!action || entry.action === action)
+      && (!outcome || entry.outcome === outcome)
+      && (!sinceTime || time >= sinceTime)
+      && (!untilTime || time <= untilTime);
+  };
+
+  return readLines()
+    .filter(entry => entry && matches(entry))
+    .reverse()
+    .slice(0, max);
+}
+
+module.exports = {
+  recordAuditEntry,
+  verifyAuditLog,
+  queryAuditLog,
+};
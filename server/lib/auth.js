@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const config = require('./config');
+const store = require('./store');
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = config.sessionTtlHours * 60 * 60 * 1000;
+const COOKIE_ATTRIBUTES = 'HttpOnly; SameSite=Strict; Path=/';
+
+// Active sessions keyed by token
+const sessions = new Map();
+
+function loadOperators() {
+  return store.load('operators', []);
+}
+
+function saveOperators(operators) {
+  store.save('operators', operators);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Create an operator, or reset the password of an existing one
+function setOperatorPassword(username, password) {
+  const operators = loadOperators();
+  const existing = operators.find(operator => operator.username === username);
+  if (existing) {
+    existing.passwordHash = hashPassword(password);
+    existing.updatedAt = new Date();
+  } else {
+    operators.push({
+      username,
+      passwordHash: hashPassword(password),
+      createdAt: new Date(),
+    });
+  }
+  saveOperators(operators);
+}
+
+// On first boot there are no operators yet, so create an admin with a one-off password
+function ensureDefaultOperator() {
+  if (loadOperators().length > 0) {
+    return;
+  }
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  setOperatorPassword('admin', password);
+  console.log('Created default operator "admin"');
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Initial admin password: ${password} (change it with "npm run create-operator")`);
+  }
+}
+
+function login(username, password) {
+  const operator = loadOperators().find(o => o.username === username);
+  // Always run a hash so response time does not reveal which usernames exist
+  const valid = verifyPassword(password, operator?.passwordHash || hashPassword(''));
+  if (!operator || !valid) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = {
+    token,
+    username: operator.username,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  };
+  sessions.set(token, session);
+  return session;
+}
+
+function logout(token) {
+  sessions.delete(token);
+}
+
+function getSession(token) {
+  const session = token && sessions.get(token);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= new Date()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) {
+      continue;
+    }
+    // A value that isn't valid percent-encoding can't be ours; skip it
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+// Accept either the dashboard's session cookie or an "Authorization: Bearer" token
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Over https, served directly or behind a proxy Express trusts, the session
+// cookie is never sent in the clear
+function cookieAttributes(res) {
+  return config.tls || res.req?.secure ? `${COOKIE_ATTRIBUTES}; Secure` : COOKIE_ATTRIBUTES;
+}
+
+function setSessionCookie(res, session) {
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${session.token}; ${cookieAttributes(res)}; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+  );
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieAttributes(res)}; Max-Age=0`);
+}
+
+// API middleware: reject unauthenticated calls with 401
+function requireAuth(req, res, next) {
+  const session = getSession(getRequestToken(req));
+  if (!session) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.session = session;
+  req.operator = session.username;
+  next();
+}
+
+// Page middleware: send unauthenticated browsers to the login page
+function requirePageAuth(req, res, next) {
+  if (!getSession(getRequestToken(req))) {
+    return res.redirect('/login.html');
+  }
+  next();
+}
+
+module.exports = {
+  setOperatorPassword,
+  ensureDefaultOperator,
+  login,
+  logout,
+  getSession,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+  requirePageAuth,
+};
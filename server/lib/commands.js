@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { publishEvent } = require('./events');
+
+// Lifecycle of a command sent to a device:
+//   sent -> acknowledged -> completed | failed
+// plus timed_out when the device never answers
+const FINISHED_STATUSES = ['completed', 'failed', 'timed_out'];
+
+// How long finished commands stay queryable
+const RETAIN_FINISHED_MS = 10 * 60 * 1000;
+
+// Commands keyed by requestId
+const commands = new Map();
+
+// Callbacks waiting for a command to finish, keyed by requestId
+const waiters = new Map();
+
+function publishCommand(command) {
+  publishEvent('command_updated', {
+    requestId: command.requestId,
+    deviceId: command.deviceId,
+    type: command.type,
+    status: command.status,
+    awaitingApproval: command.awaitingApproval,
+    error: command.error,
+    results: command.results,
+  });
+}
+
+function finishCommand(command, status, error = null) {
+  clearTimeout(command.timer);
+  command.status = status;
+  command.error = error;
+  command.awaitingApproval = false;
+  command.updatedAt = new Date();
+  setTimeout(() => commands.delete(command.requestId), RETAIN_FINISHED_MS).unref();
+  publishCommand(command);
+  for (const resolve of waiters.get(command.requestId) || []) {
+    resolve(getCommand(command.requestId));
+  }
+  waiters.delete(command.requestId);
+}
+
+function isFinished(command) {
+  return FINISHED_STATUSES.includes(command.status);
+}
+
+function startTimeout(command) {
+  clearTimeout(command.timer);
+  command.timer = setTimeout(() => {
+    finishCommand(command, 'timed_out', 'The device did not respond in time');
+  }, config.commandTimeoutSeconds * 1000);
+  command.timer.unref();
+}
+
+// Send a command to a connected device and start tracking it. The device
+// echoes the requestId on its ack and on the response. Queued commands bring
+// the requestId they were given when queued.
+function sendCommand(device, type, data, operator = null, requestId = crypto.randomUUID()) {
+  const command = {
+    requestId,
+    deviceId: device.id,
+    type,
+    operator,
+    status: 'sent',
+    awaitingApproval: false,
+    error: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  startTimeout(command);
+  commands.set(command.requestId, command);
+
+  device.ws.send(JSON.stringify({
+    type,
+    requestId: command.requestId,
+    operator,
+    data,
+  }));
+  return command;
+}
+
+// Update the command a device message refers to, if it is still pending
+function trackDeviceMessage(deviceId, message) {
+  const command = commands.get(message.requestId);
+  if (!command || command.deviceId !== deviceId || isFinished(command)) {
+    return;
+  }
+
+  switch (message.type) {
+    case 'ack':
+      command.status = 'acknowledged';
+      break;
+    case 'approval_pending':
+      command.status = 'acknowledged';
+      command.awaitingApproval = true;
+      break;
+    case 'approval_resolved':
+      command.awaitingApproval = false;
+      break;
+    default: {
+      const error = message.data && !Array.isArray(message.data) ? message.data.error : null;
+      // Responses that report on several items keep those reports for the dashboard
+      if (Array.isArray(message.data?.results)) {
+        command.results = message.data.results;
+      }
+      // The device user refused it, or the app can't carry it out
+      if (['denied_by_user', 'unsupported'].includes(message.data?.status)) {
+        command.refusal = message.data.status;
+      }
+      finishCommand(command, error ? 'failed' : 'completed', error || null);
+      return;
+    }
+  }
+  command.updatedAt = new Date();
+  publishCommand(command);
+}
+
+// Restart the timeout of a command that is still making progress, such as a
+// file transfer that outlasts the usual timeout
+function keepCommandAlive(requestId) {
+  const command = commands.get(requestId);
+  if (command && !isFinished(command)) {
+    startTimeout(command);
+  }
+}
+
+// Fail one pending command, e.g. when the device's response was malformed
+function failCommand(deviceId, requestId, error) {
+  const command = commands.get(requestId);
+  if (command && command.deviceId === deviceId && !isFinished(command)) {
+    finishCommand(command, 'failed', error);
+  }
+}
+
+// Commands can't complete once their device is gone
+function failPendingCommands(deviceId, error) {
+  for (const command of commands.values()) {
+    if (command.deviceId === deviceId && !isFinished(command)) {
+      finishCommand(command, 'failed', error);
+    }
+  }
+}
+
+// Resolves with the command once it completes, fails or times out. The device
+// message that finished it has been handled by then.
+function waitForCommand(requestId) {
+  const command = commands.get(requestId);
+  if (!command || isFinished(command)) {
+    return Promise.resolve(getCommand(requestId));
+  }
+  return new Promise(resolve => {
+    waiters.set(requestId, [...(waiters.get(requestId) || []), resolve]);
+  });
+}
+
+function getCommand(requestId) {
+  const command = commands.get(requestId);
+  if (!command) {
+    return null;
+  }
+  const { timer, ...details } = command;
+  return details;
+}
+
+module.exports = {
+  sendCommand,
+  trackDeviceMessage,
+  keepCommandAlive,
+  failCommand,
+  failPendingCommands,
+  waitForCommand,
+  getCommand,
+};
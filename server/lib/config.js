@@ -0,0 +1,30 @@
+const path = require('path');
+
+// Server settings, overridable through environment variables
+const config = {
+  port: process.env.PORT || 3000,
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  sessionTtlHours: Number(process.env.SESSION_TTL_HOURS) || 12,
+  enrollmentCodeTtlMinutes: Number(process.env.ENROLLMENT_CODE_TTL_MINUTES) || 15,
+  storageBackend: process.env.STORAGE_BACKEND || 'json',
+  storageFlushMs: Number(process.env.STORAGE_FLUSH_MS) || 2000,
+  retentionPurgeIntervalMinutes: Number(process.env.RETENTION_PURGE_INTERVAL_MINUTES) || 15,
+  // Long enough for the device user to answer an approval prompt
+  commandTimeoutSeconds: Number(process.env.COMMAND_TIMEOUT_SECONDS) || 90,
+  // Device sockets are pinged this often, and dropped once they have sent
+  // nothing, not even a pong, for the timeout
+  heartbeatIntervalSeconds: Number(process.env.HEARTBEAT_INTERVAL_SECONDS) || 30,
+  deviceTimeoutSeconds: Number(process.env.DEVICE_TIMEOUT_SECONDS) || 90,
+  // File transfers move in chunks of this size and refuse files over the limit
+  transferChunkKb: Number(process.env.TRANSFER_CHUNK_KB) || 256,
+  maxTransferMb: Number(process.env.MAX_TRANSFER_MB) || 100,
+  // Commands queued for an offline device expire within this many hours
+  maxQueueHours: Number(process.env.MAX_QUEUE_HOURS) || 168,
+  // Serve https and wss. Without a certificate and key a self-signed pair is
+  // generated on first boot.
+  tls: process.env.TLS === 'true' || Boolean(process.env.TLS_CERT),
+  tlsCertFile: process.env.TLS_CERT || null,
+  tlsKeyFile: process.env.TLS_KEY || null,
+};
+
+module.exports = config;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const config = require('./config');
+const store = require('./store');
+
+const CODE_TTL_MS = config.enrollmentCodeTtlMinutes * 60 * 1000;
+// Unambiguous characters only, since codes are typed in by hand on the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Outstanding one-time enrollment codes keyed by code
+const enrollmentCodes = new Map();
+
+function loadCredentials() {
+  return store.load('device-credentials', {});
+}
+
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function createEnrollmentCode(operator) {
+  // Drop expired codes while we're here
+  for (const [code, entry] of enrollmentCodes.entries()) {
+    if (entry.expiresAt <= new Date()) {
+      enrollmentCodes.delete(code);
+    }
+  }
+
+  let code = '';
+  for (const byte of crypto.randomBytes(8)) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+
+  const entry = {
+    code: `${code.slice(0, 4)}-${code.slice(4)}`,
+    createdBy: operator,
+    expiresAt: new Date(Date.now() + CODE_TTL_MS),
+  };
+  enrollmentCodes.set(code, entry);
+  return entry;
+}
+
+// Consume an enrollment code and issue a new device id and secret for it
+function enrollDevice(code) {
+  const key = normalizeCode(code);
+  const entry = enrollmentCodes.get(key);
+  if (!entry) {
+    return null;
+  }
+  enrollmentCodes.delete(key);
+  if (entry.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const deviceId = crypto.randomUUID();
+  const deviceSecret = crypto.randomBytes(32).toString('hex');
+  const credentials = loadCredentials();
+  credentials[deviceId] = {
+    secret: deviceSecret,
+    enrolledAt: new Date(),
+    enrolledBy: entry.createdBy,
+  };
+  store.save('device-credentials', credentials);
+
+  return { deviceId, deviceSecret };
+}
+
+function createChallenge() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// The device proves it holds its secret by returning sha256("<nonce>:<secret>")
+function verifyDeviceProof(deviceId, nonce, proof) {
+  const credential = loadCredentials()[deviceId];
+  if (!credential || !nonce || typeof proof !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(`${nonce}:${credential.secret}`).digest();
+  const actual = Buffer.from(proof, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  createEnrollmentCode,
+  enrollDevice,
+  createChallenge,
+  verifyDeviceProof,
+};
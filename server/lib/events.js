@@ -0,0 +1,49 @@
+const { getSession } = require('./auth');
+
+const KEEP_ALIVE_MS = 25 * 1000;
+
+// Open dashboard event streams and the session each one belongs to
+const clients = new Map();
+
+// Route handler for GET /api/events: a Server-Sent Events stream of
+//   device_status   { deviceId, isOnline }
+//   device_updated  { deviceId, type }   a device sent data or changed its state
+//   command_updated { requestId, deviceId, type, status, error }
+//   transfer_updated { id, deviceId, direction, fileName, size, transferred, status, ... }
+//   queue_updated   { requestId, deviceId, type, status, error }
+//   fleet_command_updated { id, groupId, command, counts, finished }
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 3000\n\n');
+  clients.set(res, req.session.token);
+
+  // Also ends streams whose session expired or was logged out
+  const keepAlive = setInterval(() => {
+    if (!getSession(clients.get(res))) {
+      res.end();
+      return;
+    }
+    res.write(': keep-alive\n\n');
+  }, KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    clients.delete(res);
+  });
+}
+
+function publishEvent(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients.keys()) {
+    res.write(payload);
+  }
+}
+
+module.exports = {
+  openEventStream,
+  publishEvent,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { publishEvent } = require('./events');
+const { waitForCommand } = require('./commands');
+
+// Commands sent to every online member of a group at once. Each target
+// follows the command sent to its device:
+//   pending -> completed | failed | timed_out
+// or is `skipped` (offline), `refused` (consent) or `failed` (it couldn't be
+// sent) without being sent one.
+
+// Fleet commands are kept in memory, the most recent ones only
+const MAX_FLEET_COMMANDS = 50;
+
+const fleetCommands = new Map();
+
+function summarize(fleetCommand) {
+  const counts = {};
+  for (const target of fleetCommand.targets) {
+    counts[target.status] = (counts[target.status] || 0) + 1;
+  }
+  return {
+    ...fleetCommand,
+    counts,
+    finished: fleetCommand.targets.every(target => target.status !== 'pending'),
+  };
+}
+
+function publishFleetCommand(fleetCommand) {
+  const { id, groupId, command, counts, finished } = summarize(fleetCommand);
+  publishEvent('fleet_command_updated', { id, groupId, command, counts, finished });
+}
+
+// Record a fan-out. Targets with a requestId were sent a command and are
+// updated as it finishes.
+function startFleetCommand(group, command, operator, targets) {
+  const fleetCommand = {
+    id: crypto.randomUUID(),
+    groupId: group.id,
+    groupName: group.name,
+    command,
+    operator,
+    createdAt: new Date(),
+    targets,
+  };
+  fleetCommands.set(fleetCommand.id, fleetCommand);
+  for (const id of [...fleetCommands.keys()].slice(0, -MAX_FLEET_COMMANDS)) {
+    fleetCommands.delete(id);
+  }
+
+  for (const target of targets.filter(target => target.requestId)) {
+    waitForCommand(target.requestId).then(result => {
+      target.status = result ? result.status : 'failed';
+      target.error = result ? result.error : 'The command was lost';
+      publishFleetCommand(fleetCommand);
+    });
+  }
+  publishFleetCommand(fleetCommand);
+  return summarize(fleetCommand);
+}
+
+function getFleetCommand(id) {
+  const fleetCommand = fleetCommands.get(id);
+  return fleetCommand ? summarize(fleetCommand) : null;
+}
+
+// Newest first
+function listFleetCommands() {
+  return [...fleetCommands.values()].reverse().map(summarize);
+}
+
+module.exports = {
+  startFleetCommand,
+  getFleetCommand,
+  listFleetCommands,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+// Operators label devices with tags and gather them into groups. A group's
+// members are the devices it lists plus every device carrying one of its tags,
+// so newly tagged devices join without editing the group.
+
+const MAX_TAG_LENGTH = 32;
+const MAX_NAME_LENGTH = 100;
+const TAGS_ERROR = `tags must be a list of strings of up to ${MAX_TAG_LENGTH} characters`;
+
+let tags = null;
+let groups = null;
+
+// Device tags, by device id
+function getTagMap() {
+  if (!tags) {
+    tags = new Map(Object.entries(store.load('tags', {})));
+  }
+  return tags;
+}
+
+function getGroupMap() {
+  if (!groups) {
+    groups = new Map(Object.entries(store.load('groups', {})));
+  }
+  return groups;
+}
+
+function saveTags() {
+  store.saveLater('tags', () => Object.fromEntries(getTagMap()));
+}
+
+function saveGroups() {
+  store.saveLater('groups', () => Object.fromEntries(getGroupMap()));
+}
+
+// Trimmed, without duplicates, or null when the list isn't valid
+function normalizeTags(list) {
+  if (!Array.isArray(list) || !list.every(tag => typeof tag === 'string')) {
+    return null;
+  }
+  const normalized = [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+  return normalized.every(tag => tag.length <= MAX_TAG_LENGTH) ? normalized : null;
+}
+
+function getTags(deviceId) {
+  return getTagMap().get(deviceId) || [];
+}
+
+// Replace a device's tags. Returns { tags } as stored, or { error }.
+function setTags(deviceId, list) {
+  const normalized = normalizeTags(list);
+  if (!normalized) {
+    return { error: TAGS_ERROR };
+  }
+  if (normalized.length > 0) {
+    getTagMap().set(deviceId, normalized);
+  } else {
+    getTagMap().delete(deviceId);
+  }
+  saveTags();
+  return { tags: normalized };
+}
+
+// Check and tidy the fields of a new or edited group. Returns { fields } or { error }.
+function parseGroupFields(body, existing = null) {
+  const name = body.name === undefined ? existing?.name : body.name;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  const deviceIds = body.deviceIds === undefined ? existing?.deviceIds || [] : body.deviceIds;
+  if (!Array.isArray(deviceIds) || !deviceIds.every(id => typeof id === 'string' && id)) {
+    return { error: 'deviceIds must be a list of device ids' };
+  }
+  const groupTags = normalizeTags(body.tags === undefined ? existing?.tags || [] : body.tags);
+  if (!groupTags) {
+    return { error: TAGS_ERROR };
+  }
+  return { fields: { name: name.trim(), deviceIds: [...new Set(deviceIds)], tags: groupTags } };
+}
+
+function createGroup(body, operator) {
+  const { fields, error } = parseGroupFields(body);
+  if (error) {
+    return { error };
+  }
+  const group = {
+    id: crypto.randomUUID(),
+    ...fields,
+    createdBy: operator,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  getGroupMap().set(group.id, group);
+  saveGroups();
+  return { group };
+}
+
+// Change a group's name, devices or tags; fields left out are kept
+function updateGroup(group, body) {
+  const { fields, error } = parseGroupFields(body, group);
+  if (error) {
+    return { error };
+  }
+  Object.assign(group, fields, { updatedAt: new Date() });
+  saveGroups();
+  return { group };
+}
+
+function deleteGroup(groupId) {
+  const deleted = getGroupMap().delete(groupId);
+  saveGroups();
+  return deleted;
+}
+
+function getGroup(groupId) {
+  return getGroupMap().get(groupId) || null;
+}
+
+function listGroups() {
+  return [...getGroupMap().values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Ids of the group's listed devices and of every device with one of its tags
+function getGroupMembers(group) {
+  const members = new Set(group.deviceIds);
+  for (const [deviceId, deviceTags] of getTagMap().entries()) {
+    if (deviceTags.some(tag => group.tags.includes(tag))) {
+      members.add(deviceId);
+    }
+  }
+  return [...members];
+}
+
+module.exports = {
+  getTags,
+  setTags,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  getGroup,
+  listGroups,
+  getGroupMembers,
+};
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${filePath}:`, error);
+    }
+    return fallback;
+  }
+}
+
+// Write to a temporary file first so a crash never leaves a half-written file behind
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJson, writeJson };
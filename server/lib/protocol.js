@@ -0,0 +1,43 @@
+const Ajv = require('ajv');
+const schema = require('../../protocol/schema.json');
+
+const PROTOCOL_VERSION = schema.definitions.protocolVersion.const;
+// Versions this server can speak with devices
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION];
+
+const ajv = new Ajv();
+ajv.addSchema(schema);
+
+// Message types devices may send, from the schema's deviceMessage index
+const DEVICE_MESSAGE_TYPES = new Set(
+  schema.definitions.deviceMessage.oneOf.map(({ $ref }) => $ref.split('/').pop())
+);
+
+// Returns why a device message is malformed, or null if it is valid
+function validateDeviceMessage(message) {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    return 'Message must be an object with a type';
+  }
+  if (!DEVICE_MESSAGE_TYPES.has(message.type)) {
+    return `Unknown message type "${message.type}"`;
+  }
+
+  const validate = ajv.getSchema(`${schema.$id}#/definitions/${message.type}`);
+  if (validate(message)) {
+    return null;
+  }
+  return `Invalid ${message.type}: ${ajv.errorsText(validate.errors, { dataVar: 'message' })}`;
+}
+
+// Pick the highest version both sides speak, or null if there is none.
+// Devices from before versioning don't send a list and speak version 1.
+function negotiateProtocolVersion(offeredVersions = [1]) {
+  const shared = offeredVersions.filter(version => SUPPORTED_PROTOCOL_VERSIONS.includes(version));
+  return shared.length > 0 ? Math.max(...shared) : null;
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  validateDeviceMessage,
+  negotiateProtocolVersion,
+};
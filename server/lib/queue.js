@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const store = require('./store');
+const { publishEvent } = require('./events');
+
+// Commands operators queue for a device that is offline, sent when it next
+// registers:
+//   queued -> delivered | refused | expired | cancelled
+// `refused` means the device user had switched the command's data off by then.
+// A queued command keeps its requestId once delivered, so it can be followed
+// like any other command.
+const FINISHED_STATUSES = ['delivered', 'refused', 'expired', 'cancelled'];
+
+// How long finished entries stay listed
+const RETAIN_FINISHED_MS = 7 * 24 * 60 * 60 * 1000;
+
+let queue = null;
+
+function getQueue() {
+  if (!queue) {
+    queue = new Map(Object.entries(store.load('queue', {})));
+  }
+  return queue;
+}
+
+function saveQueue() {
+  store.saveLater('queue', () => Object.fromEntries(getQueue()));
+}
+
+function isFinished(entry) {
+  return FINISHED_STATUSES.includes(entry.status);
+}
+
+function updateEntry(entry, status, error = null) {
+  entry.status = status;
+  entry.error = error;
+  entry.updatedAt = new Date();
+  saveQueue();
+  publishEvent('queue_updated', {
+    requestId: entry.requestId,
+    deviceId: entry.deviceId,
+    type: entry.type,
+    status: entry.status,
+    error: entry.error,
+  });
+  return entry;
+}
+
+function queueCommand(deviceId, type, data, operator, expiresAt) {
+  const entry = {
+    requestId: crypto.randomUUID(),
+    deviceId,
+    type,
+    data,
+    operator,
+    status: 'queued',
+    error: null,
+    expiresAt,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  getQueue().set(entry.requestId, entry);
+  return updateEntry(entry, 'queued');
+}
+
+// Hand each command still waiting for the device to `deliver`, oldest first.
+// It sends the command and returns null, or returns why it could not.
+function deliverQueuedCommands(deviceId, deliver) {
+  const waiting = listQueuedCommands(deviceId)
+    .filter(entry => entry.status === 'queued')
+    .reverse();
+  for (const entry of waiting) {
+    if (new Date(entry.expiresAt) <= new Date()) {
+      updateEntry(entry, 'expired');
+      continue;
+    }
+    const error = deliver(entry);
+    updateEntry(entry, error ? 'refused' : 'delivered', error);
+  }
+}
+
+function cancelQueuedCommand(deviceId, requestId) {
+  const entry = getQueue().get(requestId);
+  if (!entry || entry.deviceId !== deviceId || isFinished(entry)) {
+    return null;
+  }
+  return updateEntry(entry, 'cancelled');
+}
+
+// Expire what the device didn't come back for in time and forget old entries
+function expireQueuedCommands() {
+  const now = Date.now();
+  for (const entry of [...getQueue().values()]) {
+    if (!isFinished(entry) && new Date(entry.expiresAt).getTime() <= now) {
+      updateEntry(entry, 'expired');
+    } else if (isFinished(entry) && now - new Date(entry.updatedAt).getTime() > RETAIN_FINISHED_MS) {
+      getQueue().delete(entry.requestId);
+      saveQueue();
+    }
+  }
+}
+
+// A device's queued commands, newest first
+function listQueuedCommands(deviceId) {
+  return [...getQueue().values()]
+    .filter(entry => entry.deviceId === deviceId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+module.exports = {
+  queueCommand,
+  deliverQueuedCommands,
+  cancelQueuedCommand,
+  expireQueuedCommands,
+  listQueuedCommands,
+};
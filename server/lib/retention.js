@@ -0,0 +1,73 @@
+const store = require('./store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored data categories that retention applies to and that can be wiped
+const RETENTION_CATEGORIES = [
+  'location',
+  'contacts',
+  'files',
+  'sms',
+  'callLog',
+  'screenshot',
+  'clipboard',
+  'notifications',
+  'apps',
+  'permissions',
+  'wifi',
+  'transfers',
+];
+
+// Built-in limits; null means unlimited
+const DEFAULT_POLICIES = {
+  clipboard: { maxCount: 50 },
+  notifications: { maxCount: 100 },
+  // Downloaded files take up disk space, so they don't stay forever
+  transfers: { maxAgeDays: 30 },
+};
+
+let overrides = {};
+
+// Overrides live in the store's `retention` collection (data/retention.json), e.g.
+//   { "default": { "maxAgeDays": 7 }, "clipboard": { "maxCount": 20 } }
+// and are re-read on every purge run so edits apply without a restart.
+function loadRetentionPolicies() {
+  overrides = store.load('retention', {});
+}
+
+function getRetentionPolicy(category) {
+  return {
+    maxCount: null,
+    maxAgeDays: null,
+    ...DEFAULT_POLICIES[category],
+    ...overrides.default,
+    ...overrides[category],
+  };
+}
+
+function isExpired(timestamp, policy, now = Date.now()) {
+  if (policy.maxAgeDays == null || !timestamp) {
+    return false;
+  }
+  return now - new Date(timestamp).getTime() > policy.maxAgeDays * DAY_MS;
+}
+
+// Apply count and age limits to a newest-first list. Items without a
+// timestamp are only subject to the count limit.
+function limitList(items, policy, getTimestamp) {
+  let kept = getTimestamp
+    ? items.filter(item => !isExpired(getTimestamp(item), policy))
+    : items;
+  if (policy.maxCount != null && kept.length > policy.maxCount) {
+    kept = kept.slice(0, policy.maxCount);
+  }
+  return kept;
+}
+
+module.exports = {
+  RETENTION_CATEGORIES,
+  loadRetentionPolicies,
+  getRetentionPolicy,
+  isExpired,
+  limitList,
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+const config = require('./config');
+const { readJson, writeJson } = require('./jsonFile');
+
+// A backend persists named JSON-serializable collections:
+//   load(name, fallback) -> value
+//   save(name, value)
+
+// One <name>.json file per collection in the data directory
+function createJsonBackend() {
+  const filePath = (name) => path.join(config.dataDir, `${name}.json`);
+  return {
+    load: (name, fallback) => readJson(filePath(name), fallback),
+    save: (name, value) => writeJson(filePath(name), value),
+  };
+}
+
+// Nothing survives a restart; useful for throwaway servers
+function createMemoryBackend() {
+  const collections = new Map();
+  return {
+    load: (name, fallback) => (collections.has(name) ? JSON.parse(collections.get(name)) : fallback),
+    save: (name, value) => collections.set(name, JSON.stringify(value)),
+  };
+}
+
+const backends = {
+  json: createJsonBackend,
+  memory: createMemoryBackend,
+};
+
+// Make another backend (e.g. a database) selectable through STORAGE_BACKEND
+function registerBackend(name, createBackend) {
+  backends[name] = createBackend;
+}
+
+function createStore(type) {
+  let backend = null;
+  const pending = new Map();
+  let flushTimer = null;
+
+  // Created on first use so registerBackend() can run before anything is loaded
+  function getBackend() {
+    if (!backend) {
+      if (!backends[type]) {
+        throw new Error(`Unknown storage backend "${type}"`);
+      }
+      backend = backends[type]();
+    }
+    return backend;
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    for (const [name, getValue] of pending.entries()) {
+      try {
+        getBackend().save(name, getValue());
+      } catch (error) {
+        console.error(`Error saving ${name}:`, error);
+      }
+    }
+    pending.clear();
+  }
+
+  return {
+    load: (name, fallback) => getBackend().load(name, fallback),
+    save: (name, value) => getBackend().save(name, value),
+    // Coalesce frequent updates into one write; the value is read at flush time
+    saveLater(name, getValue) {
+      pending.set(name, getValue);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, config.storageFlushMs);
+      }
+    },
+    flush,
+  };
+}
+
+const store = createStore(config.storageBackend);
+
+module.exports = store;
+module.exports.registerBackend = registerBackend;
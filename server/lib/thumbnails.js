@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { sendCommand, waitForCommand } = require('./commands');
+const { limitList } = require('./retention');
+
+// Thumbnails of media library assets, cached on disk as
+//   data/thumbnails/<deviceId>/<sha256 of the asset id>.jpg
+// Asset ids are hashed because iOS ones contain slashes.
+
+// Lookups already waiting on the device, keyed by device and asset, so a
+// dashboard asking twice sends one command
+const pendingRequests = new Map();
+
+function thumbnailDir(deviceId) {
+  return path.join(config.dataDir, 'thumbnails', deviceId);
+}
+
+function thumbnailPath(deviceId, assetId) {
+  const key = crypto.createHash('sha256').update(assetId).digest('hex');
+  return path.join(thumbnailDir(deviceId), `${key}.jpg`);
+}
+
+function saveThumbnail(deviceId, assetId, imageData) {
+  fs.mkdirSync(thumbnailDir(deviceId), { recursive: true });
+  fs.writeFileSync(thumbnailPath(deviceId, assetId), Buffer.from(imageData, 'base64'));
+}
+
+// Move the thumbnails a files_response carries into the cache, leaving the
+// listing without them
+function cacheMediaThumbnails(deviceId, files) {
+  return files.map(({ thumbnail, ...file }) => {
+    if (thumbnail && file.id) {
+      saveThumbnail(deviceId, file.id, thumbnail);
+    }
+    return file;
+  });
+}
+
+// Where an asset's cached thumbnail is, or null if it isn't cached
+function getThumbnailPath(deviceId, assetId) {
+  const file = thumbnailPath(deviceId, assetId);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Ask a connected device for one thumbnail and resolve with its cached path
+// once it arrives. Rejects with the device's error or the command's timeout.
+function fetchThumbnail(device, assetId, operator) {
+  const key = `${device.id}:${assetId}`;
+  if (!pendingRequests.has(key)) {
+    const command = sendCommand(device, 'request_thumbnail', { assetId }, operator);
+    const request = waitForCommand(command.requestId).then(finished => {
+      const file = getThumbnailPath(device.id, assetId);
+      if (!file) {
+        throw new Error(finished?.error || 'The device sent no thumbnail');
+      }
+      return file;
+    }).finally(() => pendingRequests.delete(key));
+    pendingRequests.set(key, request);
+  }
+  return pendingRequests.get(key);
+}
+
+// Cached thumbnails, newest first
+function listThumbnails(deviceId) {
+  const dir = thumbnailDir(deviceId);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .map(name => ({ file: path.join(dir, name), cachedAt: fs.statSync(path.join(dir, name)).mtime }))
+    .sort((a, b) => b.cachedAt - a.cachedAt);
+}
+
+// Delete a device's cached thumbnails beyond a retention policy's limits.
+// Without a policy all of them go.
+function pruneThumbnails(deviceId, policy = null) {
+  if (!policy) {
+    fs.rmSync(thumbnailDir(deviceId), { recursive: true, force: true });
+    return;
+  }
+  const thumbnails = listThumbnails(deviceId);
+  const kept = new Set(limitList(thumbnails, policy, thumbnail => thumbnail.cachedAt));
+  for (const thumbnail of thumbnails) {
+    if (!kept.has(thumbnail)) {
+      fs.rmSync(thumbnail.file, { force: true });
+    }
+  }
+}
+
+module.exports = {
+  saveThumbnail,
+  cacheMediaThumbnails,
+  getThumbnailPath,
+  fetchThumbnail,
+  pruneThumbnails,
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const selfsigned = require('selfsigned');
+const config = require('./config');
+
+// The certificate the server serves https and wss with. Either the files
+// named by TLS_CERT and TLS_KEY, or a self-signed one generated on first boot
+// and kept in data/tls so devices that pinned it keep connecting.
+
+let certificate = null;
+
+function selfSignedFiles() {
+  const dir = path.join(config.dataDir, 'tls');
+  return { dir, cert: path.join(dir, 'cert.pem'), key: path.join(dir, 'key.pem') };
+}
+
+// Valid for localhost and every address the server can be reached on
+function localAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address && address.family === 'IPv4')
+    .map(address => address.address);
+}
+
+async function generateSelfSigned(files) {
+  const notAfterDate = new Date();
+  notAfterDate.setFullYear(notAfterDate.getFullYear() + 10);
+  const pems = await selfsigned.generate([{ name: 'commonName', value: os.hostname() }], {
+    keyType: 'ec',
+    algorithm: 'sha256',
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 2, value: os.hostname() },
+          ...localAddresses().map(ip => ({ type: 7, ip })),
+        ],
+      },
+    ],
+  });
+  fs.mkdirSync(files.dir, { recursive: true });
+  fs.writeFileSync(files.key, pems.private, { mode: 0o600 });
+  fs.writeFileSync(files.cert, pems.cert);
+  console.log(`Generated a self-signed certificate in ${files.dir}`);
+}
+
+// Read the certificate and key, generating a self-signed pair if none is
+// configured. Resolves with null when TLS is off.
+async function loadCertificate() {
+  if (!config.tls) {
+    return null;
+  }
+
+  let certFile = config.tlsCertFile;
+  let keyFile = config.tlsKeyFile;
+  if (!certFile || !keyFile) {
+    const files = selfSignedFiles();
+    if (!fs.existsSync(files.cert) || !fs.existsSync(files.key)) {
+      await generateSelfSigned(files);
+    }
+    certFile = files.cert;
+    keyFile = files.key;
+  }
+
+  const cert = fs.readFileSync(certFile);
+  const key = fs.readFileSync(keyFile);
+  certificate = {
+    cert,
+    key,
+    // SHA-256 of the certificate, as devices pin it
+    fingerprint: new crypto.X509Certificate(cert).fingerprint256,
+  };
+  return certificate;
+}
+
+// The loaded certificate's fingerprint, or null when serving plain http
+function getCertificateFingerprint() {
+  return certificate ? certificate.fingerprint : null;
+}
+
+module.exports = {
+  loadCertificate,
+  getCertificateFingerprint,
+};
@@ -0,0 +1,580 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yazl = require('yazl');
+const config = require('./config');
+const store = require('./store');
+const { publishEvent } = require('./events');
+const { sendCommand, keepCommandAlive, failCommand } = require('./commands');
+const { limitList } = require('./retention');
+
+// Lifecycle of a chunked file transfer:
+//   pending -> active -> completed | failed
+// plus interrupted while the device is offline; it resumes when the device registers again
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Besides uploads and downloads there are archives: several files downloaded
+// at once and zipped. An archive has no command of its own. Each file is a
+// download with the archive's id (a part), the archive's status and progress
+// follow its parts', and the parts are removed once they are zipped.
+
+// The device response that ends each kind of transfer
+const RESPONSE_TYPES = {
+  upload: 'file_upload_response',
+  download: 'file_download_response',
+};
+
+// Transfer messages the device may send for each kind of transfer
+const DEVICE_MESSAGES = {
+  upload: ['transfer_resume', 'transfer_chunk_ack', 'transfer_cancel'],
+  download: ['transfer_info', 'transfer_chunk', 'transfer_cancel'],
+};
+
+// Times a chunk is resent after the device reports it corrupt
+const MAX_CHUNK_RETRIES = 3;
+
+// Timers and retry counts aren't persisted with the transfers
+const stallTimers = new Map();
+const chunkRetries = new Map();
+
+// Archives whose zip is being written
+const zippingArchives = new Set();
+
+let transfers = null;
+
+function getTransfers() {
+  if (!transfers) {
+    transfers = new Map(Object.entries(store.load('transfers', {})));
+    // Anything unfinished was cut off when the server stopped
+    for (const transfer of transfers.values()) {
+      if (!isFinished(transfer)) {
+        transfer.status = 'interrupted';
+      }
+    }
+  }
+  return transfers;
+}
+
+function isFinished(transfer) {
+  return FINISHED_STATUSES.includes(transfer.status);
+}
+
+function chunkBytes() {
+  return config.transferChunkKb * 1024;
+}
+
+function maxTransferBytes() {
+  return config.maxTransferMb * 1024 * 1024;
+}
+
+// Staging files: the operator's upload waiting to be sent, a download still
+// arriving, and a download that arrived and matched its checksum
+function transferDir() {
+  return path.join(config.dataDir, 'transfers');
+}
+
+function sourcePath(transfer) {
+  return path.join(transferDir(), `${transfer.id}.upload`);
+}
+
+function partPath(transfer) {
+  return path.join(transferDir(), `${transfer.id}.part`);
+}
+
+function contentPath(transfer) {
+  return path.join(transferDir(), transfer.id);
+}
+
+function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function readChunk(filePath, offset, length) {
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer;
+}
+
+function fileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
+function sendToDevice(device, type, data) {
+  if (device.ws && device.ws.readyState === device.ws.OPEN) {
+    device.ws.send(JSON.stringify({ type, data }));
+  }
+}
+
+function saveTransfers() {
+  store.saveLater('transfers', () => Object.fromEntries(getTransfers()));
+}
+
+function updateTransfer(transfer, changes) {
+  Object.assign(transfer, changes, { updatedAt: new Date() });
+  saveTransfers();
+  publishEvent('transfer_updated', transfer);
+  if (transfer.archiveId) {
+    refreshArchive(transfer.archiveId);
+  }
+}
+
+function clearStallTimer(transfer) {
+  clearTimeout(stallTimers.get(transfer.id));
+  stallTimers.delete(transfer.id);
+}
+
+// Give up on a transfer that stops moving while its device stays connected
+function armStallTimer(transfer) {
+  clearStallTimer(transfer);
+  const timer = setTimeout(() => {
+    failTransfer(transfer, 'The device stopped responding');
+  }, config.commandTimeoutSeconds * 1000);
+  timer.unref();
+  stallTimers.set(transfer.id, timer);
+}
+
+function recordProgress(transfer, transferred) {
+  keepCommandAlive(transfer.requestId);
+  armStallTimer(transfer);
+  updateTransfer(transfer, { status: 'active', transferred });
+}
+
+function finishTransfer(transfer, status, error = null) {
+  clearStallTimer(transfer);
+  chunkRetries.delete(transfer.id);
+  // Only the contents of completed downloads are kept
+  fs.rmSync(sourcePath(transfer), { force: true });
+  fs.rmSync(partPath(transfer), { force: true });
+  updateTransfer(transfer, { status, error });
+}
+
+function failTransfer(transfer, error) {
+  finishTransfer(transfer, 'failed', error);
+  failCommand(transfer.deviceId, transfer.requestId, error);
+}
+
+// Stop the device's side of a transfer as well as ours
+function cancelTransfer(device, transfer, error) {
+  sendToDevice(device, 'transfer_cancel', { transferId: transfer.id, error });
+  failTransfer(transfer, error);
+}
+
+function createTransfer(device, direction, details, operator) {
+  fs.mkdirSync(transferDir(), { recursive: true });
+  const transfer = {
+    id: crypto.randomUUID(),
+    deviceId: device.id,
+    direction,
+    operator,
+    status: 'pending',
+    transferred: 0,
+    error: null,
+    requestId: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...details,
+  };
+  getTransfers().set(transfer.id, transfer);
+  return transfer;
+}
+
+// Send the command that starts a transfer, or picks it up where it stopped.
+// Resuming sends a new command, so the transfer's requestId changes.
+function beginTransfer(device, transfer) {
+  let command;
+  let transferred = transfer.transferred;
+  if (transfer.direction === 'upload') {
+    command = sendCommand(device, 'upload_file', {
+      transferId: transfer.id,
+      fileName: transfer.fileName,
+      targetPath: transfer.targetPath,
+      mimeType: transfer.mimeType,
+      size: transfer.size,
+      checksum: transfer.checksum,
+      chunkSize: chunkBytes(),
+    }, transfer.operator);
+  } else {
+    transferred = fileSize(partPath(transfer));
+    command = sendCommand(device, 'download_file', {
+      transferId: transfer.id,
+      filePath: transfer.filePath,
+      offset: transferred,
+      chunkSize: chunkBytes(),
+      maxSize: maxTransferBytes(),
+    }, transfer.operator);
+  }
+  updateTransfer(transfer, { status: 'pending', requestId: command.requestId, transferred, error: null });
+  armStallTimer(transfer);
+}
+
+// Send a file the operator uploaded to the device. `file` is the multer upload,
+// which is moved into the transfer area until the device has all of it.
+function startUpload(device, file, targetPath, operator) {
+  const transfer = createTransfer(device, 'upload', {
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    targetPath,
+  }, operator);
+  // Copied rather than renamed in case the upload and data directories are on different disks
+  fs.copyFileSync(file.path, sourcePath(transfer));
+  fs.unlinkSync(file.path);
+  transfer.checksum = hashFile(sourcePath(transfer), 'md5');
+  beginTransfer(device, transfer);
+  return transfer;
+}
+
+// Fetch a file from the device. Its size and checksum arrive in transfer_info.
+function startDownload(device, filePath, operator, archiveId = null) {
+  const transfer = createTransfer(device, 'download', {
+    filePath,
+    fileName: path.basename(filePath),
+    mimeType: null,
+    size: null,
+    checksum: null,
+    archiveId,
+  }, operator);
+  beginTransfer(device, transfer);
+  return transfer;
+}
+
+// Fetch several files from the device and zip them. `items` on the archive
+// reports how each file went once the zip is written.
+function startArchive(device, filePaths, operator) {
+  const archive = createTransfer(device, 'archive', {
+    fileName: `files-${new Date().toISOString().slice(0, 10)}.zip`,
+    mimeType: 'application/zip',
+    size: null,
+    fileCount: filePaths.length,
+    items: null,
+  }, operator);
+  // Saved and published before its parts, which update it as they start
+  updateTransfer(archive, {});
+  for (const filePath of filePaths) {
+    startDownload(device, filePath, operator, archive.id);
+  }
+  return archive;
+}
+
+function archiveParts(archive) {
+  return [...getTransfers().values()].filter(transfer => transfer.archiveId === archive.id);
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Bring an archive up to date with its parts, and zip them once all are finished
+function refreshArchive(archiveId) {
+  const archive = getTransfers().get(archiveId);
+  if (!archive || isFinished(archive) || zippingArchives.has(archive.id)) {
+    return;
+  }
+  const parts = archiveParts(archive);
+  if (parts.length === archive.fileCount && parts.every(isFinished)) {
+    zipArchive(archive, parts);
+    return;
+  }
+
+  let status = 'pending';
+  if (parts.some(part => part.status === 'interrupted')) {
+    status = 'interrupted';
+  } else if (parts.some(part => part.status !== 'pending')) {
+    status = 'active';
+  }
+  const sizes = parts.map(part => part.size);
+  updateTransfer(archive, {
+    status,
+    transferred: sum(parts.map(part => part.transferred)),
+    size: parts.length === archive.fileCount && !sizes.includes(null) ? sum(sizes) : null,
+  });
+}
+
+// Files from different folders may share a name; later ones get a number
+function uniqueName(names, fileName) {
+  const { name, ext } = path.parse(fileName);
+  let candidate = fileName;
+  for (let count = 2; names.has(candidate); count++) {
+    candidate = `${name} (${count})${ext}`;
+  }
+  names.add(candidate);
+  return candidate;
+}
+
+function zipArchive(archive, parts) {
+  const items = parts.map(part => ({ filePath: part.filePath, status: part.status, error: part.error }));
+  const downloaded = parts.filter(part => getTransferContentPath(part));
+  if (downloaded.length === 0) {
+    finishArchive(archive, parts, items, 'failed', 'None of the files could be downloaded');
+    return;
+  }
+
+  zippingArchives.add(archive.id);
+  const zip = new yazl.ZipFile();
+  const names = new Set();
+  for (const part of downloaded) {
+    zip.addFile(contentPath(part), uniqueName(names, part.fileName));
+  }
+  zip.end();
+
+  const output = fs.createWriteStream(partPath(archive));
+  output.on('close', () => {
+    fs.renameSync(partPath(archive), contentPath(archive));
+    finishArchive(archive, parts, items, 'completed');
+  });
+  output.on('error', (error) => {
+    finishArchive(archive, parts, items, 'failed', `Could not write the zip: ${error.message}`);
+  });
+  zip.outputStream.pipe(output);
+}
+
+function finishArchive(archive, parts, items, status, error = null) {
+  zippingArchives.delete(archive.id);
+  for (const part of parts) {
+    fs.rmSync(contentPath(part), { force: true });
+    getTransfers().delete(part.id);
+  }
+  const size = fileSize(contentPath(archive));
+  Object.assign(archive, { items, size, transferred: size });
+  finishTransfer(archive, status, error);
+}
+
+function sendNextChunk(device, transfer) {
+  // After the last chunk the device answers with file_upload_response
+  if (transfer.transferred >= transfer.size) {
+    return;
+  }
+  const length = Math.min(chunkBytes(), transfer.size - transfer.transferred);
+  const chunk = readChunk(sourcePath(transfer), transfer.transferred, length);
+  sendToDevice(device, 'transfer_chunk', {
+    transferId: transfer.id,
+    offset: transfer.transferred,
+    content: chunk.toString('base64'),
+    checksum: sha256(chunk),
+  });
+}
+
+function receiveChunk(device, transfer, chunk) {
+  const acknowledge = (error) => {
+    sendToDevice(device, 'transfer_chunk_ack', {
+      transferId: transfer.id,
+      offset: transfer.transferred,
+      ...(error && { error }),
+    });
+  };
+
+  if (transfer.size === null) {
+    cancelTransfer(device, transfer, 'File details were not sent before its contents');
+    return;
+  }
+  // The device resends from the offset in the ack
+  if (chunk.offset !== transfer.transferred) {
+    acknowledge('Unexpected offset');
+    return;
+  }
+  const content = Buffer.from(chunk.content, 'base64');
+  if (sha256(content) !== chunk.checksum) {
+    acknowledge('Checksum mismatch');
+    return;
+  }
+  if (transfer.transferred + content.length > transfer.size) {
+    cancelTransfer(device, transfer, 'The device sent more data than the file size');
+    return;
+  }
+
+  fs.appendFileSync(partPath(transfer), content);
+  recordProgress(transfer, transfer.transferred + content.length);
+  acknowledge();
+}
+
+// Handle transfer_* messages from a connected device
+function handleTransferMessage(device, message) {
+  const { transferId } = message.data;
+  const transfer = getTransfers().get(transferId);
+  if (!transfer || transfer.deviceId !== device.id || isFinished(transfer)) {
+    // Make sure the device stops sending for a transfer we no longer want
+    if (message.type !== 'transfer_cancel') {
+      sendToDevice(device, 'transfer_cancel', { transferId, error: 'Unknown or finished transfer' });
+    }
+    return;
+  }
+  if (!DEVICE_MESSAGES[transfer.direction].includes(message.type)) {
+    console.log(`Ignoring ${message.type} for ${transfer.direction} ${transfer.id}`);
+    return;
+  }
+
+  switch (message.type) {
+    case 'transfer_resume':
+      // The device already holds the first `offset` bytes of the upload
+      recordProgress(transfer, Math.min(message.data.offset, transfer.size));
+      sendNextChunk(device, transfer);
+      break;
+
+    case 'transfer_chunk_ack': {
+      if (message.data.error) {
+        const retries = (chunkRetries.get(transfer.id) || 0) + 1;
+        if (retries > MAX_CHUNK_RETRIES) {
+          cancelTransfer(device, transfer, `Giving up after ${MAX_CHUNK_RETRIES} retries: ${message.data.error}`);
+          return;
+        }
+        chunkRetries.set(transfer.id, retries);
+      } else {
+        chunkRetries.delete(transfer.id);
+      }
+      recordProgress(transfer, message.data.offset);
+      sendNextChunk(device, transfer);
+      break;
+    }
+
+    case 'transfer_info': {
+      const { fileName, size, checksum, mimeType } = message.data;
+      if (size > maxTransferBytes()) {
+        cancelTransfer(device, transfer, `File is larger than the ${config.maxTransferMb} MB limit`);
+        return;
+      }
+      // A resumed download starts over if the file changed on the device meanwhile
+      const changed = transfer.checksum !== null && transfer.checksum !== checksum;
+      if (changed) {
+        fs.rmSync(partPath(transfer), { force: true });
+      }
+      updateTransfer(transfer, {
+        status: 'active',
+        fileName,
+        size,
+        checksum,
+        mimeType: mimeType || null,
+        transferred: changed ? 0 : transfer.transferred,
+      });
+      break;
+    }
+
+    case 'transfer_chunk':
+      receiveChunk(device, transfer, message.data);
+      break;
+
+    case 'transfer_cancel':
+      failTransfer(transfer, message.data.error);
+      break;
+  }
+}
+
+// Finish the transfer a file_upload_response or file_download_response answers
+function settleTransfer(deviceId, message) {
+  const transfer = [...getTransfers().values()].find(candidate => candidate.requestId === message.requestId);
+  if (!transfer || transfer.deviceId !== deviceId || isFinished(transfer)) {
+    return;
+  }
+  if (message.type !== RESPONSE_TYPES[transfer.direction]) {
+    return;
+  }
+
+  if (message.data.error) {
+    finishTransfer(transfer, 'failed', message.data.error);
+    return;
+  }
+  if (transfer.direction === 'download') {
+    const file = partPath(transfer);
+    // The device thinks it sent the whole file, so its command fails with the transfer
+    if (fileSize(file) !== transfer.size || hashFile(file, 'md5') !== transfer.checksum) {
+      failTransfer(transfer, 'The downloaded file does not match its checksum');
+      return;
+    }
+    fs.renameSync(file, contentPath(transfer));
+  }
+  finishTransfer(transfer, 'completed');
+}
+
+// Transfers wait for their device to come back rather than failing. Archives
+// follow their parts.
+function interruptTransfers(deviceId) {
+  for (const transfer of getTransfers().values()) {
+    if (transfer.deviceId === deviceId && transfer.direction !== 'archive' && !isFinished(transfer)) {
+      clearStallTimer(transfer);
+      updateTransfer(transfer, { status: 'interrupted' });
+    }
+  }
+}
+
+function resumeTransfers(device) {
+  for (const transfer of getTransfers().values()) {
+    if (transfer.deviceId !== device.id || transfer.status !== 'interrupted') {
+      continue;
+    }
+    if (transfer.direction === 'archive') {
+      // Zips the parts if they all finished before the server stopped
+      refreshArchive(transfer.id);
+    } else {
+      console.log(`Resuming ${transfer.direction} of ${transfer.fileName} at byte ${transfer.transferred}`);
+      beginTransfer(device, transfer);
+    }
+  }
+}
+
+function getTransfer(transferId) {
+  return getTransfers().get(transferId) || null;
+}
+
+// A device's transfers, newest first
+function listTransfers(deviceId) {
+  return [...getTransfers().values()]
+    .filter(transfer => transfer.deviceId === deviceId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Where a completed download's or archive's contents are kept, or null if there are none
+function getTransferContentPath(transfer) {
+  if (transfer.direction === 'upload' || transfer.status !== 'completed') {
+    return null;
+  }
+  const file = contentPath(transfer);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Forget finished transfers, and delete downloaded files, beyond a retention
+// policy's limits. Without a policy every finished transfer goes. Parts are
+// left to their archive.
+function pruneTransfers(deviceId, policy = null) {
+  const finished = listTransfers(deviceId).filter(transfer => isFinished(transfer) && !transfer.archiveId);
+  const kept = new Set(policy ? limitList(finished, policy, transfer => transfer.updatedAt) : []);
+  for (const transfer of finished) {
+    if (!kept.has(transfer)) {
+      fs.rmSync(contentPath(transfer), { force: true });
+      getTransfers().delete(transfer.id);
+    }
+  }
+  saveTransfers();
+}
+
+module.exports = {
+  startUpload,
+  startDownload,
+  startArchive,
+  handleTransferMessage,
+  settleTransfer,
+  interruptTransfers,
+  resumeTransfers,
+  getTransfer,
+  listTransfers,
+  getTransferContentPath,
+  pruneTransfers,
+};
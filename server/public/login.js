@@ -0,0 +1,40 @@
+const loginForm = document.getElementById('login-form');
+const loginButton = document.getElementById('login-button');
+const loginMessage = document.getElementById('login-message');
+
+function showMessage(text, isError) {
+    loginMessage.textContent = text;
+    loginMessage.className = `mb-4 px-3 py-2 rounded-md text-sm ${isError ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`;
+}
+
+if (new URLSearchParams(window.location.search).has('expired')) {
+    showMessage('Your session has expired. Please sign in again.', false);
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    loginButton.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value
+            })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            window.location.href = '/';
+        } else {
+            showMessage(result.error || 'Sign in failed', true);
+        }
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showMessage('Unable to reach the server', true);
+    } finally {
+        loginButton.disabled = false;
+    }
+});
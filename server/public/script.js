@@ -1,3 +1,89 @@
+// Sidebar sections that depend on a Data Sharing Permissions setting in the app,
+// and the stored data category their requests fill
+const SECTION_CONSENT = {
+    'gps': { setting: 'allowLocation', label: 'location access', category: 'location' },
+    'screen': { setting: 'allowScreenshots', label: 'screenshots', category: 'screenshot' },
+    'contacts': { setting: 'allowContacts', label: 'contacts access', category: 'contacts' },
+    'call-log': { setting: 'allowCallLog', label: 'call log access', category: 'callLog' },
+    'sms': { setting: 'allowSMS', label: 'SMS access', category: 'sms' },
+    'file-explorer': { setting: 'allowFileAccess', label: 'file access', category: 'files' },
+};
+
+// Sidebar sections that need a capability the app reports when it registers
+const SECTION_CAPABILITIES = {
+    'gps': { capability: 'location', label: 'location' },
+    'screen': { capability: 'screenshot', label: 'screenshots' },
+    'microphone': { capability: 'microphone', label: 'microphone recording' },
+    'contacts': { capability: 'contacts', label: 'contacts' },
+    'call-log': { capability: 'call_log', label: 'the call log' },
+    'clipboard': { capability: 'clipboard', label: 'clipboard access' },
+    'notifications': { capability: 'notifications', label: 'notification access' },
+    'sms': { capability: 'sms', label: 'SMS' },
+    'wifi': { capability: 'network', label: 'network info' },
+    'apps': { capability: 'apps', label: 'listing installed apps' },
+    'permissions': { capability: 'permissions', label: 'reporting app permissions' },
+    'file-explorer': { capability: 'files', label: 'file browsing' },
+    'downloads': { capability: 'file_transfer', label: 'file transfers' },
+};
+
+// Why a device's last connection ended, from its `lastDisconnect`
+const DISCONNECT_REASONS = {
+    closed: 'Closed by the device',
+    connection_lost: 'Connection lost',
+    timeout: 'Stopped responding',
+    replaced: 'Replaced by a new connection',
+    server_restart: 'Server restarted',
+};
+
+// Loaders for data that isn't part of the device details, by device response type
+const RESPONSE_LOADERS = {
+    'screenshot_response': 'checkForScreenshot',
+    'clipboard_response': 'loadClipboard',
+    'notifications_response': 'loadNotifications',
+    'apps_response': 'loadApps',
+    'permissions_response': 'loadPermissions',
+    'wifi_response': 'loadWifi',
+};
+
+const FINISHED_COMMAND_STATUSES = ['completed', 'failed', 'timed_out'];
+
+// Commands queued for an offline device, by status
+const QUEUE_STATUS_STYLES = {
+    queued: 'bg-yellow-100 text-yellow-800',
+    delivered: 'bg-green-100 text-green-800',
+    refused: 'bg-red-100 text-red-800',
+    expired: 'bg-gray-100 text-gray-600',
+    cancelled: 'bg-gray-100 text-gray-600',
+};
+
+// Where to look at what each fleet command brought back from a device
+const FLEET_COMMAND_SECTIONS = {
+    'request-location': 'gps',
+    'request-apps': 'apps',
+    'request-permissions': 'permissions',
+    'request-wifi': 'wifi',
+    'upload-file': 'file-explorer',
+};
+
+// Devices' parts of a fleet command, by status
+const FLEET_STATUS_STYLES = {
+    pending: 'bg-blue-100 text-blue-800',
+    completed: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    timed_out: 'bg-red-100 text-red-800',
+    refused: 'bg-yellow-100 text-yellow-800',
+    skipped: 'bg-gray-100 text-gray-600',
+};
+
+// Media items fetched per page as the media list scrolls
+const MEDIA_PAGE_SIZE = 60;
+
+const MEDIA_ICONS = { photo: 'image', video: 'video', audio: 'music' };
+
+// Folders of the device's own app storage. Only what's inside them can be
+// renamed, moved or deleted, and only they can hold new folders.
+const APP_STORAGE_ROOTS = ['/documents', '/cache'];
+
 class DeviceManager {
     constructor() {
         this.devices = [];
@@ -6,15 +92,108 @@ class DeviceManager {
         this.map = null;
         this.currentPath = '/';
         this.pathHistory = [];
+        // The listed entries, in display order, for the file browser's click handlers
+        this.fileEntries = [];
+        // Entries ticked for bulk actions, by path
+        this.selectedFiles = new Map();
+        // 'folders' or 'media'
+        this.fileView = 'folders';
+        // Filters of the media listing being shown; later pages reuse them
+        this.mediaQuery = {};
+        // null, 'query' while a new listing loads or 'page' while the next page does
+        this.mediaLoading = null;
+        // 'grid' of thumbnails or 'list'
+        this.mediaLayout = 'grid';
         this.mirroringInterval = null;
         this.isMirroring = false;
+        this.activeSection = 'info';
+        this.events = null;
+        this.commandWaiters = new Map();
+        this.refreshTimer = null;
+        this.transfers = new Map();
+        this.groups = [];
         this.init();
     }
 
     async init() {
         this.bindEvents();
+        await this.loadSession();
         await this.loadDevices();
-        setInterval(() => this.loadDevices(), 5000); // Refresh every 5 seconds
+        this.connectEvents();
+    }
+
+    // The server pushes device and command changes, so nothing needs polling
+    connectEvents() {
+        let reconnecting = false;
+        this.events = new EventSource('/api/events');
+
+        this.events.addEventListener('open', () => {
+            if (reconnecting) {
+                // Catch up on anything missed while the stream was down
+                this.loadDevices();
+                this.refreshSelectedDevice();
+                this.commandWaiters.forEach((resolve, requestId) => this.checkCommand(requestId));
+            }
+            reconnecting = true;
+        });
+        this.events.addEventListener('error', () => {
+            // EventSource retries by itself; this redirects to login if the session ended
+            this.loadSession();
+        });
+        this.events.addEventListener('device_status', (event) => {
+            const { deviceId } = JSON.parse(event.data);
+            this.loadDevices();
+            if (deviceId === this.currentDeviceId) {
+                this.refreshSelectedDevice();
+            }
+        });
+        this.events.addEventListener('device_updated', (event) => {
+            const { deviceId, type } = JSON.parse(event.data);
+            if (type === 'tags') {
+                this.loadDevices();
+            }
+            if (deviceId !== this.currentDeviceId) return;
+            if (RESPONSE_LOADERS[type]) {
+                this[RESPONSE_LOADERS[type]]();
+            } else {
+                this.refreshSelectedDevice();
+            }
+        });
+        this.events.addEventListener('command_updated', (event) => {
+            const command = JSON.parse(event.data);
+            if (FINISHED_COMMAND_STATUSES.includes(command.status)) {
+                this.resolveCommand(command);
+            }
+        });
+        this.events.addEventListener('fleet_command_updated', () => {
+            if (this.activeSection === 'fleet') {
+                this.loadFleetCommands();
+            }
+        });
+        this.events.addEventListener('queue_updated', (event) => {
+            const { deviceId } = JSON.parse(event.data);
+            if (deviceId === this.currentDeviceId) {
+                this.loadQueue();
+            }
+        });
+        this.events.addEventListener('transfer_updated', (event) => {
+            const transfer = JSON.parse(event.data);
+            this.transfers.set(transfer.id, transfer);
+            if (transfer.deviceId === this.currentDeviceId) {
+                this.renderTransfers();
+                this.renderDownloads();
+            }
+        });
+    }
+
+    // Coalesce bursts of updates into one reload of the selected device
+    refreshSelectedDevice() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            if (this.currentDeviceId) {
+                this.selectDevice(this.currentDeviceId);
+            }
+        }, 250);
     }
 
     bindEvents() {
@@ -39,8 +218,37 @@ class DeviceManager {
         document.getElementById('download-sms').addEventListener('click', () => this.downloadSMS());
         document.getElementById('request-call-log').addEventListener('click', () => this.requestCallLog());
         document.getElementById('download-call-log').addEventListener('click', () => this.downloadCallLog());
-        document.getElementById('refresh-files').addEventListener('click', () => this.requestFiles());
+        document.getElementById('refresh-files').addEventListener('click', () => {
+            if (this.fileView === 'media') {
+                this.requestMedia();
+            } else {
+                this.browseDirectory(this.currentPath);
+            }
+        });
+        document.querySelectorAll('.file-view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showFileView(tab.getAttribute('data-file-view')));
+        });
+        document.querySelectorAll('.media-layout-toggle').forEach(button => {
+            button.addEventListener('click', () => this.setMediaLayout(button.getAttribute('data-media-layout')));
+        });
+        document.getElementById('media-filters').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestMedia();
+        });
+        // Infinite scroll: fetch the next page as the list nears its end
+        document.getElementById('media-list').addEventListener('scroll', (e) => {
+            const list = e.target;
+            if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+                this.loadMoreMedia();
+            }
+        });
         document.getElementById('go-back').addEventListener('click', () => this.goBackDirectory());
+        document.getElementById('new-folder').addEventListener('click', () => this.createFolder());
+        document.getElementById('bulk-download').addEventListener('click', () => this.downloadSelectedFiles());
+        document.getElementById('bulk-rename').addEventListener('click', () => this.renameSelectedFile());
+        document.getElementById('bulk-move').addEventListener('click', () => this.moveSelectedFiles());
+        document.getElementById('bulk-delete').addEventListener('click', () => this.deleteSelectedFiles());
+        document.getElementById('clear-file-selection').addEventListener('click', () => this.clearFileSelection());
         
         // Screen mirroring buttons
         document.getElementById('take-screenshot').addEventListener('click', () => this.takeScreenshot());
@@ -60,6 +268,55 @@ class DeviceManager {
         
         // File upload
         document.getElementById('file-upload').addEventListener('change', (e) => this.handleFileUpload(e));
+
+        document.getElementById('logout').addEventListener('click', () => this.logout());
+        document.getElementById('create-enrollment-code').addEventListener('click', () => this.createEnrollmentCode());
+        document.getElementById('wipe-data').addEventListener('click', () => this.wipeDeviceData());
+        document.getElementById('refresh-audit').addEventListener('click', () => this.loadAuditLog());
+        document.getElementById('verify-audit').addEventListener('click', () => this.verifyAuditLog());
+
+        // Fleet
+        document.getElementById('group-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGroup();
+        });
+        document.getElementById('reset-group').addEventListener('click', () => this.editGroup(null));
+        document.getElementById('fleet-command').addEventListener('change', (e) => {
+            document.getElementById('fleet-upload').classList.toggle('hidden', e.target.value !== 'upload-file');
+        });
+        document.getElementById('fleet-command-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendFleetCommand();
+        });
+    }
+
+    // Wrapper around fetch that sends the operator back to the login page when the session is gone
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, { credentials: 'same-origin', ...options });
+        if (response.status === 401) {
+            window.location.href = '/login.html?expired=1';
+            throw new Error('Session expired');
+        }
+        return response;
+    }
+
+    async loadSession() {
+        try {
+            const response = await this.apiFetch('/api/auth/session');
+            const session = await response.json();
+            document.getElementById('operator-name').textContent = session.username;
+        } catch (error) {
+            console.error('Error loading session:', error);
+        }
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        window.location.href = '/login.html';
     }
 
     showSection(sectionName) {
@@ -74,6 +331,10 @@ class DeviceManager {
             section.classList.remove('active');
         });
         document.getElementById(`${sectionName}-section`).classList.add('active');
+        this.activeSection = sectionName;
+        this.updateCapabilityBanner();
+        this.updateConsentBanner();
+        this.updateApprovalBanner();
 
         // Update title
         const titles = {
@@ -90,26 +351,317 @@ class DeviceManager {
             'permissions': 'Allowed Permissions',
             'file-explorer': 'File Explorer',
             'downloads': 'Downloads',
-            'screen': 'Screen Mirror'
+            'screen': 'Screen Mirror',
+            'fleet': 'Fleet',
+            'audit': 'Audit Log'
         };
         document.getElementById('content-title').textContent = titles[sectionName] || 'Device Manager';
 
         // Initialize section-specific functionality
         if (sectionName === 'gps') {
             setTimeout(() => this.initializeMap(), 100);
+        } else if (sectionName === 'fleet') {
+            this.loadGroups();
+            this.loadFleetCommands();
+        } else if (sectionName === 'audit') {
+            this.loadAuditLog();
         }
     }
 
     async loadDevices() {
         try {
-            const response = await fetch('/api/devices');
+            const response = await this.apiFetch('/api/devices');
             this.devices = await response.json();
             this.updateDeviceSelector();
+
+            // Pick up consent changes for the selected device without reloading it
+            const current = this.devices.find(d => d.id === this.currentDeviceId);
+            if (current && this.selectedDevice) {
+                this.selectedDevice.consent = current.consent;
+                this.selectedDevice.pendingApprovals = current.pendingApprovals;
+                this.updateSidebarAvailability();
+            }
         } catch (error) {
             console.error('Error loading devices:', error);
         }
     }
 
+    async createEnrollmentCode() {
+        try {
+            const response = await this.apiFetch('/api/enrollment-codes', {
+                method: 'POST'
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                const codeElement = document.getElementById('enrollment-code');
+                codeElement.innerHTML = `
+                    <p class="text-xs text-gray-600 mb-1">Enter this code in the device app</p>
+                    <p class="text-xl font-mono font-bold text-blue-800 tracking-wider">${result.code}</p>
+                    <p class="text-xs text-gray-500 mt-1">Single use, expires ${new Date(result.expiresAt).toLocaleTimeString()}</p>
+                    ${result.certificateFingerprint ? `
+                        <p class="text-xs text-gray-600 mt-2">With Secure Connection on, also enter the certificate fingerprint:</p>
+                        <p class="text-xs font-mono text-gray-700 break-all">${result.certificateFingerprint}</p>
+                    ` : ''}
+                `;
+                codeElement.classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Error creating enrollment code:', error);
+            alert('Failed to create enrollment code');
+        }
+    }
+
+    // Resolves to the command once it completes, fails or times out on the
+    // server, or null if the server doesn't know it
+    waitForCommand(requestId) {
+        if (!requestId) return Promise.resolve(null);
+        return new Promise(resolve => {
+            this.commandWaiters.set(requestId, resolve);
+            // It may have finished before we started listening
+            this.checkCommand(requestId);
+        });
+    }
+
+    async checkCommand(requestId) {
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/commands/${requestId}`);
+            if (!response.ok) {
+                this.resolveCommand({ requestId }, null);
+                return;
+            }
+            const command = await response.json();
+            if (FINISHED_COMMAND_STATUSES.includes(command.status)) {
+                this.resolveCommand(command);
+            }
+        } catch (error) {
+            console.error('Error checking command status:', error);
+        }
+    }
+
+    resolveCommand(command, result = command) {
+        const resolve = this.commandWaiters.get(command.requestId);
+        if (!resolve) return;
+        this.commandWaiters.delete(command.requestId);
+        if (result && result.status !== 'completed') {
+            console.warn(`Command ${result.type} ${result.status}:`, result.error);
+        }
+        resolve(result);
+    }
+
+    // New data arrives as a device_updated event. A command the device never
+    // answered produces none, so re-render to clear the loading state.
+    async refreshIfUnanswered(requestId, refresh) {
+        const command = await this.waitForCommand(requestId);
+        if (!command || command.status === 'timed_out') {
+            refresh();
+        }
+    }
+
+    async loadQueue() {
+        if (!this.currentDeviceId) return;
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/queue`);
+            const result = await response.json();
+            this.renderQueue(result.commands);
+        } catch (error) {
+            console.error('Error loading queued commands:', error);
+        }
+    }
+
+    renderQueue(commands) {
+        const container = document.getElementById('queued-commands');
+        if (commands.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Nothing queued</p>';
+            return;
+        }
+
+        container.innerHTML = commands.map(command => `
+            <div class="flex items-center justify-between p-2 rounded hover:bg-gray-50">
+                <div class="min-w-0">
+                    <p class="text-sm text-gray-900">
+                        ${this.escapeHtml(command.type.replace(/_/g, ' '))}
+                        <span class="px-2 py-0.5 text-xs rounded-full ml-2 ${QUEUE_STATUS_STYLES[command.status] || ''}">${command.status}</span>
+                    </p>
+                    <p class="text-xs text-gray-500">
+                        ${this.escapeHtml(command.operator || 'unknown')} • queued ${new Date(command.createdAt).toLocaleString()} •
+                        ${command.status === 'queued' ? `expires ${new Date(command.expiresAt).toLocaleString()}` : `${command.status} ${new Date(command.updatedAt).toLocaleString()}`}
+                    </p>
+                    ${command.error ? `<p class="text-xs text-red-600">${this.escapeHtml(command.error)}</p>` : ''}
+                </div>
+                ${command.status === 'queued' ? `
+                    <button class="cancel-queued text-red-600 hover:text-red-800 text-sm ml-2" data-request-id="${command.requestId}">
+                        <i class="fas fa-times mr-1"></i>Cancel
+                    </button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.cancel-queued').forEach(button => {
+            button.addEventListener('click', () => this.cancelQueuedCommand(button.getAttribute('data-request-id')));
+        });
+    }
+
+    async cancelQueuedCommand(requestId) {
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/queue/${requestId}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Request failed');
+            }
+            this.loadQueue();
+        } catch (error) {
+            console.error('Error cancelling queued command:', error);
+            alert(`Failed to cancel: ${error.message}`);
+        }
+    }
+
+    // Requests to an offline device can wait on the server until it reconnects
+    async offerToQueue(action) {
+        if (!this.currentDeviceId || !this.selectedDevice) {
+            alert('Device is not available');
+            return;
+        }
+
+        const hours = prompt(`${this.selectedDevice.deviceName} is offline. Send this request when it reconnects?\n\nGive up after how many hours:`, '24');
+        if (hours === null) return;
+        if (!(Number(hours) > 0)) {
+            alert('Enter a number of hours');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ queueUntil: Date.now() + Number(hours) * 60 * 60 * 1000 })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            this.loadQueue();
+            alert(`Queued until ${new Date(result.expiresAt).toLocaleString()}. It's listed under Queued Commands in Device Information.`);
+        } catch (error) {
+            console.error(`Error queueing ${action}:`, error);
+            alert(`Failed to queue the request: ${error.message}`);
+        }
+    }
+
+    async wipeDeviceData() {
+        if (!this.currentDeviceId) {
+            alert('Select a device first');
+            return;
+        }
+
+        const select = document.getElementById('wipe-category');
+        const label = select.options[select.selectedIndex].text;
+        if (!confirm(`Delete stored data (${label}) for this device? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/data/${select.value}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.selectDevice(this.currentDeviceId);
+            } else {
+                alert(result.error || 'Failed to wipe data');
+            }
+        } catch (error) {
+            console.error('Error wiping device data:', error);
+            alert('Failed to wipe data');
+        }
+    }
+
+    async loadAuditLog() {
+        const params = new URLSearchParams();
+        const operator = document.getElementById('audit-operator').value.trim();
+        const action = document.getElementById('audit-action').value.trim();
+        const outcome = document.getElementById('audit-outcome').value;
+        if (operator) params.set('operator', operator);
+        if (action) params.set('action', action);
+        if (outcome) params.set('outcome', outcome);
+        if (document.getElementById('audit-selected-device').checked && this.currentDeviceId) {
+            params.set('deviceId', this.currentDeviceId);
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/audit?${params}`);
+            this.renderAuditLog(await response.json());
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+        }
+    }
+
+    renderAuditLog(entries) {
+        const auditList = document.getElementById('audit-list');
+
+        if (entries.length === 0) {
+            auditList.innerHTML = `
+                <div class="p-4 text-center text-gray-500">
+                    <i class="fas fa-clipboard-check text-4xl mb-2 block text-gray-300"></i>
+                    No matching audit entries
+                </div>
+            `;
+            return;
+        }
+
+        const outcomeColors = {
+            success: 'bg-green-100 text-green-800',
+            denied: 'bg-yellow-100 text-yellow-800',
+            failed: 'bg-red-100 text-red-800'
+        };
+        const deviceNames = new Map(this.devices.map(device => [device.id, device.deviceName]));
+
+        auditList.innerHTML = `
+            <div class="divide-y divide-gray-200">
+                ${entries.map(entry => `
+                    <div class="p-4 hover:bg-gray-50 transition-colors">
+                        <div class="flex items-center justify-between mb-1">
+                            <p class="text-sm font-medium text-gray-900">
+                                ${this.escapeHtml(entry.operator)} → ${this.escapeHtml(entry.action)}
+                            </p>
+                            <span class="text-xs text-gray-500">${new Date(entry.timestamp).toLocaleString()}</span>
+                        </div>
+                        <p class="text-xs text-gray-500">
+                            ${this.escapeHtml(deviceNames.get(entry.deviceId) || entry.deviceId)}
+                            <span class="ml-2 px-2 py-0.5 rounded ${outcomeColors[entry.outcome] || ''}">${entry.outcome} (${entry.commandStatus ? `device: ${entry.commandStatus.replace('_', ' ')}` : entry.statusCode})</span>
+                        </p>
+                        ${entry.error ? `<p class="text-xs text-red-600 mt-1">${this.escapeHtml(entry.error)}</p>` : ''}
+                        ${Object.keys(entry.parameters || {}).length > 0 ? `
+                            <p class="text-xs text-gray-400 font-mono mt-1">${this.escapeHtml(JSON.stringify(entry.parameters))}</p>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async verifyAuditLog() {
+        const verification = document.getElementById('audit-verification');
+
+        try {
+            const response = await this.apiFetch('/api/audit/verify');
+            const result = await response.json();
+
+            verification.className = result.valid
+                ? 'mb-4 rounded-lg p-3 text-sm bg-green-50 text-green-800 border border-green-200'
+                : 'mb-4 rounded-lg p-3 text-sm bg-red-50 text-red-800 border border-red-200';
+            verification.innerHTML = result.valid
+                ? `<i class="fas fa-check-circle mr-2"></i>Hash chain intact (${result.entries} entries)`
+                : `<i class="fas fa-exclamation-triangle mr-2"></i>Audit log tampered with at entry ${result.brokenAt}: ${result.reason}`;
+        } catch (error) {
+            console.error('Error verifying audit log:', error);
+        }
+    }
+
     updateDeviceSelector() {
         const selector = document.getElementById('device-selector');
         const currentValue = selector.value;
@@ -117,7 +669,7 @@ class DeviceManager {
         selector.innerHTML = this.devices.length > 0 
             ? this.devices.map(device => 
                 `<option value="${device.id}" ${device.id === currentValue ? 'selected' : ''}>
-                    ${device.deviceName} (${device.platform}) - ${device.isOnline ? 'Online' : 'Offline'}
+                    ${this.escapeHtml(device.deviceName)} (${this.escapeHtml(device.platform)}) - ${device.isOnline ? 'Online' : 'Offline'}${device.tags?.length ? ` [${this.escapeHtml(device.tags.join(', '))}]` : ''}
                 </option>`
               ).join('')
             : '<option value="">No devices connected</option>';
@@ -137,19 +689,24 @@ class DeviceManager {
             this.selectedDevice = null;
             this.currentDeviceId = null;
             this.updateDeviceStatus();
+            this.updateSidebarAvailability();
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${deviceId}`);
+            const response = await this.apiFetch(`/api/devices/${deviceId}`);
             this.selectedDevice = await response.json();
             this.currentDeviceId = deviceId;
             this.updateDeviceStatus();
+            this.updateSidebarAvailability();
             this.updateDeviceInfo();
             this.renderContacts();
             this.renderSMS();
             this.renderCallLog();
             this.renderFiles();
+            this.renderMedia();
+            this.loadTransfers();
+            this.loadQueue();
             this.renderClipboard();
             this.renderNotifications();
             this.renderApps();
@@ -165,6 +722,96 @@ class DeviceManager {
         }
     }
 
+    // 'allow', 'ask' or 'deny'; older app versions report booleans
+    getSectionConsent(sectionName) {
+        const requirement = SECTION_CONSENT[sectionName];
+        const level = requirement ? this.selectedDevice?.consent?.[requirement.setting] : undefined;
+        if (level === false) return 'deny';
+        // Devices that have not reported consent are treated as allowing everything
+        return typeof level === 'string' ? level : 'allow';
+    }
+
+    isSectionAllowed(sectionName) {
+        return this.getSectionConsent(sectionName) !== 'deny';
+    }
+
+    // Devices that don't report capabilities are treated as supporting everything
+    // Devices that don't report capabilities are assumed to have them all
+    hasCapability(capability) {
+        const capabilities = this.selectedDevice?.capabilities;
+        return !Array.isArray(capabilities) || capabilities.includes(capability);
+    }
+
+    isSectionSupported(sectionName) {
+        const requirement = SECTION_CAPABILITIES[sectionName];
+        return !requirement || this.hasCapability(requirement.capability);
+    }
+
+    // Disable sections the device can't serve and grey out ones the device
+    // user has switched off in the app
+    updateSidebarAvailability() {
+        document.querySelectorAll('.sidebar-item').forEach(item => {
+            const sectionName = item.getAttribute('data-section');
+            const supported = this.isSectionSupported(sectionName);
+            const allowed = this.isSectionAllowed(sectionName);
+            item.classList.toggle('unsupported', !supported);
+            item.classList.toggle('consent-off', supported && !allowed);
+            document.querySelectorAll(`#${sectionName}-section button`).forEach(button => {
+                button.disabled = !supported;
+            });
+            if (!supported) {
+                item.title = `This device does not support ${SECTION_CAPABILITIES[sectionName].label}`;
+            } else if (!allowed) {
+                item.title = `Not shared by the device user (${SECTION_CONSENT[sectionName].label})`;
+            } else if (this.getSectionConsent(sectionName) === 'ask') {
+                item.title = 'The device user approves each request';
+            } else {
+                item.title = '';
+            }
+        });
+        this.updateCapabilityBanner();
+        this.updateConsentBanner();
+        this.updateApprovalBanner();
+    }
+
+    updateCapabilityBanner() {
+        const banner = document.getElementById('capability-banner');
+        if (this.isSectionSupported(this.activeSection)) {
+            banner.classList.add('hidden');
+            return;
+        }
+        document.getElementById('capability-banner-text').textContent =
+            `This device does not support ${SECTION_CAPABILITIES[this.activeSection].label}, so the actions here are disabled.`;
+        banner.classList.remove('hidden');
+    }
+
+    updateConsentBanner() {
+        const banner = document.getElementById('consent-banner');
+        // An unsupported section already has its own banner
+        if (!this.isSectionSupported(this.activeSection) || this.isSectionAllowed(this.activeSection)) {
+            banner.classList.add('hidden');
+            return;
+        }
+        document.getElementById('consent-banner-text').textContent =
+            `The device user has turned off ${SECTION_CONSENT[this.activeSection].label} in the app. Requests in this section will be refused until they allow it again.`;
+        banner.classList.remove('hidden');
+    }
+
+    // Requests in the current section that are waiting for the device user to approve them
+    updateApprovalBanner() {
+        const banner = document.getElementById('approval-banner');
+        const category = SECTION_CONSENT[this.activeSection]?.category;
+        const pending = category && this.selectedDevice?.pendingApprovals?.[category];
+        if (!pending) {
+            banner.classList.add('hidden');
+            return;
+        }
+        const requestedBy = pending.operator ? ` requested by ${pending.operator}` : '';
+        document.getElementById('approval-banner-text').textContent =
+            `Awaiting device approval for this request${requestedBy}. It will be refused if not approved by ${new Date(pending.expiresAt).toLocaleTimeString()}.`;
+        banner.classList.remove('hidden');
+    }
+
     updateDeviceStatus() {
         const statusElement = document.getElementById('device-status');
         
@@ -178,13 +825,20 @@ class DeviceManager {
         }
 
         const isOnline = this.selectedDevice.isOnline;
+        const reason = this.selectedDevice.lastDisconnect?.reason;
         statusElement.innerHTML = `
             <i class="fas fa-circle ${isOnline ? 'text-green-500' : 'text-red-500'} mr-1"></i>
-            ${this.selectedDevice.deviceName} - ${isOnline ? 'Online' : 'Offline'}
+            ${this.escapeHtml(this.selectedDevice.deviceName)} - ${isOnline ? 'Online' : 'Offline'}${!isOnline && DISCONNECT_REASONS[reason] ? ` (${DISCONNECT_REASONS[reason].toLowerCase()})` : ''}
         `;
         statusElement.className = `px-3 py-1 ${isOnline ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'} text-sm rounded-full`;
     }
 
+    describeDisconnect(lastDisconnect) {
+        if (!lastDisconnect) return 'None recorded';
+        const reason = DISCONNECT_REASONS[lastDisconnect.reason] || lastDisconnect.reason;
+        return `${reason} • ${new Date(lastDisconnect.at).toLocaleString()}`;
+    }
+
     updateDeviceInfo() {
         const infoElement = document.getElementById('device-info');
         
@@ -200,21 +854,21 @@ class DeviceManager {
                         <i class="fas fa-mobile-alt w-5 h-5 mr-3 text-blue-600"></i>
                         <div>
                             <p class="text-sm font-medium text-gray-900">Device Name</p>
-                            <p class="text-sm text-gray-600">${this.selectedDevice.deviceName}</p>
+                            <p class="text-sm text-gray-600">${this.escapeHtml(this.selectedDevice.deviceName)}</p>
                         </div>
                     </div>
                     <div class="flex items-center">
                         <i class="fas fa-tag w-5 h-5 mr-3 text-blue-600"></i>
                         <div>
                             <p class="text-sm font-medium text-gray-900">Brand & Model</p>
-                            <p class="text-sm text-gray-600">${this.selectedDevice.brand || 'Unknown'} ${this.selectedDevice.model || ''}</p>
+                            <p class="text-sm text-gray-600">${this.escapeHtml(this.selectedDevice.brand || 'Unknown')} ${this.escapeHtml(this.selectedDevice.model)}</p>
                         </div>
                     </div>
                     <div class="flex items-center">
                         <i class="fab fa-${this.selectedDevice.platform?.toLowerCase() === 'ios' ? 'apple' : 'android'} w-5 h-5 mr-3 text-blue-600"></i>
                         <div>
                             <p class="text-sm font-medium text-gray-900">Platform</p>
-                            <p class="text-sm text-gray-600">${this.selectedDevice.platform} ${this.selectedDevice.systemVersion || ''}</p>
+                            <p class="text-sm text-gray-600">${this.escapeHtml(this.selectedDevice.platform)} ${this.escapeHtml(this.selectedDevice.systemVersion)}</p>
                         </div>
                     </div>
                 </div>
@@ -233,6 +887,23 @@ class DeviceManager {
                             <p class="text-sm text-gray-600">${new Date(this.selectedDevice.lastSeen).toLocaleString()}</p>
                         </div>
                     </div>
+                    <div class="flex items-center">
+                        <i class="fas fa-unlink w-5 h-5 mr-3 text-blue-600"></i>
+                        <div>
+                            <p class="text-sm font-medium text-gray-900">Last Disconnect</p>
+                            <p class="text-sm text-gray-600">${this.describeDisconnect(this.selectedDevice.lastDisconnect)}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center">
+                        <i class="fas fa-tags w-5 h-5 mr-3 text-blue-600"></i>
+                        <div>
+                            <p class="text-sm font-medium text-gray-900">
+                                Tags
+                                <button id="edit-tags" class="text-blue-600 hover:text-blue-800 text-xs ml-2">Edit</button>
+                            </p>
+                            <p class="text-sm text-gray-600">${this.selectedDevice.tags?.length ? this.escapeHtml(this.selectedDevice.tags.join(', ')) : 'None'}</p>
+                        </div>
+                    </div>
                     <div class="flex items-center">
                         <i class="fas fa-map-marker-alt w-5 h-5 mr-3 text-blue-600"></i>
                         <div>
@@ -243,6 +914,243 @@ class DeviceManager {
                 </div>
             </div>
         `;
+        document.getElementById('edit-tags').addEventListener('click', () => this.editDeviceTags());
+    }
+
+    // Tags are entered comma separated; groups pick up devices by tag
+    async editDeviceTags() {
+        const input = prompt('Tags, comma separated', (this.selectedDevice.tags || []).join(', '));
+        if (input === null) return;
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/tags`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tags: input.split(',') })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            this.selectedDevice.tags = result.tags;
+            this.updateDeviceInfo();
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            alert(`Failed to save tags: ${error.message}`);
+        }
+    }
+
+    async loadGroups() {
+        try {
+            const response = await this.apiFetch('/api/groups');
+            this.groups = await response.json();
+            this.renderGroups();
+        } catch (error) {
+            console.error('Error loading groups:', error);
+        }
+    }
+
+    renderGroups() {
+        const deviceNames = new Map(this.devices.map(device => [device.id, device.deviceName]));
+        const onlineIds = new Set(this.devices.filter(device => device.isOnline).map(device => device.id));
+
+        document.getElementById('group-list').innerHTML = this.groups.length === 0
+            ? '<p class="text-sm text-gray-500">No groups yet</p>'
+            : this.groups.map(group => `
+                <div class="flex items-center justify-between p-2 rounded hover:bg-gray-50">
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-900">${this.escapeHtml(group.name)}</p>
+                        <p class="text-xs text-gray-500 truncate">
+                            ${group.members.length} device${group.members.length === 1 ? '' : 's'}, ${group.members.filter(id => onlineIds.has(id)).length} online
+                            ${group.tags.length ? ` • tags: ${this.escapeHtml(group.tags.join(', '))}` : ''}
+                            • ${this.escapeHtml(group.members.map(id => deviceNames.get(id) || id).join(', '))}
+                        </p>
+                    </div>
+                    <div class="flex space-x-3 ml-2">
+                        <button class="edit-group text-blue-600 hover:text-blue-800 text-sm" data-group-id="${group.id}">Edit</button>
+                        <button class="delete-group text-red-600 hover:text-red-800 text-sm" data-group-id="${group.id}">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+
+        document.querySelectorAll('.edit-group').forEach(button => {
+            button.addEventListener('click', () => this.editGroup(button.getAttribute('data-group-id')));
+        });
+        document.querySelectorAll('.delete-group').forEach(button => {
+            button.addEventListener('click', () => this.deleteGroup(button.getAttribute('data-group-id')));
+        });
+
+        const groupSelector = document.getElementById('fleet-group');
+        const selectedGroup = groupSelector.value;
+        groupSelector.innerHTML = this.groups.length === 0
+            ? '<option value="">No groups</option>'
+            : this.groups.map(group => `<option value="${group.id}">${this.escapeHtml(group.name)}</option>`).join('');
+        if (this.groups.some(group => group.id === selectedGroup)) {
+            groupSelector.value = selectedGroup;
+        }
+
+        this.editGroup(document.getElementById('group-id').value || null);
+    }
+
+    // Fill the group form with a group to edit, or clear it for a new one
+    editGroup(groupId) {
+        const group = this.groups.find(g => g.id === groupId) || null;
+        document.getElementById('group-id').value = group ? group.id : '';
+        document.getElementById('group-name').value = group ? group.name : '';
+        document.getElementById('group-tags').value = group ? group.tags.join(', ') : '';
+        document.getElementById('save-group').lastChild.textContent = group ? ' Save Group' : ' Create Group';
+        document.getElementById('group-devices').innerHTML = this.devices.map(device => `
+            <label class="flex items-center text-sm text-gray-700">
+                <input type="checkbox" class="group-device mr-2" value="${device.id}" ${group?.deviceIds.includes(device.id) ? 'checked' : ''}>
+                ${this.escapeHtml(device.deviceName)}
+                ${device.tags?.length ? `<span class="text-xs text-gray-400 ml-1">${this.escapeHtml(device.tags.join(', '))}</span>` : ''}
+            </label>
+        `).join('');
+    }
+
+    async saveGroup() {
+        const groupId = document.getElementById('group-id').value;
+        const body = {
+            name: document.getElementById('group-name').value,
+            tags: document.getElementById('group-tags').value.split(','),
+            deviceIds: [...document.querySelectorAll('.group-device:checked')].map(input => input.value)
+        };
+
+        try {
+            const response = await this.apiFetch(groupId ? `/api/groups/${groupId}` : '/api/groups', {
+                method: groupId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            document.getElementById('group-id').value = result.group.id;
+            this.loadGroups();
+        } catch (error) {
+            console.error('Error saving group:', error);
+            alert(`Failed to save the group: ${error.message}`);
+        }
+    }
+
+    async deleteGroup(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group || !confirm(`Delete the group "${group.name}"? Its devices and their tags are kept.`)) return;
+
+        try {
+            const response = await this.apiFetch(`/api/groups/${groupId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Request failed');
+            }
+            if (document.getElementById('group-id').value === groupId) {
+                document.getElementById('group-id').value = '';
+            }
+            this.loadGroups();
+        } catch (error) {
+            console.error('Error deleting group:', error);
+            alert(`Failed to delete the group: ${error.message}`);
+        }
+    }
+
+    async sendFleetCommand() {
+        const groupId = document.getElementById('fleet-group').value;
+        const command = document.getElementById('fleet-command').value;
+        if (!groupId) {
+            alert('Create a group first');
+            return;
+        }
+
+        const options = { method: 'POST' };
+        if (command === 'upload-file') {
+            const file = document.getElementById('fleet-file').files[0];
+            if (!file) {
+                alert('Choose a file to push');
+                return;
+            }
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('targetPath', document.getElementById('fleet-target-path').value);
+            options.body = formData;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/groups/${groupId}/commands/${command}`, options);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            document.getElementById('fleet-file').value = '';
+            this.loadFleetCommands();
+        } catch (error) {
+            console.error(`Error sending ${command} to the group:`, error);
+            alert(`Failed to send the command: ${error.message}`);
+        }
+    }
+
+    async loadFleetCommands() {
+        try {
+            const response = await this.apiFetch('/api/fleet-commands');
+            this.renderFleetCommands(await response.json());
+        } catch (error) {
+            console.error('Error loading fleet commands:', error);
+        }
+    }
+
+    // Each fleet command with how it went on every member of the group
+    renderFleetCommands(fleetCommands) {
+        const container = document.getElementById('fleet-results');
+        if (fleetCommands.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No fleet commands sent yet</p>';
+            return;
+        }
+
+        const commandNames = new Map([...document.querySelectorAll('#fleet-command option')]
+            .map(option => [option.value, option.textContent]));
+        container.innerHTML = fleetCommands.map(fleetCommand => `
+            <div class="border border-gray-200 rounded-lg">
+                <div class="flex items-center justify-between p-3 bg-gray-50 rounded-t-lg">
+                    <p class="text-sm font-medium text-gray-900">
+                        ${this.escapeHtml(commandNames.get(fleetCommand.command) || fleetCommand.command)} → ${this.escapeHtml(fleetCommand.groupName)}
+                    </p>
+                    <p class="text-xs text-gray-500">
+                        ${Object.entries(fleetCommand.counts).map(([status, count]) => `${count} ${status.replace('_', ' ')}`).join(', ')}
+                        • ${this.escapeHtml(fleetCommand.operator)} • ${new Date(fleetCommand.createdAt).toLocaleString()}
+                    </p>
+                </div>
+                <div class="divide-y divide-gray-100">
+                    ${fleetCommand.targets.map(target => `
+                        <div class="flex items-center justify-between px-3 py-2">
+                            <div class="min-w-0">
+                                <p class="text-sm text-gray-900">
+                                    ${this.escapeHtml(target.deviceName || target.deviceId)}
+                                    <span class="px-2 py-0.5 text-xs rounded-full ml-2 ${FLEET_STATUS_STYLES[target.status] || ''}">${target.status.replace('_', ' ')}</span>
+                                </p>
+                                ${target.error ? `<p class="text-xs text-red-600">${this.escapeHtml(target.error)}</p>` : ''}
+                            </div>
+                            ${target.status === 'completed' ? `
+                                <button class="open-fleet-target text-blue-600 hover:text-blue-800 text-sm ml-2"
+                                        data-device-id="${target.deviceId}" data-section="${FLEET_COMMAND_SECTIONS[fleetCommand.command]}">
+                                    View
+                                </button>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.open-fleet-target').forEach(button => {
+            button.addEventListener('click', () => this.openFleetTarget(button.getAttribute('data-device-id'), button.getAttribute('data-section')));
+        });
+    }
+
+    // Show what a fleet command brought back from one device
+    async openFleetTarget(deviceId, sectionName) {
+        document.getElementById('device-selector').value = deviceId;
+        await this.selectDevice(deviceId);
+        this.showSection(sectionName);
     }
 
     initializeMap() {
@@ -265,7 +1173,7 @@ class DeviceManager {
             
             L.marker([latitude, longitude])
                 .addTo(this.map)
-                .bindPopup(`${this.selectedDevice.deviceName}<br>Last updated: ${new Date(this.selectedDevice.location.timestamp).toLocaleString()}`)
+                .bindPopup(`${this.escapeHtml(this.selectedDevice.deviceName)}<br>Last updated: ${new Date(this.selectedDevice.location.timestamp).toLocaleString()}`)
                 .openPopup();
                 
             document.getElementById('location-info').innerHTML = `
@@ -284,6 +1192,8 @@ class DeviceManager {
                     </div>
                 </div>
             `;
+        } else if (this.selectedDevice?.accessErrors?.location) {
+            document.getElementById('location-info').innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.location);
         } else {
             document.getElementById('location-info').innerHTML = `
                 <p class="text-gray-500 text-center">No location data available</p>
@@ -306,7 +1216,10 @@ class DeviceManager {
             return;
         }
         
-        if (this.selectedDevice.contacts && this.selectedDevice.contacts.length > 0) {
+        if (this.selectedDevice.accessErrors?.contacts) {
+            contactsList.innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.contacts);
+            contactsCount.textContent = '';
+        } else if (this.selectedDevice.contacts && this.selectedDevice.contacts.length > 0) {
             contactsList.innerHTML = `
                 <div class="divide-y divide-gray-200">
                     ${this.selectedDevice.contacts.map(contact => `
@@ -356,11 +1269,14 @@ class DeviceManager {
             return;
         }
         
-        if (this.selectedDevice.sms?.error) {
+        if (this.selectedDevice.accessErrors?.sms) {
+            smsList.innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.sms);
+            smsCount.textContent = '';
+        } else if (this.selectedDevice.sms?.error) {
             smsList.innerHTML = `
                 <div class="p-4 text-center text-gray-500">
                     <i class="fas fa-exclamation-triangle text-yellow-500 text-2xl mb-2 block"></i>
-                    <p class="text-sm text-gray-700 mb-2">${this.selectedDevice.sms.error}</p>
+                    <p class="text-sm text-gray-700 mb-2">${this.escapeHtml(this.selectedDevice.sms.error)}</p>
                     <p class="text-xs text-gray-500">SMS access requires native implementation</p>
                 </div>
             `;
@@ -413,7 +1329,10 @@ class DeviceManager {
             return;
         }
         
-        if (this.selectedDevice.callLog && this.selectedDevice.callLog.length > 0) {
+        if (this.selectedDevice.accessErrors?.callLog) {
+            callLogList.innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.callLog);
+            callLogCount.textContent = '';
+        } else if (this.selectedDevice.callLog && this.selectedDevice.callLog.length > 0) {
             callLogList.innerHTML = `
                 <div class="divide-y divide-gray-200">
                     ${this.selectedDevice.callLog.map(call => `
@@ -467,10 +1386,14 @@ class DeviceManager {
         if (this.selectedDevice.currentPath) {
             currentPath.textContent = this.selectedDevice.currentPath;
             this.currentPath = this.selectedDevice.currentPath;
-            goBackBtn.disabled = this.currentPath === '/' || this.currentPath === '/storage/emulated/0';
+            goBackBtn.disabled = this.currentPath === '/' && this.pathHistory.length === 0;
         }
         
-        if (this.selectedDevice.files && Array.isArray(this.selectedDevice.files)) {
+        if (this.selectedDevice.accessErrors?.files) {
+            this.fileEntries = [];
+            this.selectedFiles.clear();
+            fileBrowser.innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.files);
+        } else if (this.selectedDevice.files && Array.isArray(this.selectedDevice.files)) {
             // Sort files: folders first, then files, both alphabetically
             const sortedFiles = [...this.selectedDevice.files].sort((a, b) => {
                 if (a.type === 'folder' && b.type !== 'folder') return -1;
@@ -478,13 +1401,24 @@ class DeviceManager {
                 return a.name.localeCompare(b.name);
             });
 
+            this.fileEntries = sortedFiles;
+            // Ticks only apply to the folder being shown
+            const listed = new Set(sortedFiles.map(file => file.path));
+            for (const path of this.selectedFiles.keys()) {
+                if (!listed.has(path)) this.selectedFiles.delete(path);
+            }
+
             if (sortedFiles.length > 0) {
                 fileBrowser.innerHTML = `
                     <div class="divide-y divide-gray-100">
-                        ${sortedFiles.map(file => `
+                        ${sortedFiles.map((file, index) => `
                             <div class="file-item flex items-center justify-between py-3 px-6 hover:bg-gray-50 transition-colors cursor-pointer" 
-                                 onclick="deviceManager.${file.type === 'folder' ? `browseDirectory('${file.path}')` : `selectFile('${file.path}')`}">
+                                 onclick="deviceManager.openFileEntry(${index})">
                                 <div class="flex items-center flex-1">
+                                    ${this.isSelectable(file) ? `
+                                        <input type="checkbox" class="mr-3" ${this.selectedFiles.has(file.path) ? 'checked' : ''}
+                                               onclick="event.stopPropagation(); deviceManager.toggleFileSelection(${index}, this.checked)">
+                                    ` : '<span class="w-4 mr-3"></span>'}
                                     <div class="w-10 h-10 flex items-center justify-center mr-4">
                                         ${file.type === 'folder' 
                                             ? '<i class="fas fa-folder text-blue-500 text-lg"></i>'
@@ -492,22 +1426,22 @@ class DeviceManager {
                                         }
                                     </div>
                                     <div class="flex-1">
-                                        <p class="text-sm font-medium text-gray-900">${file.name}</p>
+                                        <p class="text-sm font-medium text-gray-900">${this.escapeHtml(file.name)}</p>
                                         <p class="text-xs text-gray-500">
-                                            ${file.type === 'folder' ? 'Folder' : this.formatFileSize(file.size)} • 
-                                            ${new Date(file.lastModified).toLocaleDateString()}
+                                            ${file.type === 'folder' ? 'Folder' : this.formatFileSize(file.size)}
+                                            ${file.lastModified ? ` • ${new Date(file.lastModified).toLocaleDateString()}` : ''}
                                             ${file.source ? ` • ${file.source}` : ''}
                                         </p>
                                     </div>
                                 </div>
                                 <div class="flex items-center space-x-2">
                                     ${file.type !== 'folder' ? `
-                                        <button onclick="event.stopPropagation(); deviceManager.downloadFile('${file.path}')" 
+                                        <button onclick="event.stopPropagation(); deviceManager.downloadFile(deviceManager.fileEntries[${index}].path)" 
                                                 class="text-blue-600 hover:text-blue-700 p-2 rounded-lg hover:bg-blue-50 transition-colors" 
                                                 title="Download">
                                             <i class="fas fa-download"></i>
                                         </button>
-                                        <button onclick="event.stopPropagation(); deviceManager.shareFile('${file.path}')" 
+                                        <button onclick="event.stopPropagation(); deviceManager.shareFile(deviceManager.fileEntries[${index}].path)" 
                                                 class="text-green-600 hover:text-green-700 p-2 rounded-lg hover:bg-green-50 transition-colors" 
                                                 title="Share">
                                             <i class="fas fa-share"></i>
@@ -520,6 +1454,14 @@ class DeviceManager {
                             </div>
                         `).join('')}
                     </div>
+                    ${this.selectedDevice.filesNextCursor ? `
+                        <div class="p-4 text-center border-t border-gray-100">
+                            <button id="load-more-files" onclick="deviceManager.loadMoreFiles()"
+                                    class="text-sm text-blue-600 hover:text-blue-700 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors">
+                                Load more
+                            </button>
+                        </div>
+                    ` : ''}
                 `;
             } else {
                 fileBrowser.innerHTML = `
@@ -538,6 +1480,221 @@ class DeviceManager {
                 </div>
             `;
         }
+        this.updateFileActions();
+    }
+
+    showFileView(view) {
+        this.fileView = view;
+        document.querySelectorAll('.file-view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-file-view') === view);
+        });
+        document.getElementById('folder-view').classList.toggle('hidden', view !== 'folders');
+        document.getElementById('media-view').classList.toggle('hidden', view !== 'media');
+    }
+
+    // The media query described by the filter form
+    getMediaFilters() {
+        const query = {};
+        const mediaType = document.getElementById('media-type').value;
+        if (mediaType) {
+            query.mediaType = [mediaType];
+        }
+        const from = document.getElementById('media-from').value;
+        if (from) {
+            query.createdAfter = new Date(`${from}T00:00`).getTime();
+        }
+        const to = document.getElementById('media-to').value;
+        if (to) {
+            // Up to the end of the chosen day
+            query.createdBefore = new Date(`${to}T00:00`).getTime() + 24 * 60 * 60 * 1000;
+        }
+        const [sortBy, sortOrder] = document.getElementById('media-sort').value.split(':');
+        return { ...query, sortBy, sortOrder };
+    }
+
+    setMediaLayout(layout) {
+        this.mediaLayout = layout;
+        document.querySelectorAll('.media-layout-toggle').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-media-layout') === layout);
+        });
+        this.renderMedia();
+    }
+
+    // The grid shows thumbnails for photos and videos the device can make them for
+    showsThumbnails(file) {
+        return this.mediaLayout === 'grid' && this.hasCapability('thumbnails') &&
+            Boolean(file.id) && ['photo', 'video'].includes(file.mediaType);
+    }
+
+    // Served from the server's cache, which asks the device for ones it doesn't have
+    thumbnailUrl(assetId) {
+        return `/api/devices/${encodeURIComponent(this.currentDeviceId)}/thumbnails/${encodeURIComponent(assetId)}`;
+    }
+
+    // Ask the device for media matching the filters, or with a cursor, for the
+    // next page of the listing already shown
+    async requestMedia({ cursor = null } = {}) {
+        if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
+            alert('Device is not available');
+            return;
+        }
+
+        if (!cursor) {
+            this.mediaQuery = this.getMediaFilters();
+        }
+        this.mediaLoading = cursor ? 'page' : 'query';
+        this.renderMedia();
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-files`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...this.mediaQuery,
+                    ...(cursor ? { cursor } : {}),
+                    // The grid's thumbnails come with the listing rather than one request each
+                    ...(this.mediaLayout === 'grid' && this.hasCapability('thumbnails') ? { thumbnails: true } : {}),
+                    limit: MEDIA_PAGE_SIZE
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to request media');
+            }
+            await this.waitForCommand(result.requestId);
+        } catch (error) {
+            console.error('Error requesting media:', error);
+            alert('Failed to request media: ' + error.message);
+        } finally {
+            this.mediaLoading = null;
+            // The response's device_updated event refreshes the list; this
+            // clears the loading state when there was none
+            this.refreshSelectedDevice();
+        }
+    }
+
+    loadMoreMedia() {
+        const nextCursor = this.selectedDevice?.media?.nextCursor;
+        if (nextCursor && !this.mediaLoading) {
+            this.requestMedia({ cursor: nextCursor });
+        }
+    }
+
+    renderMedia() {
+        const mediaList = document.getElementById('media-list');
+        const media = this.selectedDevice?.media;
+
+        if (this.mediaLoading === 'query') {
+            mediaList.innerHTML = `
+                <div class="p-6 text-center text-gray-500">
+                    <i class="fas fa-spinner fa-spin text-blue-600 text-2xl mb-2 block"></i>
+                    <p>Loading media from device...</p>
+                </div>
+            `;
+            return;
+        }
+        if (this.selectedDevice?.accessErrors?.files) {
+            mediaList.innerHTML = this.renderAccessNotice(this.selectedDevice.accessErrors.files);
+            return;
+        }
+        if (!media) {
+            mediaList.innerHTML = `
+                <div class="p-6 text-center text-gray-500">
+                    <i class="fas fa-images text-4xl mb-2 block text-gray-300"></i>
+                    <p>Click "Refresh" to load the device's media library</p>
+                </div>
+            `;
+            return;
+        }
+        if (media.files.length === 0) {
+            mediaList.innerHTML = `
+                <div class="p-6 text-center text-gray-500">
+                    <i class="fas fa-images text-4xl mb-2 block text-gray-300"></i>
+                    <p>No media matches these filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        mediaList.innerHTML = `
+            <div class="px-6 py-2 text-xs text-gray-500 border-b border-gray-100">
+                Showing ${media.files.length}${media.totalCount != null ? ` of ${media.totalCount}` : ''}
+            </div>
+            ${this.mediaLayout === 'grid' ? this.renderMediaGrid(media.files) : this.renderMediaRows(media.files)}
+            ${media.nextCursor ? `
+                <div class="p-4 text-center text-sm text-gray-500">
+                    ${this.mediaLoading
+                        ? '<i class="fas fa-spinner fa-spin mr-2"></i>Loading more...'
+                        : '<button onclick="deviceManager.loadMoreMedia()" class="text-blue-600 hover:text-blue-700">Load more</button>'}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderMediaRows(files) {
+        return `
+            <div class="divide-y divide-gray-100">
+                ${files.map((file, index) => `
+                    <div class="flex items-center justify-between py-3 px-6 hover:bg-gray-50 transition-colors">
+                        <div class="flex items-center flex-1">
+                            <div class="w-10 h-10 flex items-center justify-center mr-4">
+                                <i class="fas fa-${MEDIA_ICONS[file.mediaType] || 'file'} text-gray-500 text-lg"></i>
+                            </div>
+                            <div class="flex-1">
+                                <p class="text-sm font-medium text-gray-900">${this.escapeHtml(file.filename)}</p>
+                                <p class="text-xs text-gray-500">
+                                    ${file.width && file.height ? `${file.width}×${file.height} • ` : ''}
+                                    ${file.duration ? `${this.formatDuration(Math.round(file.duration))} • ` : ''}
+                                    ${file.creationTime ? new Date(file.creationTime).toLocaleString() : 'Unknown date'}
+                                </p>
+                            </div>
+                        </div>
+                        ${file.path ? `
+                            <button onclick="deviceManager.downloadFile(deviceManager.selectedDevice.media.files[${index}].path)"
+                                    class="text-blue-600 hover:text-blue-700 p-2 rounded-lg hover:bg-blue-50 transition-colors"
+                                    title="Download">
+                                <i class="fas fa-download"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Thumbnails load lazily as the grid scrolls; the icon behind each one
+    // shows while it loads and stays when there is none
+    renderMediaGrid(files) {
+        return `
+            <div class="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-6 gap-2 p-4">
+                ${files.map((file, index) => `
+                    <div class="media-tile group relative bg-gray-100 rounded-lg overflow-hidden">
+                        <div class="absolute inset-0 flex items-center justify-center">
+                            <i class="fas fa-${MEDIA_ICONS[file.mediaType] || 'file'} text-gray-400 text-2xl"></i>
+                        </div>
+                        ${this.showsThumbnails(file) ? `
+                            <img src="${this.thumbnailUrl(file.id)}" alt="" loading="lazy"
+                                 class="absolute inset-0 w-full h-full object-cover" onerror="this.remove()">
+                        ` : ''}
+                        ${file.duration ? `
+                            <span class="absolute top-1 left-1 bg-black bg-opacity-60 text-white text-xs px-1 rounded">
+                                ${this.formatDuration(Math.round(file.duration))}
+                            </span>
+                        ` : ''}
+                        <p class="absolute bottom-0 inset-x-0 bg-black bg-opacity-60 text-white text-xs px-2 py-1 truncate opacity-0 group-hover:opacity-100 transition-opacity">
+                            ${this.escapeHtml(file.filename)}
+                        </p>
+                        ${file.path ? `
+                            <button onclick="deviceManager.downloadFile(deviceManager.selectedDevice.media.files[${index}].path)"
+                                    class="absolute top-1 right-1 bg-white bg-opacity-90 text-blue-600 w-8 h-8 rounded-full opacity-0 group-hover:opacity-100 transition-opacity"
+                                    title="Download">
+                                <i class="fas fa-download"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
     getFileIcon(filename) {
@@ -563,6 +1720,104 @@ class DeviceManager {
         return iconMap[ext] || 'file text-gray-500';
     }
 
+    async loadTransfers() {
+        if (!this.currentDeviceId) return;
+
+        try {
+            const deviceId = this.currentDeviceId;
+            const response = await this.apiFetch(`/api/devices/${deviceId}/transfers`);
+            const result = await response.json();
+
+            for (const [id, transfer] of this.transfers) {
+                if (transfer.deviceId === deviceId) {
+                    this.transfers.delete(id);
+                }
+            }
+            result.transfers.forEach(transfer => this.transfers.set(transfer.id, transfer));
+            this.renderTransfers();
+            this.renderDownloads();
+        } catch (error) {
+            console.error('Error loading transfers:', error);
+        }
+    }
+
+    // Downloads that are part of a zip show as the zip instead
+    getDeviceTransfers() {
+        return [...this.transfers.values()]
+            .filter(transfer => transfer.deviceId === this.currentDeviceId && !transfer.archiveId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Progress of file transfers to and from the selected device. Completed
+    // downloads move to the downloads list.
+    renderTransfers() {
+        const container = document.getElementById('transfer-list');
+        const transfers = this.getDeviceTransfers()
+            .filter(transfer => transfer.status !== 'completed');
+
+        container.classList.toggle('hidden', transfers.length === 0);
+        container.innerHTML = transfers.map(transfer => {
+            const percent = transfer.size ? Math.floor((transfer.transferred / transfer.size) * 100) : 0;
+            const barColor = transfer.status === 'failed' ? 'bg-red-500'
+                : transfer.status === 'completed' ? 'bg-green-500' : 'bg-blue-500';
+            const detail = transfer.status === 'failed'
+                ? this.escapeHtml(transfer.error || 'Failed')
+                : `${this.formatFileSize(transfer.transferred)} of ${transfer.size === null ? '?' : this.formatFileSize(transfer.size)} • ${transfer.status}`;
+            return `
+                <div>
+                    <div class="flex items-center justify-between text-sm">
+                        <span class="text-gray-900 truncate">
+                            <i class="fas fa-${transfer.direction === 'upload' ? 'arrow-up' : 'arrow-down'} text-gray-400 mr-2"></i>
+                            ${this.escapeHtml(transfer.fileName)}
+                        </span>
+                        <span class="text-xs ${transfer.status === 'failed' ? 'text-red-600' : 'text-gray-500'} ml-2">${detail}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                        <div class="${barColor} h-1.5 rounded-full" style="width: ${percent}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Files downloaded from the selected device, in the file browser and the Downloads section
+    renderDownloads() {
+        const downloads = this.getDeviceTransfers()
+            .filter(transfer => transfer.direction !== 'upload' && transfer.status === 'completed');
+
+        const html = downloads.length === 0
+            ? '<p class="text-sm text-gray-500">No downloaded files yet</p>'
+            : downloads.map(transfer => `
+                <div class="flex items-center justify-between p-2 rounded hover:bg-gray-50">
+                    <div class="flex items-center min-w-0">
+                        <i class="fas fa-${this.getFileIcon(transfer.fileName)} mr-3"></i>
+                        <div class="min-w-0">
+                            <p class="text-sm text-gray-900 truncate">${this.escapeHtml(transfer.fileName)}</p>
+                            <p class="text-xs text-gray-500">
+                                ${this.formatFileSize(transfer.size)}${this.describeArchive(transfer)} • ${new Date(transfer.updatedAt).toLocaleString()}
+                            </p>
+                        </div>
+                    </div>
+                    <a href="/api/devices/${encodeURIComponent(transfer.deviceId)}/transfers/${transfer.id}/content"
+                       download
+                       class="text-blue-600 hover:text-blue-800 text-sm ml-2" title="Save">
+                        <i class="fas fa-save mr-1"></i>Save
+                    </a>
+                </div>
+            `).join('');
+
+        document.querySelectorAll('.downloads-list').forEach(container => {
+            container.innerHTML = html;
+        });
+    }
+
+    // How many of a zip's files made it in
+    describeArchive(transfer) {
+        if (transfer.direction !== 'archive' || !transfer.items) return '';
+        const zipped = transfer.items.filter(item => item.status === 'completed').length;
+        return ` • ${zipped} of ${transfer.items.length} files`;
+    }
+
     formatFileSize(bytes) {
         if (!bytes || bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -595,6 +1850,43 @@ class DeviceManager {
         return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+
+    // Explain why the device could not provide a category. Requests the device
+    // owner switched off in the app, and ones the app can't serve at all, are
+    // shown differently from OS permission errors.
+    renderAccessNotice(accessError) {
+        if (accessError.status === 'unsupported') {
+            return `
+                <div class="p-4 text-center text-gray-500">
+                    <i class="fas fa-ban text-gray-400 text-2xl mb-2 block"></i>
+                    <p class="text-sm font-medium text-gray-700 mb-1">Not supported on this device</p>
+                    <p class="text-xs text-gray-500">${this.escapeHtml(accessError.error || 'The app on this device can\'t provide this data')}</p>
+                </div>
+            `;
+        }
+        if (accessError.status === 'denied_by_user') {
+            return `
+                <div class="p-4 text-center text-gray-500">
+                    <i class="fas fa-user-lock text-gray-500 text-2xl mb-2 block"></i>
+                    <p class="text-sm font-medium text-gray-700 mb-1">Blocked by the device user</p>
+                    <p class="text-xs text-gray-500">${this.escapeHtml(accessError.error || 'This data category is turned off in the app\'s Data Sharing Permissions')}</p>
+                </div>
+            `;
+        }
+        return `
+            <div class="p-4 text-center text-gray-500">
+                <i class="fas fa-exclamation-triangle text-yellow-500 text-2xl mb-2 block"></i>
+                <p class="text-sm font-medium text-gray-700 mb-1">Device error</p>
+                <p class="text-xs text-gray-500">${this.escapeHtml(accessError.error || 'The device could not provide this data')}</p>
+            </div>
+        `;
+    }
+
     async takeScreenshot() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
             alert('Device is not available');
@@ -610,14 +1902,13 @@ class DeviceManager {
                 </div>
             `;
             
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/screenshot`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/screenshot`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                // Check for screenshot after delay
-                setTimeout(() => this.checkForScreenshot(), 3000);
+                this.refreshIfUnanswered(result.requestId, () => this.checkForScreenshot());
             } else {
                 document.getElementById('screen-display').innerHTML = `
                     <div class="text-center text-red-500">
@@ -641,7 +1932,7 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/latest-screenshot?t=${Date.now()}`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/latest-screenshot?t=${Date.now()}`);
             if (response.ok) {
                 const blob = await response.blob();
                 const imageUrl = URL.createObjectURL(blob);
@@ -651,10 +1942,14 @@ class DeviceManager {
                 `;
             } else {
                 const errorData = await response.json();
+                if (errorData.status === 'denied_by_user') {
+                    document.getElementById('screen-display').innerHTML = this.renderAccessNotice(errorData);
+                    return;
+                }
                 document.getElementById('screen-display').innerHTML = `
                     <div class="text-center text-red-500">
                         <i class="fas fa-exclamation-triangle text-2xl mb-2 block"></i>
-                        <p class="text-sm">${errorData.error || 'Screenshot not available'}</p>
+                        <p class="text-sm">${this.escapeHtml(errorData.error || 'Screenshot not available')}</p>
                     </div>
                 `;
             }
@@ -698,14 +1993,13 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/screenshot`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/screenshot`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                // Check for screenshot after shorter delay for mirroring
-                setTimeout(() => this.checkForScreenshot(), 1000);
+                this.refreshIfUnanswered(result.requestId, () => this.checkForScreenshot());
             }
         } catch (error) {
             console.error('Error taking screenshot for mirroring:', error);
@@ -731,7 +2025,7 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/start-microphone`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/start-microphone`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ quality: 'medium' })
@@ -749,6 +2043,17 @@ class DeviceManager {
                         </div>
                     </div>
                 `;
+
+                const command = await this.waitForCommand(result.requestId);
+                if (command?.status === 'failed') {
+                    // The device's access errors say whether it refused or can't record at all
+                    const device = await (await this.apiFetch(`/api/devices/${this.currentDeviceId}`)).json();
+                    document.getElementById('start-recording').style.display = 'inline-flex';
+                    document.getElementById('stop-recording').style.display = 'none';
+                    document.getElementById('microphone-status').innerHTML = this.renderAccessNotice(
+                        device.accessErrors?.microphone || { error: command.error }
+                    );
+                }
             }
         } catch (error) {
             console.error('Error starting microphone:', error);
@@ -763,7 +2068,7 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/stop-microphone`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/stop-microphone`, {
                 method: 'POST'
             });
             const result = await response.json();
@@ -785,18 +2090,18 @@ class DeviceManager {
 
     async requestClipboard() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-clipboard');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-clipboard`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-clipboard`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                setTimeout(() => this.loadClipboard(), 2000);
+                this.refreshIfUnanswered(result.requestId, () => this.loadClipboard());
             }
         } catch (error) {
             console.error('Error requesting clipboard:', error);
@@ -808,16 +2113,20 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/clipboard`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/clipboard`);
             const data = await response.json();
-            this.renderClipboard(data.clipboard);
+            this.renderClipboard(data.clipboard, data.accessError);
         } catch (error) {
             console.error('Error loading clipboard:', error);
         }
     }
 
-    renderClipboard(clipboardData = []) {
+    renderClipboard(clipboardData = [], accessError = null) {
         const clipboardList = document.getElementById('clipboard-list');
+        if (accessError) {
+            clipboardList.innerHTML = this.renderAccessNotice(accessError);
+            return;
+        }
         
         if (clipboardData.length > 0) {
             clipboardList.innerHTML = `
@@ -851,18 +2160,18 @@ class DeviceManager {
 
     async requestNotifications() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-notifications');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-notifications`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-notifications`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                setTimeout(() => this.loadNotifications(), 2000);
+                this.refreshIfUnanswered(result.requestId, () => this.loadNotifications());
             }
         } catch (error) {
             console.error('Error requesting notifications:', error);
@@ -874,16 +2183,20 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/notifications`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/notifications`);
             const data = await response.json();
-            this.renderNotifications(data.notifications);
+            this.renderNotifications(data.notifications, data.accessError);
         } catch (error) {
             console.error('Error loading notifications:', error);
         }
     }
 
-    renderNotifications(notifications = []) {
+    renderNotifications(notifications = [], accessError = null) {
         const notificationsList = document.getElementById('notifications-list');
+        if (accessError) {
+            notificationsList.innerHTML = this.renderAccessNotice(accessError);
+            return;
+        }
         
         if (notifications.length > 0) {
             notificationsList.innerHTML = `
@@ -920,18 +2233,18 @@ class DeviceManager {
 
     async requestApps() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-apps');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-apps`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-apps`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                setTimeout(() => this.loadApps(), 2000);
+                this.refreshIfUnanswered(result.requestId, () => this.loadApps());
             }
         } catch (error) {
             console.error('Error requesting apps:', error);
@@ -943,16 +2256,20 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/apps`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/apps`);
             const data = await response.json();
-            this.renderApps(data.apps);
+            this.renderApps(data.apps, data.accessError);
         } catch (error) {
             console.error('Error loading apps:', error);
         }
     }
 
-    renderApps(apps = []) {
+    renderApps(apps = [], accessError = null) {
         const appsList = document.getElementById('apps-list');
+        if (accessError) {
+            appsList.innerHTML = this.renderAccessNotice(accessError);
+            return;
+        }
         
         if (apps.length > 0) {
             appsList.innerHTML = `
@@ -991,18 +2308,18 @@ class DeviceManager {
 
     async requestPermissions() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-permissions');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-permissions`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-permissions`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                setTimeout(() => this.loadPermissions(), 2000);
+                this.refreshIfUnanswered(result.requestId, () => this.loadPermissions());
             }
         } catch (error) {
             console.error('Error requesting permissions:', error);
@@ -1014,16 +2331,20 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/permissions`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/permissions`);
             const data = await response.json();
-            this.renderPermissions(data.permissions);
+            this.renderPermissions(data.permissions, data.accessError);
         } catch (error) {
             console.error('Error loading permissions:', error);
         }
     }
 
-    renderPermissions(permissions = []) {
+    renderPermissions(permissions = [], accessError = null) {
         const permissionsList = document.getElementById('permissions-list');
+        if (accessError) {
+            permissionsList.innerHTML = this.renderAccessNotice(accessError);
+            return;
+        }
         
         if (permissions.length > 0) {
             permissionsList.innerHTML = `
@@ -1061,18 +2382,18 @@ class DeviceManager {
 
     async requestWifi() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-wifi');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-wifi`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-wifi`, {
                 method: 'POST'
             });
             const result = await response.json();
             
             if (result.success) {
-                setTimeout(() => this.loadWifi(), 2000);
+                this.refreshIfUnanswered(result.requestId, () => this.loadWifi());
             }
         } catch (error) {
             console.error('Error requesting wifi:', error);
@@ -1084,16 +2405,20 @@ class DeviceManager {
         if (!this.currentDeviceId) return;
         
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/wifi`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/wifi`);
             const data = await response.json();
-            this.renderWifi(data.networks, data.currentNetwork);
+            this.renderWifi(data.networks, data.currentNetwork, data.accessError);
         } catch (error) {
             console.error('Error loading wifi:', error);
         }
     }
 
-    renderWifi(networks = [], currentNetwork = null) {
+    renderWifi(networks = [], currentNetwork = null, accessError = null) {
         const wifiList = document.getElementById('wifi-list');
+        if (accessError) {
+            wifiList.innerHTML = this.renderAccessNotice(accessError);
+            return;
+        }
         
         if (networks.length > 0) {
             wifiList.innerHTML = `
@@ -1124,6 +2449,26 @@ class DeviceManager {
                     `).join('')}
                 </div>
             `;
+        } else if (currentNetwork) {
+            // Devices that can't scan only report the connection they are on
+            wifiList.innerHTML = `
+                <div class="p-4">
+                    <div class="flex items-center justify-between">
+                        <div class="flex items-center">
+                            <div class="w-8 h-8 ${currentNetwork.isConnected ? 'bg-green-100' : 'bg-gray-100'} rounded-full flex items-center justify-center mr-3">
+                                <i class="fas fa-${currentNetwork.type === 'CELLULAR' ? 'signal' : 'wifi'} text-${currentNetwork.isConnected ? 'green' : 'gray'}-600 text-xs"></i>
+                            </div>
+                            <div>
+                                <p class="text-sm font-medium text-gray-900">${this.escapeHtml(currentNetwork.ssid || currentNetwork.type || 'Unknown network')}</p>
+                                <p class="text-xs text-gray-500">IP address: ${this.escapeHtml(currentNetwork.ipAddress || 'unknown')}</p>
+                            </div>
+                        </div>
+                        <span class="text-xs px-2 py-1 rounded-full ${currentNetwork.isConnected ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}">
+                            ${currentNetwork.isConnected ? (currentNetwork.isInternetReachable === false ? 'No internet' : 'Connected') : 'Disconnected'}
+                        </span>
+                    </div>
+                </div>
+            `;
         } else {
             wifiList.innerHTML = `
                 <div class="p-4 text-center text-gray-500">
@@ -1142,53 +2487,71 @@ class DeviceManager {
             return;
         }
 
+        const requestIds = [];
         for (const file of files) {
             const formData = new FormData();
             formData.append('file', file);
             formData.append('targetPath', this.currentPath);
 
             try {
-                const response = await fetch(`/api/devices/${this.currentDeviceId}/upload-file`, {
+                const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/upload-file`, {
                     method: 'POST',
                     body: formData
                 });
                 
                 const result = await response.json();
                 if (result.success) {
+                    requestIds.push(result.requestId);
                     console.log(`File ${file.name} uploaded successfully`);
                 } else {
-                    console.error(`Failed to upload ${file.name}`);
+                    console.error(`Failed to upload ${file.name}:`, result.error);
+                    alert(`Failed to upload ${file.name}: ${result.error}`);
                 }
             } catch (error) {
                 console.error(`Error uploading ${file.name}:`, error);
             }
         }
         
-        // Clear the input and refresh files
+        // Clear the input and refresh files once the device has saved them
         event.target.value = '';
-        setTimeout(() => this.requestFiles(), 1000);
+        await Promise.all(requestIds.map(requestId => this.waitForCommand(requestId)));
+        this.browseDirectory(this.currentPath);
         alert('Files uploaded successfully');
     }
 
-    async browseDirectory(path) {
+    // List a folder on the device. With a cursor, fetch the next page of the
+    // folder already shown.
+    async browseDirectory(path, { cursor = null, recordHistory = true } = {}) {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
             alert('Device is not available for browsing');
             return;
         }
 
         try {
-            // Add current path to history for back navigation
-            if (this.currentPath !== path) {
-                this.pathHistory.push(this.currentPath);
-            }
-
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/browse-directory`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/browse-directory`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ path })
+                body: JSON.stringify(cursor ? { path, cursor } : { path })
             });
             
-            if (response.ok) {
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to browse directory');
+            }
+
+            if (cursor) {
+                const loadMore = document.getElementById('load-more-files');
+                if (loadMore) {
+                    loadMore.disabled = true;
+                    loadMore.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Loading...';
+                }
+            } else {
+                // Add current path to history for back navigation
+                if (recordHistory && this.currentPath !== path) {
+                    this.pathHistory.push(this.currentPath);
+                }
+
                 // Show loading state
                 document.getElementById('file-browser').innerHTML = `
                     <div class="p-6 text-center text-gray-500">
@@ -1200,23 +2563,38 @@ class DeviceManager {
                 // Update current path immediately
                 this.currentPath = path;
                 document.getElementById('current-path').textContent = path;
-                document.getElementById('go-back').disabled = this.pathHistory.length === 0;
-                
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 2000);
-            } else {
-                throw new Error('Failed to browse directory');
+                document.getElementById('go-back').disabled = path === '/' && this.pathHistory.length === 0;
             }
+            
+            this.refreshIfUnanswered(result.requestId, () => this.refreshSelectedDevice());
         } catch (error) {
             console.error('Error browsing directory:', error);
             alert('Failed to browse directory: ' + error.message);
         }
     }
 
+    loadMoreFiles() {
+        if (this.selectedDevice?.filesNextCursor) {
+            this.browseDirectory(this.currentPath, { cursor: this.selectedDevice.filesNextCursor });
+        }
+    }
+
+    // Back through the folders visited, or up to the parent once there is no history
     goBackDirectory() {
         if (this.pathHistory.length > 0) {
-            const previousPath = this.pathHistory.pop();
-            this.browseDirectory(previousPath);
+            this.browseDirectory(this.pathHistory.pop(), { recordHistory: false });
+        } else if (this.currentPath !== '/') {
+            this.browseDirectory(this.currentPath.replace(/\/[^/]*\/?$/, '') || '/', { recordHistory: false });
+        }
+    }
+
+    openFileEntry(index) {
+        const entry = this.fileEntries[index];
+        if (!entry) return;
+        if (entry.type === 'folder') {
+            this.browseDirectory(entry.path);
+        } else {
+            this.selectFile(entry.path);
         }
     }
 
@@ -1233,7 +2611,7 @@ class DeviceManager {
             return;
         }
         
-        fetch(`/api/devices/${this.currentDeviceId}/download-file`, {
+        this.apiFetch(`/api/devices/${this.currentDeviceId}/download-file`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ filePath })
@@ -1241,9 +2619,10 @@ class DeviceManager {
         .then(response => response.json())
         .then(result => {
             if (result.success) {
-                alert('File download request sent. Check server logs for file content.');
+                // Progress shows in the transfer list above the files
+                console.log(`Downloading ${filePath} as transfer ${result.transferId}`);
             } else {
-                alert('Failed to request file download');
+                alert(result.error || 'Failed to request file download');
             }
         })
         .catch(error => {
@@ -1252,13 +2631,144 @@ class DeviceManager {
         });
     }
 
+    isAppStoragePath(path) {
+        return APP_STORAGE_ROOTS.some(root => path === root || path.startsWith(`${root}/`));
+    }
+
+    // Files can be ticked anywhere for a zip download; folders only where
+    // they can be renamed, moved or deleted
+    isSelectable(file) {
+        return file.type !== 'folder' || (this.isAppStoragePath(file.path) && !APP_STORAGE_ROOTS.includes(file.path));
+    }
+
+    toggleFileSelection(index, selected) {
+        const entry = this.fileEntries[index];
+        if (!entry) return;
+        if (selected) {
+            this.selectedFiles.set(entry.path, entry);
+        } else {
+            this.selectedFiles.delete(entry.path);
+        }
+        this.updateFileActions();
+    }
+
+    clearFileSelection() {
+        this.selectedFiles.clear();
+        this.renderFiles();
+    }
+
+    // Show the bulk action bar for the ticked entries, with the actions that
+    // apply to all of them
+    updateFileActions() {
+        const selected = [...this.selectedFiles.values()];
+        const inAppStorage = selected.every(entry => this.isAppStoragePath(entry.path));
+        document.getElementById('file-actions').classList.toggle('hidden', selected.length === 0);
+        document.getElementById('file-selection-count').textContent =
+            `${selected.length} selected`;
+        document.getElementById('bulk-download').disabled = selected.some(entry => entry.type === 'folder');
+        document.getElementById('bulk-rename').disabled = selected.length !== 1 || !inAppStorage;
+        document.getElementById('bulk-move').disabled = !inAppStorage;
+        document.getElementById('bulk-delete').disabled = !inAppStorage;
+        document.getElementById('new-folder').classList.toggle('hidden', !this.isAppStoragePath(this.currentPath));
+    }
+
+    // The zip is built on the server; it shows in the transfer list while the
+    // files arrive and in the downloads once it is ready
+    async downloadSelectedFiles() {
+        if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
+            alert('Device is not available for file download');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/files/download`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ paths: [...this.selectedFiles.keys()] })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to start the download');
+            }
+            this.clearFileSelection();
+        } catch (error) {
+            console.error('Error downloading files:', error);
+            alert('Failed to download files: ' + error.message);
+        }
+    }
+
+    renameSelectedFile() {
+        const [entry] = this.selectedFiles.values();
+        const name = prompt('New name', entry.name);
+        if (name && name !== entry.name) {
+            this.runFileOperation('rename', { path: entry.path, name });
+        }
+    }
+
+    moveSelectedFiles() {
+        const destination = prompt('Move to folder', this.currentPath);
+        if (destination && destination !== this.currentPath) {
+            this.runFileOperation('move', { paths: [...this.selectedFiles.keys()], destination });
+        }
+    }
+
+    deleteSelectedFiles() {
+        const count = this.selectedFiles.size;
+        if (confirm(`Delete ${count} item${count === 1 ? '' : 's'} from the device? This cannot be undone.`)) {
+            this.runFileOperation('delete', { paths: [...this.selectedFiles.keys()] });
+        }
+    }
+
+    createFolder() {
+        const name = prompt('Folder name');
+        if (name) {
+            this.runFileOperation('create-folder', { path: this.currentPath, name });
+        }
+    }
+
+    // Send a file operation, report the items the device could not change,
+    // then list the folder again
+    async runFileOperation(operation, body) {
+        if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
+            alert('Device is not available');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/files/${operation}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+
+            const command = await this.waitForCommand(result.requestId);
+            if (command?.status !== 'completed') {
+                throw new Error(command?.error || 'The device did not answer');
+            }
+            const failures = (command.results || []).filter(item => !item.success);
+            if (failures.length > 0) {
+                alert(`${failures.length} item${failures.length === 1 ? '' : 's'} could not be changed:\n` +
+                    failures.map(item => `${item.path}: ${item.error}`).join('\n'));
+            }
+            this.selectedFiles.clear();
+            this.browseDirectory(this.currentPath, { recordHistory: false });
+        } catch (error) {
+            console.error(`Error running ${operation}:`, error);
+            alert(`Failed to ${operation.replace('-', ' ')}: ${error.message}`);
+        }
+    }
+
     shareFile(filePath) {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
             alert('Device is not available for file sharing');
             return;
         }
         
-        fetch(`/api/devices/${this.currentDeviceId}/share-file`, {
+        this.apiFetch(`/api/devices/${this.currentDeviceId}/share-file`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ filePath })
@@ -1279,12 +2789,12 @@ class DeviceManager {
 
     async requestLocation() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-location');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-location`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-location`, {
                 method: 'POST'
             });
             const result = await response.json();
@@ -1298,8 +2808,7 @@ class DeviceManager {
                     </div>
                 `;
                 
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 3000);
+                this.refreshIfUnanswered(result.requestId, () => this.refreshSelectedDevice());
             }
         } catch (error) {
             console.error('Error requesting location:', error);
@@ -1309,12 +2818,12 @@ class DeviceManager {
 
     async requestContacts() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-contacts');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-contacts`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-contacts`, {
                 method: 'POST'
             });
             const result = await response.json();
@@ -1328,8 +2837,7 @@ class DeviceManager {
                     </div>
                 `;
                 
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 3000);
+                this.refreshIfUnanswered(result.requestId, () => this.refreshSelectedDevice());
             }
         } catch (error) {
             console.error('Error requesting contacts:', error);
@@ -1339,12 +2847,12 @@ class DeviceManager {
 
     async requestSMS() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-sms');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-sms`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-sms`, {
                 method: 'POST'
             });
             const result = await response.json();
@@ -1358,8 +2866,7 @@ class DeviceManager {
                     </div>
                 `;
                 
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 3000);
+                this.refreshIfUnanswered(result.requestId, () => this.refreshSelectedDevice());
             }
         } catch (error) {
             console.error('Error requesting SMS:', error);
@@ -1369,12 +2876,12 @@ class DeviceManager {
 
     async requestCallLog() {
         if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
+            this.offerToQueue('request-call-log');
             return;
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-call-log`, {
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/request-call-log`, {
                 method: 'POST'
             });
             const result = await response.json();
@@ -1388,8 +2895,7 @@ class DeviceManager {
                     </div>
                 `;
                 
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 3000);
+                this.refreshIfUnanswered(result.requestId, () => this.refreshSelectedDevice());
             }
         } catch (error) {
             console.error('Error requesting call log:', error);
@@ -1397,39 +2903,6 @@ class DeviceManager {
         }
     }
 
-    async requestFiles() {
-        if (!this.currentDeviceId || !this.selectedDevice?.isOnline) {
-            alert('Device is not available');
-            return;
-        }
-
-        try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/request-files`, {
-                method: 'POST'
-            });
-            const result = await response.json();
-            
-            if (result.success) {
-                // Show loading state
-                document.getElementById('file-browser').innerHTML = `
-                    <div class="p-6 text-center text-gray-500">
-                        <i class="fas fa-spinner fa-spin text-blue-600 text-2xl mb-2 block"></i>
-                        <p>Loading files from device...</p>
-                    </div>
-                `;
-                
-                // Reset path history when refreshing
-                this.pathHistory = [];
-                
-                // Refresh device data after a short delay
-                setTimeout(() => this.selectDevice(this.currentDeviceId), 3000);
-            }
-        } catch (error) {
-            console.error('Error requesting files:', error);
-            alert('Failed to request files');
-        }
-    }
-
     async downloadContacts() {
         if (!this.currentDeviceId) {
             alert('No device selected');
@@ -1437,7 +2910,7 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/contacts/download`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/contacts/download`);
             const blob = await response.blob();
             
             const url = window.URL.createObjectURL(blob);
@@ -1462,7 +2935,7 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/sms/download`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/sms/download`);
             const blob = await response.blob();
             
             const url = window.URL.createObjectURL(blob);
@@ -1487,7 +2960,7 @@ class DeviceManager {
         }
 
         try {
-            const response = await fetch(`/api/devices/${this.currentDeviceId}/call-log/download`);
+            const response = await this.apiFetch(`/api/devices/${this.currentDeviceId}/call-log/download`);
             const blob = await response.blob();
             
             const url = window.URL.createObjectURL(blob);
@@ -0,0 +1,18 @@
+// Usage: npm run create-operator -- <username> <password>
+// Creates the operator, or resets the password if the operator already exists.
+const { setOperatorPassword } = require('../lib/auth');
+
+const [username, password] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Usage: npm run create-operator -- <username> <password>');
+  process.exit(1);
+}
+
+if (password.length < 8) {
+  console.error('Password must be at least 8 characters');
+  process.exit(1);
+}
+
+setOperatorPassword(username, password);
+console.log(`Operator "${username}" saved`);
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordAuditEntry, verifyAuditLog, queryAuditLog } = require('../lib/audit');
+
+const logPath = path.join(process.env.DATA_DIR, 'audit.log');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function record(action, outcome, extra = {}) {
+  return recordAuditEntry({
+    operator: 'admin',
+    deviceId: 'device-1',
+    action,
+    parameters: {},
+    outcome,
+    statusCode: 200,
+    ...extra,
+  });
+}
+
+test('entries are chained and verify', () => {
+  const first = record('request-location', 'success', { requestId: 'r1' });
+  const second = record('request-location', 'denied', { requestId: 'r1', statusCode: null, commandStatus: 'failed', error: 'Off' });
+
+  assert.strictEqual(second.prevHash, first.hash);
+  assert.strictEqual(second.commandStatus, 'failed');
+  assert.strictEqual(first.commandStatus, null);
+  assert.deepStrictEqual(verifyAuditLog(), { valid: true, entries: 2, lastHash: second.hash });
+});
+
+test('entries are queried newest first and filtered', () => {
+  record('request-apps', 'failed');
+  const entries = queryAuditLog({ action: 'request-location' });
+  assert.deepStrictEqual(entries.map(entry => entry.outcome), ['denied', 'success']);
+  assert.strictEqual(queryAuditLog({ outcome: 'failed' }).length, 1);
+  assert.strictEqual(queryAuditLog({ limit: 1 }).length, 1);
+});
+
+test('an edited entry breaks the chain', () => {
+  const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+  const edited = JSON.parse(lines[1]);
+  edited.outcome = 'success';
+  lines[1] = JSON.stringify(edited);
+  fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+
+  assert.deepStrictEqual(verifyAuditLog(), { valid: false, entries: 3, brokenAt: 2, reason: 'Entry was modified' });
+});
+
+test('a removed entry breaks the chain', () => {
+  const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+  fs.writeFileSync(logPath, `${[lines[0], lines[2]].join('\n')}\n`);
+
+  assert.deepStrictEqual(verifyAuditLog(), { valid: false, entries: 2, brokenAt: 2, reason: 'Chain link mismatch' });
+});
+
+test('an unreadable line breaks the chain', () => {
+  fs.writeFileSync(logPath, 'not json\n');
+  assert.strictEqual(verifyAuditLog().reason, 'Unreadable entry');
+});
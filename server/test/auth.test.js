@@ -0,0 +1,79 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../lib/config');
+const auth = require('../lib/auth');
+
+function fakeResponse(secure = false) {
+  const headers = {};
+  return {
+    headers,
+    req: { secure },
+    setHeader: (name, value) => { headers[name] = value; },
+  };
+}
+
+test('operators log in with their password only', () => {
+  auth.setOperatorPassword('alice', 'correct horse');
+  assert.strictEqual(auth.login('alice', 'wrong'), null);
+  assert.strictEqual(auth.login('nobody', 'correct horse'), null);
+
+  const session = auth.login('alice', 'correct horse');
+  assert.strictEqual(session.username, 'alice');
+  assert.strictEqual(auth.getSession(session.token), session);
+
+  auth.logout(session.token);
+  assert.strictEqual(auth.getSession(session.token), null);
+});
+
+test('expired sessions are rejected', () => {
+  auth.setOperatorPassword('bob', 'hunter2');
+  const session = auth.login('bob', 'hunter2');
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(auth.getSession(session.token), null);
+});
+
+test('the token comes from a bearer header or the session cookie', () => {
+  assert.strictEqual(auth.getRequestToken({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.strictEqual(auth.getRequestToken({ headers: { cookie: 'theme=dark; session=def' } }), 'def');
+  assert.strictEqual(auth.getRequestToken({ headers: {} }), null);
+});
+
+test('malformed cookies are skipped instead of throwing', () => {
+  assert.strictEqual(auth.getRequestToken({ headers: { cookie: 'session=%E0%A4%A' } }), null);
+  assert.strictEqual(auth.getRequestToken({ headers: { cookie: 'bad=%E0%A4%A; session=abc' } }), 'abc');
+});
+
+test('requireAuth answers 401 for a bad cookie', () => {
+  let statusCode = null;
+  let nextCalled = false;
+  const res = {
+    status(code) { statusCode = code; return this; },
+    json() { return this; },
+  };
+  auth.requireAuth({ headers: { cookie: 'session=%E0%A4%A' } }, res, () => { nextCalled = true; });
+  assert.strictEqual(statusCode, 401);
+  assert.strictEqual(nextCalled, false);
+});
+
+test('the session cookie is Secure over https only', () => {
+  const session = { token: 'abc' };
+
+  const plain = fakeResponse();
+  auth.setSessionCookie(plain, session);
+  assert.doesNotMatch(plain.headers['Set-Cookie'], /Secure/);
+
+  const proxied = fakeResponse(true);
+  auth.setSessionCookie(proxied, session);
+  assert.match(proxied.headers['Set-Cookie'], /; Secure/);
+
+  config.tls = true;
+  try {
+    const direct = fakeResponse();
+    auth.clearSessionCookie(direct);
+    assert.match(direct.headers['Set-Cookie'], /; Secure/);
+  } finally {
+    config.tls = false;
+  }
+});
@@ -0,0 +1,71 @@
+process.env.COMMAND_TIMEOUT_SECONDS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  sendCommand,
+  trackDeviceMessage,
+  failPendingCommands,
+  waitForCommand,
+  getCommand,
+} = require('../lib/commands');
+
+function fakeDevice(id = 'device-1') {
+  const sent = [];
+  return { id, sent, ws: { send: message => sent.push(JSON.parse(message)) } };
+}
+
+test('a command is sent with its requestId and completes on the response', async () => {
+  const device = fakeDevice();
+  const command = sendCommand(device, 'request_location', {}, 'admin');
+  assert.deepStrictEqual(device.sent[0], { type: 'request_location', requestId: command.requestId, operator: 'admin', data: {} });
+
+  trackDeviceMessage(device.id, { type: 'ack', requestId: command.requestId });
+  assert.strictEqual(getCommand(command.requestId).status, 'acknowledged');
+
+  trackDeviceMessage(device.id, { type: 'location_response', requestId: command.requestId, data: { latitude: 1, longitude: 2 } });
+  const finished = await waitForCommand(command.requestId);
+  assert.strictEqual(finished.status, 'completed');
+  assert.strictEqual(finished.error, null);
+});
+
+test('a refusal fails the command and records why', async () => {
+  const device = fakeDevice();
+  const denied = sendCommand(device, 'request_location', {});
+  const unsupported = sendCommand(device, 'request_apps', {});
+
+  trackDeviceMessage(device.id, {
+    type: 'location_response',
+    requestId: denied.requestId,
+    data: { status: 'denied_by_user', error: 'Location sharing is off' },
+  });
+  trackDeviceMessage(device.id, {
+    type: 'apps_response',
+    requestId: unsupported.requestId,
+    data: { status: 'unsupported', error: 'Not supported' },
+  });
+
+  const deniedResult = await waitForCommand(denied.requestId);
+  assert.strictEqual(deniedResult.status, 'failed');
+  assert.strictEqual(deniedResult.refusal, 'denied_by_user');
+  assert.strictEqual(deniedResult.error, 'Location sharing is off');
+  assert.strictEqual((await waitForCommand(unsupported.requestId)).refusal, 'unsupported');
+});
+
+test('responses from another device are ignored', () => {
+  const command = sendCommand(fakeDevice('device-1'), 'request_wifi', {});
+  trackDeviceMessage('device-2', { type: 'wifi_response', requestId: command.requestId, data: [] });
+  assert.strictEqual(getCommand(command.requestId).status, 'sent');
+  failPendingCommands('device-1', 'Device disconnected');
+  assert.strictEqual(getCommand(command.requestId).error, 'Device disconnected');
+});
+
+test('a command the device never answers times out', async () => {
+  const command = sendCommand(fakeDevice(), 'request_wifi', {});
+  const pending = waitForCommand(command.requestId);
+  // Command timers don't keep the process alive on their own
+  const timeout = setTimeout(() => {}, 2000);
+  const result = await pending;
+  clearTimeout(timeout);
+  assert.strictEqual(result.status, 'timed_out');
+});
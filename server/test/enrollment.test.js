@@ -0,0 +1,49 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnrollmentCode, enrollDevice, createChallenge, verifyDeviceProof } = require('../lib/enrollment');
+
+function proofFor(nonce, secret) {
+  return crypto.createHash('sha256').update(`${nonce}:${secret}`).digest('hex');
+}
+
+test('an enrollment code is used once, however it is typed', () => {
+  const { code, createdBy } = createEnrollmentCode('admin');
+  assert.match(code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  assert.strictEqual(createdBy, 'admin');
+
+  const enrolled = enrollDevice(` ${code.toLowerCase().replace('-', '')} `);
+  assert.ok(enrolled.deviceId);
+  assert.match(enrolled.deviceSecret, /^[0-9a-f]{64}$/);
+  assert.strictEqual(enrollDevice(code), null);
+});
+
+test('unknown and expired codes are refused', () => {
+  assert.strictEqual(enrollDevice('AAAA-AAAA'), null);
+
+  const entry = createEnrollmentCode('admin');
+  entry.expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(enrollDevice(entry.code), null);
+});
+
+test('a device proves it holds its secret for the current challenge', () => {
+  const { deviceId, deviceSecret } = enrollDevice(createEnrollmentCode('admin').code);
+  const nonce = createChallenge();
+
+  assert.strictEqual(verifyDeviceProof(deviceId, nonce, proofFor(nonce, deviceSecret)), true);
+  assert.strictEqual(verifyDeviceProof(deviceId, createChallenge(), proofFor(nonce, deviceSecret)), false);
+  assert.strictEqual(verifyDeviceProof(deviceId, nonce, proofFor(nonce, 'wrong secret')), false);
+});
+
+test('malformed proofs and unknown devices are refused', () => {
+  const { deviceId, deviceSecret } = enrollDevice(createEnrollmentCode('admin').code);
+  const nonce = createChallenge();
+
+  assert.strictEqual(verifyDeviceProof('unknown-device', nonce, proofFor(nonce, deviceSecret)), false);
+  assert.strictEqual(verifyDeviceProof(deviceId, null, proofFor(null, deviceSecret)), false);
+  assert.strictEqual(verifyDeviceProof(deviceId, nonce, undefined), false);
+  assert.strictEqual(verifyDeviceProof(deviceId, nonce, 'not hex'), false);
+  assert.strictEqual(verifyDeviceProof(deviceId, nonce, proofFor(nonce, deviceSecret).slice(0, 32)), false);
+});
@@ -0,0 +1,73 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getTags,
+  setTags,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  getGroup,
+  listGroups,
+  getGroupMembers,
+} = require('../lib/groups');
+
+test('tags are trimmed and deduplicated, and invalid lists are refused', () => {
+  assert.deepStrictEqual(setTags('device-1', [' lab ', 'lab', '', 'android']), { tags: ['lab', 'android'] });
+  assert.deepStrictEqual(getTags('device-1'), ['lab', 'android']);
+
+  assert.ok(setTags('device-1', ['x'.repeat(33)]).error);
+  assert.ok(setTags('device-1', 'lab').error);
+  assert.ok(setTags('device-1', [42]).error);
+  assert.deepStrictEqual(getTags('device-1'), ['lab', 'android']);
+
+  assert.deepStrictEqual(setTags('device-1', []), { tags: [] });
+  assert.deepStrictEqual(getTags('device-1'), []);
+});
+
+test('groups need a name and valid devices and tags', () => {
+  assert.ok(createGroup({ tags: ['lab'] }, 'admin').error);
+  assert.ok(createGroup({ name: '   ' }, 'admin').error);
+  assert.ok(createGroup({ name: 'x'.repeat(101) }, 'admin').error);
+  assert.ok(createGroup({ name: 'Lab', deviceIds: [''] }, 'admin').error);
+  assert.ok(createGroup({ name: 'Lab', tags: ['x'.repeat(33)] }, 'admin').error);
+});
+
+test('a group includes its listed devices and every device with one of its tags', () => {
+  setTags('tagged-phone', ['field']);
+  setTags('other-phone', ['office']);
+  const { group } = createGroup({ name: ' Field phones ', deviceIds: ['listed-phone', 'listed-phone'], tags: ['field'] }, 'admin');
+
+  assert.strictEqual(group.name, 'Field phones');
+  assert.deepStrictEqual(group.deviceIds, ['listed-phone']);
+  assert.deepStrictEqual(getGroupMembers(group).sort(), ['listed-phone', 'tagged-phone']);
+
+  setTags('other-phone', ['office', 'field']);
+  assert.deepStrictEqual(getGroupMembers(group).sort(), ['listed-phone', 'other-phone', 'tagged-phone']);
+});
+
+test('updates keep the fields they leave out', () => {
+  const { group } = createGroup({ name: 'Updates', deviceIds: ['phone-a'], tags: ['lab'] }, 'admin');
+
+  updateGroup(group, { name: 'Renamed' });
+  assert.deepStrictEqual([group.name, group.deviceIds, group.tags], ['Renamed', ['phone-a'], ['lab']]);
+
+  updateGroup(group, { tags: [] });
+  assert.deepStrictEqual([group.name, group.deviceIds, group.tags], ['Renamed', ['phone-a'], []]);
+
+  assert.ok(updateGroup(group, { name: '' }).error);
+  assert.strictEqual(group.name, 'Renamed');
+});
+
+test('groups are listed by name until deleted', () => {
+  const { group: zulu } = createGroup({ name: 'Zulu' }, 'admin');
+  const { group: alpha } = createGroup({ name: 'Alpha' }, 'admin');
+  const names = listGroups().map(group => group.name);
+  assert.ok(names.indexOf('Alpha') < names.indexOf('Zulu'));
+
+  assert.strictEqual(deleteGroup(alpha.id), true);
+  assert.strictEqual(deleteGroup(alpha.id), false);
+  assert.strictEqual(getGroup(alpha.id), null);
+  assert.strictEqual(getGroup(zulu.id), zulu);
+});
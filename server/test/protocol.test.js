@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateDeviceMessage, negotiateProtocolVersion, SUPPORTED_PROTOCOL_VERSIONS } = require('../lib/protocol');
+
+const register = (data) => ({
+  type: 'register',
+  data: { deviceName: 'Pixel', platform: 'Android', protocolVersions: [1], ...data },
+});
+
+test('a register message with the known fields is valid', () => {
+  assert.strictEqual(validateDeviceMessage(register({
+    deviceId: 'device-1',
+    proof: 'abc',
+    brand: 'Google',
+    model: 'Pixel 8',
+    systemVersion: '14',
+    capabilities: ['location'],
+  })), null);
+});
+
+test('register rejects fields the server owns or does not know', () => {
+  assert.match(validateDeviceMessage(register({ ws: 'pwned' })), /must NOT have additional properties/);
+  assert.match(validateDeviceMessage(register({ accessErrors: 5 })), /must NOT have additional properties/);
+  assert.match(validateDeviceMessage(register({ isOnline: true })), /must NOT have additional properties/);
+});
+
+test('register needs a device name and platform', () => {
+  assert.match(validateDeviceMessage({ type: 'register', data: { platform: 'Android' } }), /deviceName/);
+});
+
+test('unknown and shapeless messages are rejected', () => {
+  assert.strictEqual(validateDeviceMessage(null), 'Message must be an object with a type');
+  assert.strictEqual(validateDeviceMessage({ data: {} }), 'Message must be an object with a type');
+  assert.strictEqual(validateDeviceMessage({ type: 'take_over' }), 'Unknown message type "take_over"');
+});
+
+test('responses are checked against their schema', () => {
+  assert.strictEqual(validateDeviceMessage({ type: 'ping' }), null);
+  assert.match(validateDeviceMessage({ type: 'apps_response', requestId: 'r1', data: 'apps' }), /^Invalid apps_response/);
+});
+
+test('the highest shared protocol version is picked', () => {
+  const latest = Math.max(...SUPPORTED_PROTOCOL_VERSIONS);
+  assert.strictEqual(negotiateProtocolVersion([1, latest, latest + 1]), latest);
+  assert.strictEqual(negotiateProtocolVersion(), 1);
+  assert.strictEqual(negotiateProtocolVersion([latest + 1]), null);
+});
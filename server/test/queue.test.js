@@ -0,0 +1,61 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  queueCommand,
+  deliverQueuedCommands,
+  cancelQueuedCommand,
+  expireQueuedCommands,
+  listQueuedCommands,
+} = require('../lib/queue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function inAnHour() {
+  return new Date(Date.now() + HOUR_MS);
+}
+
+test('queued commands are delivered oldest first, once', async () => {
+  const first = queueCommand('device-deliver', 'request_location', {}, 'admin', inAnHour());
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = queueCommand('device-deliver', 'request_apps', {}, 'admin', inAnHour());
+
+  const delivered = [];
+  deliverQueuedCommands('device-deliver', entry => {
+    delivered.push(entry.requestId);
+    return null;
+  });
+  assert.deepStrictEqual(delivered, [first.requestId, second.requestId]);
+  assert.deepStrictEqual(listQueuedCommands('device-deliver').map(entry => entry.status), ['delivered', 'delivered']);
+
+  deliverQueuedCommands('device-deliver', () => assert.fail('delivered twice'));
+});
+
+test('a command the device refuses is marked refused with the reason', () => {
+  const entry = queueCommand('device-refuse', 'request_sms', {}, 'admin', inAnHour());
+
+  deliverQueuedCommands('device-refuse', () => 'SMS access is switched off on the device');
+  assert.strictEqual(entry.status, 'refused');
+  assert.strictEqual(entry.error, 'SMS access is switched off on the device');
+});
+
+test('commands past their expiry are not delivered', () => {
+  const entry = queueCommand('device-expire', 'request_location', {}, 'admin', new Date(Date.now() - 1000));
+
+  deliverQueuedCommands('device-expire', () => assert.fail('delivered an expired command'));
+  assert.strictEqual(entry.status, 'expired');
+
+  const waiting = queueCommand('device-expire', 'request_location', {}, 'admin', new Date(Date.now() - 1000));
+  expireQueuedCommands();
+  assert.strictEqual(waiting.status, 'expired');
+});
+
+test('only a waiting command of the same device can be cancelled', () => {
+  const entry = queueCommand('device-cancel', 'request_location', {}, 'admin', inAnHour());
+
+  assert.strictEqual(cancelQueuedCommand('another-device', entry.requestId), null);
+  assert.strictEqual(cancelQueuedCommand('device-cancel', 'unknown'), null);
+  assert.strictEqual(cancelQueuedCommand('device-cancel', entry.requestId).status, 'cancelled');
+  assert.strictEqual(cancelQueuedCommand('device-cancel', entry.requestId), null);
+});
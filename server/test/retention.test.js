@@ -0,0 +1,57 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../lib/store');
+const { loadRetentionPolicies, getRetentionPolicy, isExpired, limitList } = require('../lib/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.afterEach(() => {
+  store.save('retention', {});
+  loadRetentionPolicies();
+});
+
+test('built-in policies apply until overrides are loaded', () => {
+  assert.deepStrictEqual(getRetentionPolicy('clipboard'), { maxCount: 50, maxAgeDays: null });
+  assert.deepStrictEqual(getRetentionPolicy('transfers'), { maxCount: null, maxAgeDays: 30 });
+  assert.deepStrictEqual(getRetentionPolicy('location'), { maxCount: null, maxAgeDays: null });
+});
+
+test('category overrides win over the default override and built-in policies', () => {
+  store.save('retention', { default: { maxAgeDays: 7 }, clipboard: { maxCount: 20 } });
+  loadRetentionPolicies();
+
+  assert.deepStrictEqual(getRetentionPolicy('clipboard'), { maxCount: 20, maxAgeDays: 7 });
+  assert.deepStrictEqual(getRetentionPolicy('transfers'), { maxCount: null, maxAgeDays: 7 });
+  assert.deepStrictEqual(getRetentionPolicy('sms'), { maxCount: null, maxAgeDays: 7 });
+});
+
+test('only items older than the age limit expire', () => {
+  const now = Date.now();
+  const policy = { maxCount: null, maxAgeDays: 2 };
+
+  assert.strictEqual(isExpired(now - 3 * DAY_MS, policy, now), true);
+  assert.strictEqual(isExpired(now - DAY_MS, policy, now), false);
+  assert.strictEqual(isExpired(null, policy, now), false);
+  assert.strictEqual(isExpired(now - 300 * DAY_MS, { maxCount: null, maxAgeDays: null }, now), false);
+});
+
+test('lists keep the newest items within both limits', () => {
+  const now = Date.now();
+  const items = [
+    { id: 1, timestamp: now },
+    { id: 2 },
+    { id: 3, timestamp: now - DAY_MS },
+    { id: 4, timestamp: now - 5 * DAY_MS },
+  ];
+
+  const byAge = limitList(items, { maxCount: null, maxAgeDays: 2 }, item => item.timestamp);
+  assert.deepStrictEqual(byAge.map(item => item.id), [1, 2, 3]);
+
+  const byBoth = limitList(items, { maxCount: 2, maxAgeDays: 2 }, item => item.timestamp);
+  assert.deepStrictEqual(byBoth.map(item => item.id), [1, 2]);
+
+  const byCount = limitList(items, { maxCount: 3, maxAgeDays: 2 });
+  assert.deepStrictEqual(byCount.map(item => item.id), [1, 2, 3]);
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-test-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startDownload, handleTransferMessage, settleTransfer, getTransfer, getTransferContentPath } = require('../lib/transfers');
+const { trackDeviceMessage, getCommand } = require('../lib/commands');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function fakeDevice() {
+  const sent = [];
+  return {
+    id: 'device-1',
+    sent,
+    ws: { OPEN: 1, readyState: 1, send: message => sent.push(JSON.parse(message)) },
+  };
+}
+
+// Download `content` from a fake device that reports `claimedChecksum` as its md5
+function download(content, claimedChecksum) {
+  const device = fakeDevice();
+  const transfer = startDownload(device, '/documents/notes.txt', 'admin');
+  const transferId = transfer.id;
+  handleTransferMessage(device, {
+    type: 'transfer_info',
+    data: { transferId, fileName: 'notes.txt', size: content.length, checksum: claimedChecksum },
+  });
+  handleTransferMessage(device, {
+    type: 'transfer_chunk',
+    data: {
+      transferId,
+      offset: 0,
+      content: content.toString('base64'),
+      checksum: crypto.createHash('sha256').update(content).digest('hex'),
+    },
+  });
+
+  // In the order the server handles the device's final response
+  const response = { type: 'file_download_response', requestId: transfer.requestId, data: { filePath: '/documents/notes.txt' } };
+  settleTransfer(device.id, response);
+  trackDeviceMessage(device.id, response);
+  return getTransfer(transferId);
+}
+
+test('a download that matches its checksum completes with its command', () => {
+  const content = Buffer.from('hello');
+  const transfer = download(content, crypto.createHash('md5').update(content).digest('hex'));
+
+  assert.strictEqual(transfer.status, 'completed');
+  assert.strictEqual(getCommand(transfer.requestId).status, 'completed');
+  assert.strictEqual(fs.readFileSync(getTransferContentPath(transfer), 'utf8'), 'hello');
+});
+
+test('a download that fails its checksum fails its command too', () => {
+  const transfer = download(Buffer.from('hello'), 'not-the-checksum');
+
+  assert.strictEqual(transfer.status, 'failed');
+  assert.strictEqual(transfer.error, 'The downloaded file does not match its checksum');
+  const command = getCommand(transfer.requestId);
+  assert.strictEqual(command.status, 'failed');
+  assert.strictEqual(command.error, 'The downloaded file does not match its checksum');
+});